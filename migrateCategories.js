@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Category = require('./models/Category');
+const EntitlementRule = require('./models/EntitlementRule');
+const Inventory = require('./models/Inventory');
+require('dotenv').config({ path: './config.env' });
+
+// Create Category records for the categories that used to be fixed in the
+// Inventory schema, plus any other name already used by items or entitlement
+// rules, so existing data keeps validating. Run with --dry-run to preview.
+const dryRun = process.argv.includes('--dry-run');
+
+const STANDARD_CATEGORIES = ['T-Shirt', 'Jacket', 'Cap', 'Trousers', 'Uniform'];
+
+async function migrateCategories() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB\n');
+
+    if (dryRun) {
+      console.log('🔎 Dry run - nothing will be written\n');
+    }
+
+    const names = new Set([
+      ...STANDARD_CATEGORIES,
+      ...await Inventory.distinct('category'),
+      ...await EntitlementRule.distinct('category')
+    ]);
+    const existing = new Set(await Category.distinct('name'));
+    const missing = [...names].filter(name => name && !existing.has(name)).sort();
+
+    if (missing.length === 0) {
+      console.log('✅ Every category in use already exists.');
+      return;
+    }
+
+    for (const name of missing) {
+      if (!dryRun) {
+        await Category.create({ name });
+      }
+      console.log(`${dryRun ? 'Would create' : 'Created'}  ${name}`);
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would create' : 'Created'} ${missing.length} categor${missing.length === 1 ? 'y' : 'ies'}`);
+    console.log('\nSet size lists, low-stock levels and parents on the Categories page.');
+
+  } catch (error) {
+    console.error('❌ Error migrating categories:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+  }
+}
+
+migrateCategories();
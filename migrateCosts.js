@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Inventory = require('./models/Inventory');
+const PurchaseOrder = require('./models/PurchaseOrder');
+require('dotenv').config({ path: './config.env' });
+
+// Give items from before costs were tracked a cost: the unit cost of the most
+// recent purchase order they were received on, with their stock on hand as
+// one cost layer at that cost. Items never received on a purchase order keep
+// a cost of 0 until one is set on their Edit page.
+// Run with --dry-run to preview.
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateCosts() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB\n');
+
+    if (dryRun) {
+      console.log('🔎 Dry run - nothing will be written\n');
+    }
+
+    const items = await Inventory.find({ 'costLayers.0': { $exists: false }, averageCost: { $in: [0, null] } })
+      .select('itemName size color quantity createdAt')
+      .lean();
+
+    // Latest unit cost per item from purchase orders that were received
+    const costs = await PurchaseOrder.aggregate([
+      { $unwind: '$lines' },
+      { $match: { 'lines.inventoryItem': { $in: items.map(item => item._id) }, 'lines.quantityReceived': { $gt: 0 } } },
+      { $sort: { updatedAt: -1 } },
+      { $group: { _id: '$lines.inventoryItem', unitCost: { $first: '$lines.unitCost' } } }
+    ]);
+    const costByItem = new Map(costs.map(entry => [entry._id.toString(), entry.unitCost]));
+
+    const updates = [];
+    const uncosted = [];
+    for (const item of items) {
+      const unitCost = costByItem.get(item._id.toString());
+      if (unitCost === undefined) {
+        uncosted.push(item);
+        continue;
+      }
+      const since = item.createdAt || new Date();
+      const costLayers = item.quantity > 0 ? [{ quantity: item.quantity, unitCost, receivedAt: since }] : [];
+      updates.push({
+        updateOne: {
+          filter: { _id: item._id, 'costLayers.0': { $exists: false } },
+          update: { $set: { averageCost: unitCost, costLayers, costHistory: [{ averageCost: unitCost, effectiveFrom: since }] } }
+        }
+      });
+    }
+
+    if (!dryRun && updates.length > 0) {
+      await Inventory.bulkWrite(updates);
+    }
+    console.log(`${dryRun ? 'Would cost' : 'Costed'} ${updates.length} item(s) from their last purchase order`);
+
+    if (uncosted.length > 0) {
+      console.log(`\n⚠️  ${uncosted.length} item(s) were never received on a purchase order; set their cost on the item's Edit page:`);
+      uncosted.slice(0, 20).forEach(item => console.log(`   - ${item.itemName} (${item.size}, ${item.color}), ${item.quantity} on hand`));
+      if (uncosted.length > 20) console.log(`   ... and ${uncosted.length - 20} more`);
+    }
+    console.log(`\n✅ ${dryRun ? 'Dry run complete' : 'Costs set'}`);
+
+  } catch (error) {
+    console.error('❌ Error migrating costs:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+  }
+}
+
+migrateCosts();
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Customer = require('./models/Customer');
+const Delivery = require('./models/Delivery');
+const DeliveryOrder = require('./models/DeliveryOrder');
+require('dotenv').config({ path: './config.env' });
+
+// Link deliveries recorded before the customer directory existed to Customer
+// records. Names are matched ignoring case and extra spaces, so "Ali Khan" and
+// "ali  khan " end up on one customer. Run with --dry-run to preview.
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateCustomers() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB\n');
+
+    if (dryRun) {
+      console.log('🔎 Dry run - nothing will be written\n');
+    }
+
+    const unlinked = { $or: [{ customer: { $exists: false } }, { customer: null }] };
+    const names = [
+      ...await Delivery.distinct('customerName', unlinked),
+      ...await DeliveryOrder.distinct('customerName', unlinked)
+    ];
+
+    // Group spellings that normalize to the same name
+    const spellingsByKey = new Map();
+    names.forEach(name => {
+      const key = Customer.normalizeName(name);
+      if (!key) return;
+      if (!spellingsByKey.has(key)) spellingsByKey.set(key, new Set());
+      spellingsByKey.get(key).add(name);
+    });
+
+    if (spellingsByKey.size === 0) {
+      console.log('✅ All deliveries are already linked to customers.');
+      return;
+    }
+
+    let customersCreated = 0;
+    let deliveriesLinked = 0;
+    let ordersLinked = 0;
+
+    for (const [key, spellings] of spellingsByKey) {
+      const spellingList = [...spellings];
+      let customer = await Customer.findOne({ nameKey: key });
+
+      if (!customer) {
+        customersCreated++;
+        if (!dryRun) {
+          customer = await Customer.resolve({ customerName: spellingList[0] });
+        }
+      }
+
+      const filter = { ...unlinked, customerName: { $in: spellingList } };
+      if (dryRun) {
+        deliveriesLinked += await Delivery.countDocuments(filter);
+        ordersLinked += await DeliveryOrder.countDocuments(filter);
+        console.log(`${customer ? customer.customerCode : 'NEW'}  ${spellingList.join(' | ')}`);
+        continue;
+      }
+
+      const deliveries = await Delivery.updateMany(filter, { customer: customer._id });
+      const orders = await DeliveryOrder.updateMany(filter, { customer: customer._id });
+      deliveriesLinked += deliveries.modifiedCount;
+      ordersLinked += orders.modifiedCount;
+      console.log(`${customer.customerCode}  ${spellingList.join(' | ')}`);
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would create' : 'Created'} ${customersCreated} customer(s)`);
+    console.log(`✅ ${dryRun ? 'Would link' : 'Linked'} ${deliveriesLinked} delivery line(s) and ${ordersLinked} delivery order(s)`);
+    console.log('\nNames that differ in more than case or spacing (e.g. "A. Khan") stay separate.');
+    console.log('Review them on the Customers page.');
+
+  } catch (error) {
+    console.error('❌ Error migrating customers:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+  }
+}
+
+migrateCustomers();
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Location = require('./models/Location');
+const { assignUnlocatedStock } = require('./utils/locations');
+require('dotenv').config({ path: './config.env' });
+
+// Create a default location if there is none and place all stock that is not
+// held at any location yet (every item's quantity before locations existed)
+// there, so deliveries can be made from it. Run with --dry-run to preview.
+const dryRun = process.argv.includes('--dry-run');
+const DEFAULT_LOCATION = { name: 'Central Store', type: 'warehouse' };
+
+async function migrateLocations() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB\n');
+
+    if (dryRun) {
+      console.log('🔎 Dry run - nothing will be written\n');
+    }
+
+    let location = await Location.findOne({ isDefault: true });
+    if (location) {
+      console.log(`Existing default location: ${location.name}`);
+    } else if (await Location.exists({})) {
+      console.log('❌ Locations exist but none is the default. Make one the default on the Locations page first.');
+      process.exitCode = 1;
+      return;
+    } else if (dryRun) {
+      console.log(`Would create default location: ${DEFAULT_LOCATION.name}`);
+    } else {
+      location = await Location.create({ ...DEFAULT_LOCATION, isDefault: true });
+      console.log(`Created default location: ${location.name}`);
+    }
+
+    // Without a location yet (dry run) every item counts as unlocated
+    const moves = await assignUnlocatedStock(location ? location._id : new mongoose.Types.ObjectId(), { dryRun });
+    moves.forEach(({ item, quantity }) => {
+      console.log(`${dryRun ? 'Would place' : 'Placed'} ${quantity} × ${item.itemName} (${item.size}, ${item.color})`);
+    });
+
+    const units = moves.reduce((sum, move) => sum + move.quantity, 0);
+    console.log(`\n✅ ${dryRun ? 'Would place' : 'Placed'} ${units} unit(s) of ${moves.length} item(s) at ${location ? location.name : DEFAULT_LOCATION.name}`);
+
+  } catch (error) {
+    console.error('❌ Error migrating locations:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+  }
+}
+
+migrateLocations();
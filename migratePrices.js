@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Inventory = require('./models/Inventory');
+const Delivery = require('./models/Delivery');
+const DeliveryOrder = require('./models/DeliveryOrder');
+const { priceAt } = require('./utils/prices');
+require('dotenv').config({ path: './config.env' });
+
+// Start a price history for items that have none (their current price, from
+// when they were added) and store the unit price on deliveries recorded before
+// prices were kept on them: the price on the delivery order's line where there
+// is one, otherwise the item's price on the delivery date from its history.
+// Run with --dry-run to preview.
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+async function migratePrices() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB\n');
+
+    if (dryRun) {
+      console.log('🔎 Dry run - nothing will be written\n');
+    }
+
+    // Price histories
+    const items = await Inventory.find({ 'priceHistory.0': { $exists: false } }).select('price createdAt').lean();
+    if (!dryRun && items.length > 0) {
+      await Inventory.bulkWrite(items.map(item => ({
+        updateOne: {
+          filter: { _id: item._id, 'priceHistory.0': { $exists: false } },
+          update: { $set: { priceHistory: [{ price: item.price, effectiveFrom: item.createdAt || new Date() }] } }
+        }
+      })));
+    }
+    console.log(`${dryRun ? 'Would start' : 'Started'} the price history of ${items.length} item(s)`);
+
+    // Prices on deliveries, in batches
+    const histories = new Map();
+    const itemPrices = async (itemId) => {
+      const key = String(itemId);
+      if (!histories.has(key)) {
+        histories.set(key, await Inventory.findById(itemId).select('price priceHistory createdAt').lean());
+      }
+      return histories.get(key);
+    };
+
+    let fromOrders = 0;
+    let fromHistory = 0;
+    let missingItem = 0;
+    let batch = [];
+    const flush = async () => {
+      if (!dryRun && batch.length > 0) await Delivery.bulkWrite(batch);
+      batch = [];
+    };
+
+    const cursor = Delivery.find({ unitPrice: { $exists: false } }).select('deliveryOrder inventoryItem deliveryDate').lean().cursor();
+    for await (const delivery of cursor) {
+      let unitPrice = null;
+      if (delivery.deliveryOrder) {
+        const order = await DeliveryOrder.findById(delivery.deliveryOrder).select('lines').lean();
+        const line = order && order.lines.find(entry => String(entry.delivery) === String(delivery._id));
+        if (line && line.unitPrice > 0) {
+          unitPrice = line.unitPrice;
+          fromOrders++;
+        }
+      }
+      if (unitPrice === null) {
+        const item = await itemPrices(delivery.inventoryItem);
+        if (!item) {
+          missingItem++;
+          continue;
+        }
+        unitPrice = priceAt(item, delivery.deliveryDate);
+        fromHistory++;
+      }
+
+      batch.push({
+        updateOne: {
+          filter: { _id: delivery._id, unitPrice: { $exists: false } },
+          update: { $set: { unitPrice, discountRate: 0, taxRate: 0 } }
+        }
+      });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`${dryRun ? 'Would price' : 'Priced'} ${fromOrders} delivery line(s) from their delivery order`);
+    console.log(`${dryRun ? 'Would price' : 'Priced'} ${fromHistory} delivery line(s) from the item's price history`);
+    if (missingItem > 0) {
+      console.log(`⚠️  Skipped ${missingItem} delivery line(s) whose item has been deleted`);
+    }
+    console.log(`\n✅ ${dryRun ? 'Dry run complete' : 'Prices backfilled'}`);
+
+  } catch (error) {
+    console.error('❌ Error migrating prices:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+  }
+}
+
+migratePrices();
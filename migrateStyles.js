@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Inventory = require('./models/Inventory');
+const Style = require('./models/Style');
+require('dotenv').config({ path: './config.env' });
+
+// Group items that do not belong to a style yet by name and category, and
+// link each group to a Style (created if needed) so its sizes and colors
+// show up as one size × color grid. Run with --dry-run to preview.
+const dryRun = process.argv.includes('--dry-run');
+
+// Most common value in a list, e.g. the price most variants share
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+async function migrateStyles() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB\n');
+
+    if (dryRun) {
+      console.log('🔎 Dry run - nothing will be written\n');
+    }
+
+    const groups = await Inventory.aggregate([
+      { $match: { style: null } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { itemName: '$itemName', category: '$category' },
+          ids: { $push: '$_id' },
+          prices: { $push: '$price' },
+          descriptions: { $push: '$description' }
+        }
+      },
+      { $sort: { '_id.category': 1, '_id.itemName': 1 } }
+    ]);
+
+    if (groups.length === 0) {
+      console.log('✅ Every item already belongs to a style.');
+      return;
+    }
+
+    let created = 0;
+    let linked = 0;
+
+    for (const group of groups) {
+      const { itemName, category } = group._id;
+      let style = await Style.findOne({ name: itemName, category });
+      const isNew = !style;
+
+      if (isNew && !dryRun) {
+        style = await Style.create({
+          name: itemName,
+          category,
+          price: mostCommon(group.prices),
+          description: group.descriptions.find(Boolean)
+        });
+      }
+      if (!dryRun) {
+        await Inventory.updateMany({ _id: { $in: group.ids } }, { style: style._id });
+      }
+
+      if (isNew) created++;
+      linked += group.ids.length;
+      console.log(`${isNew ? (dryRun ? 'Would create' : 'Created') : 'Existing'}  ${category} / ${itemName}: ${group.ids.length} variant(s)`);
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Would link' : 'Linked'} ${linked} item(s) to ${groups.length} style(s), ${created} of them new`);
+    console.log('\nVariants keep their own prices until the style price is edited.');
+
+  } catch (error) {
+    console.error('❌ Error migrating styles:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+  }
+}
+
+migrateStyles();
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Item category; Inventory, entitlement rules and stock counts refer to it by name
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Optional parent, e.g. "Shirts" under "Uniform"
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Sizes offered on the add item form; empty inherits the parent's
+  sizes: [{
+    type: String,
+    trim: true
+  }],
+  // Default reorder point: items at or below this quantity are low on stock.
+  // Empty inherits the parent's
+  reorderPoint: {
+    type: Number,
+    min: 0
+  },
+  // Default quantity to order when an item reaches its reorder point.
+  // Empty inherits the parent's
+  reorderQuantity: {
+    type: Number,
+    min: 1
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+categorySchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const customerSchema = new mongoose.Schema({
+  customerCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased name with single spaces, used to match free-text names
+  nameKey: {
+    type: String,
+    required: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  // Entitlement group, matched against EntitlementRule.group
+  group: {
+    type: String,
+    trim: true
+  },
+  badgeBarcode: {
+    type: String,
+    trim: true,
+    set: value => value || undefined
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Set while a cart for the customer is checked against their allowances and
+  // recorded, so two carts cannot both use what is left of an allowance
+  entitlementClaimedAt: Date
+}, {
+  timestamps: true
+});
+
+customerSchema.pre('validate', function(next) {
+  this.nameKey = this.constructor.normalizeName(this.name);
+  next();
+});
+
+// "  Ali  KHAN " -> "ali khan"
+customerSchema.statics.normalizeName = function(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+// Next customer code, e.g. CUS-000042
+customerSchema.statics.nextCustomerCode = async function(session) {
+  const seq = await Counter.next('customer', session);
+  return `CUS-${String(seq).padStart(6, '0')}`;
+};
+
+// Find a customer by ID, or by name creating one if no customer has that name yet
+customerSchema.statics.resolve = async function({ customerId, customerName }) {
+  if (customerId && mongoose.isValidObjectId(customerId)) {
+    const customer = await this.findById(customerId);
+    if (customer) return customer;
+  }
+
+  const nameKey = this.normalizeName(customerName);
+  if (!nameKey) return null;
+
+  const existing = await this.findOne({ nameKey }).sort({ isActive: -1, createdAt: 1 });
+  if (existing) return existing;
+
+  return this.create({
+    customerCode: await this.nextCustomerCode(),
+    name: String(customerName).trim().replace(/\s+/g, ' ')
+  });
+};
+
+// Index for faster queries
+customerSchema.index({ nameKey: 1 });
+customerSchema.index({ department: 1 });
+customerSchema.index({ group: 1 });
+customerSchema.index({ badgeBarcode: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Customer', customerSchema);
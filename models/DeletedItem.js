@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// An inventory item as it was when it was deleted, so reports of an earlier
+// date can still list the stock it held. _id is the item's own ID, which its
+// stock movements still refer to.
+const deletedItemSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  itemName: String,
+  category: String,
+  size: String,
+  color: String,
+  barcode: String,
+  // Stock when it was deleted, company-wide and per location
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  stock: [{
+    _id: false,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location'
+    },
+    quantity: Number
+  }],
+  price: Number,
+  priceHistory: [{
+    _id: false,
+    price: Number,
+    effectiveFrom: Date
+  }],
+  averageCost: Number,
+  costHistory: [{
+    _id: false,
+    averageCost: Number,
+    effectiveFrom: Date
+  }],
+  reorderPoint: Number,
+  reorderQuantity: Number,
+  description: String,
+  // When the item was added
+  createdAt: Date,
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Index for faster queries
+deletedItemSchema.index({ deletedAt: -1 });
+
+module.exports = mongoose.model('DeletedItem', deletedItemSchema);
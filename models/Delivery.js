@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 
 const deliverySchema = new mongoose.Schema({
+  deliveryOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryOrder'
+  },
   inventoryItem: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Inventory',
@@ -10,6 +14,11 @@ const deliverySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  // Customer name as it was when the delivery was recorded
   customerName: {
     type: String,
     required: true,
@@ -20,6 +29,49 @@ const deliverySchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Total handed back through returns and exchanges
+  quantityReturned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Of quantityReturned, units swapped for a replacement. They still count
+  // against the customer's allowance, as the replacement does not.
+  quantityExchanged: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Return this delivery is the replacement for, on exchanges
+  exchangeFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryReturn'
+  },
+  // Prices as they were when the stock was issued; later price changes leave
+  // them alone. Empty on deliveries from before prices were stored.
+  unitPrice: {
+    type: Number,
+    min: 0
+  },
+  // Percent off the line
+  discountRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Percent added to the line after the discount
+  taxRate: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // What one unit of the issued stock cost, by the costing method in use when
+  // it was issued. Empty on deliveries from before costs were tracked.
+  unitCost: {
+    type: Number,
+    min: 0
+  },
   deliveryDate: {
     type: Date,
     default: Date.now
@@ -29,6 +81,11 @@ const deliverySchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Location the stock was issued from; edits, deletions and returns go back there
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
   notes: {
     type: String,
     trim: true
@@ -40,6 +97,8 @@ const deliverySchema = new mongoose.Schema({
 // Index for faster queries
 deliverySchema.index({ deliveryDate: -1 });
 deliverySchema.index({ customerName: 1 });
+deliverySchema.index({ customer: 1 });
 deliverySchema.index({ barcode: 1 });
+deliverySchema.index({ deliveryOrder: 1 });
 
 module.exports = mongoose.model('Delivery', deliverySchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { lineAmount } = require('../utils/helpers');
+
+const orderLineSchema = new mongoose.Schema({
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    required: true
+  },
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  itemName: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Percent off the line
+  discountRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Percent added to the line after the discount
+  taxRate: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+const entitlementOverrideSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  exceeded: [{
+    _id: false,
+    category: String,
+    period: String,
+    allowed: Number,
+    used: Number,
+    requested: Number
+  }]
+}, { _id: false });
+
+const deliveryOrderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  // Customer name as it was when the delivery was recorded
+  customerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  orderDate: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Location the order was issued from
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  lines: [orderLineSchema],
+  totalQuantity: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Set when an admin recorded the order beyond the customer's entitlement
+  entitlementOverride: entitlementOverrideSchema
+}, {
+  timestamps: true
+});
+
+// Keep totals in step with the lines
+deliveryOrderSchema.pre('save', function(next) {
+  this.totalQuantity = this.lines.reduce((sum, line) => sum + line.quantity, 0);
+  this.totalAmount = this.lines.reduce((sum, line) => sum + lineAmount(line.quantity, line), 0);
+  next();
+});
+
+// Next order number for the current year, e.g. DO-2026-000123
+deliveryOrderSchema.statics.nextOrderNumber = async function(session) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`deliveryOrder-${year}`, session);
+  return `DO-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Index for faster queries
+deliveryOrderSchema.index({ orderDate: -1 });
+deliveryOrderSchema.index({ customerName: 1 });
+deliveryOrderSchema.index({ customer: 1 });
+
+module.exports = mongoose.model('DeliveryOrder', deliveryOrderSchema);
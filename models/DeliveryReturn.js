@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// An item handed back against an earlier delivery, optionally exchanged
+// for another item in the same operation
+const deliveryReturnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    required: true
+  },
+  deliveryOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryOrder'
+  },
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['Wrong size', 'Defective', 'Damaged in use', 'No longer needed', 'Other']
+  },
+  condition: {
+    type: String,
+    required: true,
+    enum: ['New', 'Used', 'Damaged']
+  },
+  // restock puts the item back on the shelf, write_off records it as unusable
+  disposition: {
+    type: String,
+    required: true,
+    enum: ['restock', 'write_off']
+  },
+  // Replacement issued in the same operation (exchanges only)
+  exchangeDelivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  },
+  exchangeOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryOrder'
+  },
+  returnDate: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Next return number for the current year, e.g. RT-2026-000042
+deliveryReturnSchema.statics.nextReturnNumber = async function(session) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`deliveryReturn-${year}`, session);
+  return `RT-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Index for faster queries
+deliveryReturnSchema.index({ returnDate: -1 });
+deliveryReturnSchema.index({ delivery: 1 });
+deliveryReturnSchema.index({ customer: 1 });
+deliveryReturnSchema.index({ barcode: 1 });
+
+module.exports = mongoose.model('DeliveryReturn', deliveryReturnSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// How many items of a category each customer in a group may receive per period
+const entitlementRuleSchema = new mongoose.Schema({
+  group: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  period: {
+    type: String,
+    required: true,
+    enum: ['month', 'quarter', 'year'],
+    default: 'year'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+entitlementRuleSchema.index({ group: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('EntitlementRule', entitlementRuleSchema);
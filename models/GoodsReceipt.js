@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const receiptLineSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  itemName: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // What one unit cost; the item's average cost when none was entered
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  // Stock on hand after this line was received
+  balanceAfter: {
+    type: Number
+  }
+});
+
+// One delivery of incoming stock, scanned in on the Receive page
+const goodsReceiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  // Supplier's invoice or delivery note number
+  referenceNumber: {
+    type: String,
+    trim: true
+  },
+  receivedDate: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Location the stock was received into
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  // Purchase order this delivery was scanned against, if any
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  lines: [receiptLineSchema],
+  totalQuantity: {
+    type: Number,
+    default: 0
+  },
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the totals in step with the lines
+goodsReceiptSchema.pre('save', function(next) {
+  this.totalQuantity = this.lines.reduce((sum, line) => sum + line.quantity, 0);
+  this.totalCost = this.lines.reduce((sum, line) => sum + line.quantity * (line.unitCost || 0), 0);
+  next();
+});
+
+// Next receipt number for the current year, e.g. GR-2026-000007
+goodsReceiptSchema.statics.nextReceiptNumber = async function(session) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`goodsReceipt-${year}`, session);
+  return `GR-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Index for faster queries
+goodsReceiptSchema.index({ receivedDate: -1 });
+goodsReceiptSchema.index({ supplier: 1 });
+goodsReceiptSchema.index({ referenceNumber: 1 });
+goodsReceiptSchema.index({ purchaseOrder: 1 });
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
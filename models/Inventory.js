@@ -1,15 +1,116 @@
 const mongoose = require('mongoose');
+require('./Category');
+
+// Stock of an item held at one location
+const locationStockSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// Another barcode that scans as this item, such as a supplier's EAN label or
+// a carton code
+const barcodeAliasSchema = new mongoose.Schema({
+  barcode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Where the code comes from, e.g. the supplier's name
+  source: {
+    type: String,
+    trim: true
+  },
+  // Units one scan counts as; a carton of 12 scans as 12
+  packSize: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Inactive aliases no longer scan but keep their code reserved
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// A selling price and the date it took effect
+const priceChangeSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Units still on hand from one receipt and what each cost, for FIFO costing
+const costLayerSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// An average cost and the date the item took it on
+const costChangeSchema = new mongoose.Schema({
+  averageCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
 
 const inventorySchema = new mongoose.Schema({
+  // Style this item is a size/color variant of; name, category, price and
+  // description follow the style when it is edited
+  style: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Style',
+    default: null
+  },
   itemName: {
     type: String,
     required: true,
     trim: true
   },
+  // Name of a Category; managed on the Categories page
   category: {
     type: String,
     required: true,
-    enum: ['T-Shirt', 'Jacket', 'Cap', 'Trousers','Uniform']
+    trim: true,
+    validate: {
+      validator: async (name) => Boolean(await mongoose.model('Category').exists({ name })),
+      message: (props) => `Unknown category "${props.value}"`
+    }
   },
   size: {
     type: String,
@@ -26,17 +127,46 @@ const inventorySchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Further barcodes for the item; a code is unique across primary barcodes and aliases
+  aliases: [barcodeAliasSchema],
+  // Company-wide stock: the sum of the per-location levels in stock
   quantity: {
     type: Number,
     required: true,
     min: 0,
     default: 0
   },
+  stock: [locationStockSchema],
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  // Every price the item has had, oldest first; reports of past deliveries
+  // look up the price of the day here
+  priceHistory: [priceChangeSchema],
+  // What the stock cost: the weighted average of everything received, and the
+  // receipts not yet issued, oldest first. See utils/costing.js.
+  averageCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  costLayers: [costLayerSchema],
+  // Every average cost the item has had, oldest first, for valuing stock on a past date
+  costHistory: [costChangeSchema],
+  // Low on stock at or below this quantity; empty uses the category's reorder point
+  reorderPoint: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // How many to order when low; empty uses the category's reorder quantity
+  reorderQuantity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
   description: {
     type: String,
     trim: true
@@ -49,9 +179,30 @@ const inventorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Start the price and cost histories and the cost layers of a new item
+inventorySchema.pre('save', function(next) {
+  if (this.isNew && this.priceHistory.length === 0) {
+    this.priceHistory.push({ price: this.price, effectiveFrom: new Date() });
+  }
+  // Opening stock is costed at the item's cost, if one was given
+  if (this.isNew && this.quantity > 0 && this.costLayers.length === 0) {
+    this.costLayers.push({ quantity: this.quantity, unitCost: this.averageCost });
+  }
+  if (this.isNew && this.costHistory.length === 0) {
+    this.costHistory.push({ averageCost: this.averageCost, effectiveFrom: new Date() });
+  }
+  next();
+});
+
 // Index for faster queries
 inventorySchema.index({ barcode: 1 });
+inventorySchema.index(
+  { 'aliases.barcode': 1 },
+  { unique: true, partialFilterExpression: { 'aliases.barcode': { $exists: true } } }
+);
 inventorySchema.index({ category: 1 });
 inventorySchema.index({ itemName: 1 });
+inventorySchema.index({ style: 1 });
+inventorySchema.index({ 'stock.location': 1 });
 
 module.exports = mongoose.model('Inventory', inventorySchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One part of a kit: a fixed item, or a style and color whose size is chosen
+// when the kit is issued
+const kitComponentSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  style: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Style'
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// A set of items issued together under its own barcode, e.g. a Security Guard
+// Set of a shirt, trousers and a cap. Scanning it on the delivery page puts
+// every component in the cart; stock is only kept for the components.
+const kitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  barcode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  components: {
+    type: [kitComponentSchema],
+    validate: {
+      validator: (components) => components.length > 0,
+      message: 'A kit needs at least one component'
+    }
+  },
+  // Inactive kits are kept but no longer scan
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Kit', kitSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A place stock is kept: the central store, a site store or a van
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['warehouse', 'store', 'van'],
+    default: 'store'
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  // Stock goes here when no location is chosen, e.g. items added from the
+  // inventory form or an import. Exactly one location is the default.
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive locations keep their history but cannot be picked for new movements
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  itemName: {
+    type: String,
+    trim: true
+  },
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Running total of what goods receipts against this order have brought in
+  quantityReceived: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expectedDate: {
+    type: Date
+  }
+});
+
+// Still to come on this line
+purchaseOrderLineSchema.virtual('outstanding').get(function() {
+  return Math.max(this.quantityOrdered - this.quantityReceived, 0);
+});
+
+// Stock ordered from a supplier: drafted, sent, then received in one or
+// more goods receipts scanned against it
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  // Supplier name when the order was raised, kept for receipts and exports
+  supplierName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Location the stock is to be delivered to
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  lines: [purchaseOrderLineSchema],
+  totalOrdered: {
+    type: Number,
+    default: 0
+  },
+  totalReceived: {
+    type: Number,
+    default: 0
+  },
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sentDate: {
+    type: Date
+  },
+  receivedDate: {
+    type: Date
+  },
+  cancelledDate: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  // Two receipts scanned against the same order at once must not both count
+  optimisticConcurrency: true
+});
+
+// Keep the totals in step with the lines
+purchaseOrderSchema.pre('save', function(next) {
+  this.totalOrdered = this.lines.reduce((sum, line) => sum + line.quantityOrdered, 0);
+  this.totalReceived = this.lines.reduce((sum, line) => sum + line.quantityReceived, 0);
+  this.totalCost = this.lines.reduce((sum, line) => sum + line.quantityOrdered * line.unitCost, 0);
+  next();
+});
+
+// Units still to come across all lines
+purchaseOrderSchema.virtual('totalOutstanding').get(function() {
+  return this.lines.reduce((sum, line) => sum + line.outstanding, 0);
+});
+
+// Next purchase order number for the current year, e.g. PO-2026-000004
+purchaseOrderSchema.statics.nextPoNumber = async function(session) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`purchaseOrder-${year}`, session);
+  return `PO-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Index for faster queries
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1 });
+purchaseOrderSchema.index({ 'lines.inventoryItem': 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const countLineSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  itemName: {
+    type: String,
+    trim: true
+  },
+  counted: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // System quantity at the location when the item was first counted. Variances
+  // are measured against it, so stock that moves while the count is open is
+  // not taken for a difference.
+  expectedAtCount: {
+    type: Number
+  },
+  // Quantity the count was compared with when it was posted
+  expected: {
+    type: Number
+  },
+  // Whether posting applied the line's variance to the system quantity
+  adjusted: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// A stock-take session; several devices can scan into the same open count
+const stockCountSchema = new mongoose.Schema({
+  countNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Only items in this category are counted; empty counts everything
+  category: {
+    type: String
+  },
+  // Location being counted; posting sets the stock held there
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'posted', 'cancelled'],
+    default: 'open'
+  },
+  lines: [countLineSchema],
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Next count number for the current year, e.g. SC-2026-000003
+stockCountSchema.statics.nextCountNumber = async function(session) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`stockCount-${year}`, session);
+  return `SC-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Add to an item's counted quantity. Uses single atomic writes so scans
+// arriving from several devices at once are all kept. expected is the item's
+// system quantity at the count's location, kept from its first scan.
+stockCountSchema.statics.addCount = async function(countId, item, quantity, expected) {
+  const increment = await this.findOneAndUpdate(
+    { _id: countId, status: 'open', 'lines.inventoryItem': item._id },
+    { $inc: { 'lines.$.counted': quantity } },
+    { new: true }
+  );
+  if (increment) return increment;
+
+  const added = await this.findOneAndUpdate(
+    { _id: countId, status: 'open', 'lines.inventoryItem': { $ne: item._id } },
+    { $push: { lines: { inventoryItem: item._id, barcode: item.barcode, itemName: item.itemName, counted: quantity, expectedAtCount: expected } } },
+    { new: true }
+  );
+  if (added) return added;
+
+  // Another device added the line in between; it exists now
+  return this.findOneAndUpdate(
+    { _id: countId, status: 'open', 'lines.inventoryItem': item._id },
+    { $inc: { 'lines.$.counted': quantity } },
+    { new: true }
+  );
+};
+
+// Index for faster queries
+stockCountSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
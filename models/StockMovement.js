@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const stockMovementSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  barcode: {
+    type: String
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Company-wide stock after the change
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Location whose stock changed; empty before locations were set up
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['receipt', 'delivery', 'adjustment', 'delivery_edit', 'delivery_reversal', 'return', 'return_write_off', 'stock_count', 'transfer_out', 'transfer_in', 'transfer_reversal']
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sourceModel: {
+    type: String,
+    enum: ['Inventory', 'Delivery', 'DeliveryReturn', 'GoodsReceipt', 'StockCount', 'StockTransfer']
+  },
+  sourceDocument: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceModel'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+stockMovementSchema.index({ inventoryItem: 1, createdAt: -1 });
+stockMovementSchema.index({ reason: 1 });
+stockMovementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const transferLineSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  barcode: {
+    type: String,
+    required: true
+  },
+  itemName: {
+    type: String,
+    trim: true
+  },
+  // 0 for items that arrived without being shipped on this transfer
+  quantitySent: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Counted at the destination; empty while in transit
+  quantityReceived: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+});
+
+// Stock moving from one location to another: scanned out at the source,
+// in transit until the destination scans it in
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fromLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  toLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_transit', 'received', 'cancelled'],
+    default: 'in_transit'
+  },
+  lines: [transferLineSchema],
+  totalSent: {
+    type: Number,
+    default: 0
+  },
+  totalReceived: {
+    type: Number,
+    default: 0
+  },
+  // Set on receipt when any line arrived short or over
+  hasDiscrepancy: {
+    type: Boolean,
+    default: false
+  },
+  sentDate: {
+    type: Date,
+    default: Date.now
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedDate: {
+    type: Date
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  receiveNotes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the totals in step with the lines
+stockTransferSchema.pre('save', function(next) {
+  this.totalSent = this.lines.reduce((sum, line) => sum + line.quantitySent, 0);
+  this.totalReceived = this.lines.reduce((sum, line) => sum + (line.quantityReceived || 0), 0);
+  next();
+});
+
+// Next transfer number for the current year, e.g. TR-2026-000012
+stockTransferSchema.statics.nextTransferNumber = async function(session) {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`stockTransfer-${year}`, session);
+  return `TR-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Index for faster queries
+stockTransferSchema.index({ status: 1, sentDate: -1 });
+stockTransferSchema.index({ fromLocation: 1 });
+stockTransferSchema.index({ toLocation: 1 });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
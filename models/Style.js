@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+require('./Category');
+
+// A product style, e.g. "Polo Shirt" in T-Shirt. Each size and color of it is
+// an Inventory document (a variant) with its own barcode and stock.
+const styleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Name of a Category; copied to every variant
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: async (name) => Boolean(await mongoose.model('Category').exists({ name })),
+      message: (props) => `Unknown category "${props.value}"`
+    }
+  },
+  // Selling price; editing it reprices every variant
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Size and color variants, loaded with .populate('variants')
+styleSchema.virtual('variants', {
+  ref: 'Inventory',
+  localField: '_id',
+  foreignField: 'style'
+});
+
+// One style per name within a category
+styleSchema.index({ name: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('Style', styleSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// A company stock is bought from; purchase orders are raised against it
+const supplierSchema = new mongoose.Schema({
+  supplierCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  contactName: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Inactive suppliers keep their orders but cannot get new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Next supplier code, e.g. SUP-000003
+supplierSchema.statics.nextSupplierCode = async function(session) {
+  const seq = await Counter.next('supplier', session);
+  return `SUP-${String(seq).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('Supplier', supplierSchema);
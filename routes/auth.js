@@ -93,8 +93,12 @@ router.post('/login', async (req, res) => {
     req.session.username = user.username;
     req.session.userRole = user.role;
 
+    // Back to the page that asked for the login, if any
+    const returnTo = req.session.returnTo;
+    delete req.session.returnTo;
+
     req.flash('success', `Welcome back, ${user.username}!`);
-    res.redirect('/dashboard');
+    res.redirect(returnTo && returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/dashboard');
   } catch (error) {
     console.error('Login error:', error);
     req.flash('error', 'An error occurred during login');
@@ -0,0 +1,180 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const EntitlementRule = require('../models/EntitlementRule');
+const Inventory = require('../models/Inventory');
+const StockCount = require('../models/StockCount');
+const Style = require('../models/Style');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { flashMessages } = require('../utils/helpers');
+const { listCategories, withSubcategories, DEFAULT_SIZES, DEFAULT_REORDER_POINT } = require('../utils/categories');
+const { runAtomically } = require('../utils/transaction');
+const router = express.Router();
+
+// All category routes are for admins
+router.use(requireAuth);
+router.use(requireAdmin);
+router.use(flashMessages);
+
+// Pick the category fields out of a form body
+const categoryFields = (body) => {
+  const reorderPoint = parseInt(body.reorderPoint);
+  const reorderQuantity = parseInt(body.reorderQuantity);
+  return {
+    name: (body.name || '').trim(),
+    parent: mongoose.isValidObjectId(body.parent) ? body.parent : null,
+    sizes: [...new Set((body.sizes || '').split(',').map(size => size.trim()).filter(Boolean))],
+    reorderPoint: reorderPoint >= 0 ? reorderPoint : undefined,
+    reorderQuantity: reorderQuantity >= 1 ? reorderQuantity : undefined,
+    description: body.description
+  };
+};
+
+// Turn a save error into a message for the form
+const categorySaveError = (error) => {
+  if (error.code === 11000) {
+    return 'A category with this name already exists';
+  }
+  return 'Error saving category: ' + error.message;
+};
+
+// Categories page
+router.get('/', async (req, res) => {
+  try {
+    const categories = await listCategories();
+
+    const itemCounts = await Inventory.aggregate([
+      { $group: { _id: '$category', items: { $sum: 1 }, stock: { $sum: '$quantity' } } }
+    ]);
+    const ruleCounts = await EntitlementRule.aggregate([
+      { $group: { _id: '$category', rules: { $sum: 1 } } }
+    ]);
+    const usage = {};
+    itemCounts.forEach(count => {
+      usage[count._id] = { items: count.items, stock: count.stock, rules: 0 };
+    });
+    ruleCounts.forEach(count => {
+      usage[count._id] = { items: 0, stock: 0, ...usage[count._id], rules: count.rules };
+    });
+
+    res.render('categories/index', {
+      title: 'Categories',
+      user: req.user,
+      categories,
+      usage,
+      defaultSizes: DEFAULT_SIZES,
+      defaultReorderPoint: DEFAULT_REORDER_POINT
+    });
+  } catch (error) {
+    console.error('Categories error:', error);
+    req.flash('error', 'Error loading categories');
+    res.redirect('/inventory');
+  }
+});
+
+// Add category
+router.post('/add', async (req, res) => {
+  try {
+    const fields = categoryFields(req.body);
+    if (!fields.name) {
+      req.flash('error', 'Category name is required');
+      return res.redirect('/categories');
+    }
+
+    await Category.create(fields);
+    req.flash('success', `Category ${fields.name} added`);
+    res.redirect('/categories');
+  } catch (error) {
+    console.error('Add category error:', error);
+    req.flash('error', categorySaveError(error));
+    res.redirect('/categories');
+  }
+});
+
+// Update category; a new name is carried over to the items, rules and counts using it
+router.post('/edit/:id', async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      req.flash('error', 'Category not found');
+      return res.redirect('/categories');
+    }
+
+    const fields = categoryFields(req.body);
+    if (!fields.name) {
+      req.flash('error', 'Category name is required');
+      return res.redirect('/categories');
+    }
+
+    if (fields.parent) {
+      const below = await withSubcategories(category.name);
+      const parent = await Category.findById(fields.parent);
+      if (!parent || below.includes(parent.name)) {
+        req.flash('error', 'A category cannot be placed under itself or one of its subcategories');
+        return res.redirect('/categories');
+      }
+    }
+
+    const oldName = category.name;
+    category.set(fields);
+
+    await runAtomically(async ({ session, onRollback }) => {
+      await category.save({ session });
+      onRollback(() => Category.updateOne({ _id: category._id }, { name: oldName }));
+
+      if (oldName !== fields.name) {
+        for (const Model of [Inventory, Style, EntitlementRule, StockCount]) {
+          await Model.updateMany({ category: oldName }, { category: fields.name }, { session });
+          onRollback(() => Model.updateMany({ category: fields.name }, { category: oldName }));
+        }
+      }
+    });
+
+    req.flash('success', oldName !== fields.name
+      ? `Category ${oldName} renamed to ${fields.name}`
+      : 'Category updated successfully');
+    res.redirect('/categories');
+  } catch (error) {
+    console.error('Update category error:', error);
+    req.flash('error', categorySaveError(error));
+    res.redirect('/categories');
+  }
+});
+
+// Delete category, only when nothing refers to it any more
+router.post('/delete/:id', async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      req.flash('error', 'Category not found');
+      return res.redirect('/categories');
+    }
+
+    const inUse = [];
+    const items = await Inventory.countDocuments({ category: category.name });
+    const styles = await Style.countDocuments({ category: category.name });
+    const rules = await EntitlementRule.countDocuments({ category: category.name });
+    const children = await Category.countDocuments({ parent: category._id });
+    const openCounts = await StockCount.countDocuments({ category: category.name, status: 'open' });
+    if (items > 0) inUse.push(`${items} item(s)`);
+    if (styles > 0) inUse.push(`${styles} style(s)`);
+    if (rules > 0) inUse.push(`${rules} entitlement rule(s)`);
+    if (children > 0) inUse.push(`${children} subcategory(ies)`);
+    if (openCounts > 0) inUse.push(`${openCounts} open stock count(s)`);
+
+    if (inUse.length > 0) {
+      req.flash('error', `Cannot delete ${category.name}: it is still used by ${inUse.join(', ')}`);
+      return res.redirect('/categories');
+    }
+
+    await category.deleteOne();
+    req.flash('success', `Category ${category.name} deleted`);
+    res.redirect('/categories');
+  } catch (error) {
+    console.error('Delete category error:', error);
+    req.flash('error', 'Error deleting category');
+    res.redirect('/categories');
+  }
+});
+
+module.exports = router;
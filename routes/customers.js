@@ -0,0 +1,387 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Delivery = require('../models/Delivery');
+const DeliveryOrder = require('../models/DeliveryOrder');
+const EntitlementRule = require('../models/EntitlementRule');
+const Inventory = require('../models/Inventory');
+const { requireAuth, requireStaff, requireAdmin } = require('../middleware/auth');
+const { flashMessages, escapeRegex } = require('../utils/helpers');
+const { getAllowances } = require('../utils/entitlements');
+const router = express.Router();
+
+// All customer routes require authentication
+router.use(requireAuth);
+router.use(flashMessages);
+
+// Pick the editable customer fields out of a form body
+const customerFields = (body) => ({
+  name: (body.name || '').trim().replace(/\s+/g, ' '),
+  phone: body.phone,
+  email: body.email,
+  department: body.department,
+  group: body.group,
+  badgeBarcode: (body.badgeBarcode || '').trim(),
+  notes: body.notes
+});
+
+// Turn a save error into a message for the form
+const customerSaveError = (error) => {
+  if (error.code === 11000 && error.keyPattern && error.keyPattern.badgeBarcode) {
+    return 'That badge barcode is already assigned to another customer';
+  }
+  return 'Error saving customer: ' + error.message;
+};
+
+// Customer directory
+router.get('/', requireStaff, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status === 'inactive') filter.isActive = false;
+    else if (req.query.status !== 'all') filter.isActive = true;
+    if (req.query.department) filter.department = req.query.department;
+    if (req.query.search) {
+      const search = { $regex: escapeRegex(req.query.search), $options: 'i' };
+      filter.$or = [
+        { name: search },
+        { customerCode: search },
+        { badgeBarcode: search },
+        { phone: search },
+        { email: search }
+      ];
+    }
+
+    const customers = await Customer.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCustomers = await Customer.countDocuments(filter);
+    const totalPages = Math.ceil(totalCustomers / limit);
+
+    // Issue totals for the customers on this page
+    const totals = await Delivery.aggregate([
+      { $match: { customer: { $in: customers.map(customer => customer._id) } } },
+      {
+        $group: {
+          _id: '$customer',
+          itemsIssued: { $sum: '$quantityDelivered' },
+          lastDelivery: { $max: '$deliveryDate' }
+        }
+      }
+    ]);
+    const totalsByCustomer = {};
+    totals.forEach(total => {
+      totalsByCustomer[total._id.toString()] = total;
+    });
+
+    const departments = (await Customer.distinct('department')).filter(Boolean).sort();
+
+    res.render('customers/list', {
+      title: 'Customers',
+      user: req.user,
+      customers,
+      totalsByCustomer,
+      departments,
+      currentPage: page,
+      totalPages,
+      filter: req.query
+    });
+  } catch (error) {
+    console.error('Customer list error:', error);
+    req.flash('error', 'Error loading customers');
+    res.redirect('/dashboard');
+  }
+});
+
+// Add customer page
+router.get('/add', requireStaff, async (req, res) => {
+  try {
+    res.render('customers/add', {
+      title: 'Add Customer',
+      user: req.user,
+      groups: await EntitlementRule.distinct('group')
+    });
+  } catch (error) {
+    console.error('Add customer page error:', error);
+    req.flash('error', 'Error loading customer form');
+    res.redirect('/customers');
+  }
+});
+
+// Add customer
+router.post('/add', requireStaff, async (req, res) => {
+  try {
+    const fields = customerFields(req.body);
+    if (!fields.name) {
+      req.flash('error', 'Customer name is required');
+      return res.redirect('/customers/add');
+    }
+
+    const customer = new Customer({
+      ...fields,
+      customerCode: await Customer.nextCustomerCode()
+    });
+    await customer.save();
+
+    req.flash('success', `Customer ${customer.customerCode} (${customer.name}) added successfully`);
+    res.redirect(`/customers/${customer._id}`);
+  } catch (error) {
+    console.error('Add customer error:', error);
+    req.flash('error', customerSaveError(error));
+    res.redirect('/customers/add');
+  }
+});
+
+// Edit customer page
+router.get('/edit/:id', requireStaff, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      req.flash('error', 'Customer not found');
+      return res.redirect('/customers');
+    }
+
+    res.render('customers/edit', {
+      title: 'Edit Customer',
+      user: req.user,
+      customer,
+      groups: await EntitlementRule.distinct('group')
+    });
+  } catch (error) {
+    console.error('Edit customer error:', error);
+    req.flash('error', 'Error loading customer');
+    res.redirect('/customers');
+  }
+});
+
+// Update customer; renaming does not rewrite the names recorded on past deliveries
+router.post('/edit/:id', requireStaff, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      req.flash('error', 'Customer not found');
+      return res.redirect('/customers');
+    }
+
+    const fields = customerFields(req.body);
+    if (!fields.name) {
+      req.flash('error', 'Customer name is required');
+      return res.redirect(`/customers/edit/${customer._id}`);
+    }
+
+    customer.set(fields);
+    customer.isActive = req.body.isActive === 'on';
+    await customer.save();
+
+    req.flash('success', 'Customer updated successfully');
+    res.redirect(`/customers/${customer._id}`);
+  } catch (error) {
+    console.error('Update customer error:', error);
+    req.flash('error', customerSaveError(error));
+    res.redirect(`/customers/edit/${req.params.id}`);
+  }
+});
+
+// Delete customer (Admin only) - customers with deliveries can only be deactivated
+router.post('/delete/:id', requireAdmin, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      req.flash('error', 'Customer not found');
+      return res.redirect('/customers');
+    }
+
+    const deliveryCount = await Delivery.countDocuments({ customer: customer._id });
+    if (deliveryCount > 0) {
+      req.flash('error', `${customer.name} has ${deliveryCount} delivery record(s). Mark the customer inactive instead.`);
+      return res.redirect(`/customers/${customer._id}`);
+    }
+
+    await Customer.deleteOne({ _id: customer._id });
+    req.flash('success', 'Customer deleted successfully');
+    res.redirect('/customers');
+  } catch (error) {
+    console.error('Delete customer error:', error);
+    req.flash('error', 'Error deleting customer');
+    res.redirect('/customers');
+  }
+});
+
+// API: Autocomplete search for the scan page
+router.get('/api/search', requireStaff, async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    if (!query) return res.json({ success: true, customers: [] });
+
+    const search = { $regex: escapeRegex(query), $options: 'i' };
+    const customers = await Customer.find({
+      isActive: true,
+      $or: [
+        { name: search },
+        { customerCode: search },
+        { badgeBarcode: search },
+        { department: search }
+      ]
+    })
+      .sort({ name: 1 })
+      .limit(10)
+      .lean();
+
+    res.json({
+      success: true,
+      customers: customers.map(customer => ({
+        id: customer._id,
+        customerCode: customer.customerCode,
+        name: customer.name,
+        department: customer.department,
+        group: customer.group,
+        badgeBarcode: customer.badgeBarcode
+      }))
+    });
+  } catch (error) {
+    console.error('Customer search error:', error);
+    res.status(500).json({ success: false, error: 'Error searching customers' });
+  }
+});
+
+// API: Get customer by badge barcode
+router.get('/api/badge/:barcode', requireStaff, async (req, res) => {
+  try {
+    const barcode = (req.params.barcode || '').replace(/[\r\n]+/g, '').trim();
+    const customer = await Customer.findOne({ badgeBarcode: barcode }).lean();
+    if (!customer) {
+      return res.status(404).json({ success: false, error: 'No customer with this badge' });
+    }
+
+    if (!customer.isActive) {
+      return res.status(400).json({ success: false, error: `${customer.name} is inactive` });
+    }
+
+    res.json({
+      success: true,
+      customer: {
+        id: customer._id,
+        customerCode: customer.customerCode,
+        name: customer.name,
+        department: customer.department,
+        group: customer.group,
+        badgeBarcode: customer.badgeBarcode
+      }
+    });
+  } catch (error) {
+    console.error('Customer badge error:', error);
+    res.status(500).json({ success: false, error: 'Error looking up badge' });
+  }
+});
+
+// API: Remaining entitlement allowance for the current periods
+router.get('/api/:id/allowances', requireStaff, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Customer not found' });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ success: false, error: 'Customer not found' });
+    }
+
+    res.json({
+      success: true,
+      group: customer.group || null,
+      allowances: await getAllowances(customer)
+    });
+  } catch (error) {
+    console.error('Customer allowances error:', error);
+    res.status(500).json({ success: false, error: 'Error loading allowances' });
+  }
+});
+
+// Customer detail with full issue history
+router.get('/:id', requireStaff, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      req.flash('error', 'Customer not found');
+      return res.redirect('/customers');
+    }
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      req.flash('error', 'Customer not found');
+      return res.redirect('/customers');
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = 20;
+    const skip = (page - 1) * limit;
+
+    const deliveries = await Delivery.find({ customer: customer._id })
+      .populate('inventoryItem', 'itemName category size color')
+      .populate('deliveredBy', 'username')
+      .populate('deliveryOrder', 'orderNumber')
+      .sort({ deliveryDate: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalDeliveries = await Delivery.countDocuments({ customer: customer._id });
+    const totalPages = Math.ceil(totalDeliveries / limit);
+
+    const orderTotals = await DeliveryOrder.aggregate([
+      { $match: { customer: customer._id } },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          totalQuantity: { $sum: '$totalQuantity' },
+          totalAmount: { $sum: '$totalAmount' },
+          firstOrder: { $min: '$orderDate' },
+          lastOrder: { $max: '$orderDate' }
+        }
+      }
+    ]);
+    const stats = orderTotals[0] || { orders: 0, totalQuantity: 0, totalAmount: 0 };
+
+    // Quantity issued per item over the customer's whole history
+    const itemTotals = await Delivery.aggregate([
+      { $match: { customer: customer._id } },
+      {
+        $group: {
+          _id: '$inventoryItem',
+          quantity: { $sum: '$quantityDelivered' },
+          lastIssued: { $max: '$deliveryDate' }
+        }
+      },
+      { $sort: { quantity: -1 } }
+    ]);
+    const items = await Inventory.find({ _id: { $in: itemTotals.map(total => total._id) } })
+      .select('itemName category size color')
+      .lean();
+    const issuedItems = itemTotals.map(total => ({
+      ...total,
+      item: items.find(item => item._id.equals(total._id)) || null
+    }));
+
+    res.render('customers/detail', {
+      title: customer.name,
+      user: req.user,
+      customer,
+      deliveries,
+      stats,
+      issuedItems,
+      allowances: await getAllowances(customer),
+      currentPage: page,
+      totalPages
+    });
+  } catch (error) {
+    console.error('Customer detail error:', error);
+    req.flash('error', 'Error loading customer');
+    res.redirect('/customers');
+  }
+});
+
+module.exports = router;
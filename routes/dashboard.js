@@ -4,6 +4,8 @@ const Delivery = require('../models/Delivery');
 const User = require('../models/User');
 const { requireAuth } = require('../middleware/auth');
 const { flashMessages, getTodayRange, getMonthRange, getTotalFromAggregate } = require('../utils/helpers');
+const { lowStockFilter } = require('../utils/reorder');
+const { listLocations, resolveLocation, stockAtLocationStages } = require('../utils/locations');
 const router = express.Router();
 
 router.use(flashMessages);
@@ -11,44 +13,66 @@ router.use(flashMessages);
 // All dashboard routes require authentication
 router.use(requireAuth);
 
+// Stock figures for the whole company, or for one location when given
+const inventoryStats = async (location) => {
+  const held = stockAtLocationStages(location);
+  const count = (match) => Inventory.aggregate([...held, { $match: match }, { $count: 'total' }])
+    .then(result => getTotalFromAggregate(result));
+
+  return {
+    totalItems: await count({}),
+    totalStock: await Inventory.aggregate([
+      ...held,
+      { $group: { _id: null, total: { $sum: '$quantity' } } }
+    ]).then(result => getTotalFromAggregate(result)),
+    lowStockItems: await count(await lowStockFilter()),
+    outOfStockItems: await count({ quantity: 0 })
+  };
+};
+
 // Dashboard home page
 router.get('/', async (req, res) => {
+  const locations = await listLocations().catch(() => []);
   try {
-    // Get statistics
-    const totalItems = await Inventory.countDocuments();
-    const totalStock = await Inventory.aggregate([
-      { $group: { _id: null, total: { $sum: '$quantity' } } }
-    ]).then(result => getTotalFromAggregate(result));
+    // Empty shows company-wide figures
+    const location = req.query.location ? await resolveLocation(req.query.location) : null;
+    const atLocation = location ? { location } : {};
 
-    const lowStockItems = await Inventory.countDocuments({ quantity: { $lte: 10, $gt: 0 } });
-    const outOfStockItems = await Inventory.countDocuments({ quantity: 0 });
+    // Get statistics
+    const { totalItems, totalStock, lowStockItems, outOfStockItems } = await inventoryStats(location);
 
     // Today's deliveries
     const { today, tomorrow } = getTodayRange();
     const todayDeliveries = await Delivery.countDocuments({
+      ...atLocation,
       deliveryDate: { $gte: today, $lt: tomorrow }
     });
 
     // This month's deliveries
     const { thisMonth, nextMonth } = getMonthRange();
     const thisMonthDeliveries = await Delivery.countDocuments({
+      ...atLocation,
       deliveryDate: { $gte: thisMonth, $lt: nextMonth }
     });
 
     // Recent deliveries
-    const recentDeliveries = await Delivery.find()
+    const recentDeliveries = await Delivery.find(atLocation)
       .populate('inventoryItem', 'itemName category')
       .populate('deliveredBy', 'username')
       .sort({ deliveryDate: -1 })
       .limit(5);
 
     // Low stock items
-    const lowStockList = await Inventory.find({ quantity: { $lte: 10, $gt: 0 } })
-      .sort({ quantity: 1 })
-      .limit(5);
+    const lowStockList = await Inventory.aggregate([
+      ...stockAtLocationStages(location),
+      { $match: await lowStockFilter() },
+      { $sort: { quantity: 1 } },
+      { $limit: 5 }
+    ]);
 
     // Category-wise stock
     const categoryStock = await Inventory.aggregate([
+      ...stockAtLocationStages(location),
       { $group: { _id: '$category', totalQuantity: { $sum: '$quantity' }, itemCount: { $sum: 1 } } },
       { $sort: { totalQuantity: -1 } }
     ]);
@@ -66,18 +90,22 @@ router.get('/', async (req, res) => {
       },
       recentDeliveries,
       lowStockList,
-      categoryStock
+      categoryStock,
+      locations,
+      selectedLocation: location ? location.toString() : ''
     });
   } catch (error) {
     console.error('Dashboard error:', error);
-    req.flash('error', 'Error loading dashboard');
+    req.flash('error', error.unknownLocation ? 'Unknown location' : 'Error loading dashboard');
     res.render('dashboard/index', {
       title: 'Dashboard',
       user: req.user,
       stats: {},
       recentDeliveries: [],
       lowStockList: [],
-      categoryStock: []
+      categoryStock: [],
+      locations,
+      selectedLocation: ''
     });
   }
 });
@@ -85,28 +113,30 @@ router.get('/', async (req, res) => {
 // Get dashboard statistics (API endpoint)
 router.get('/api/stats', async (req, res) => {
   try {
+    const location = req.query.location ? await resolveLocation(req.query.location) : null;
+    const atLocation = location ? { location } : {};
     const { today, tomorrow } = getTodayRange();
     const { thisMonth, nextMonth } = getMonthRange();
 
     const stats = {
-      totalItems: await Inventory.countDocuments(),
-      totalStock: await Inventory.aggregate([
-        { $group: { _id: null, total: { $sum: '$quantity' } } }
-      ]).then(result => getTotalFromAggregate(result)),
-      lowStockItems: await Inventory.countDocuments({ quantity: { $lte: 10, $gt: 0 } }),
-      outOfStockItems: await Inventory.countDocuments({ quantity: 0 }),
+      ...await inventoryStats(location),
       todayDeliveries: await Delivery.countDocuments({
+        ...atLocation,
         deliveryDate: { $gte: today, $lt: tomorrow }
       }),
       thisMonthDeliveries: await Delivery.countDocuments({
+        ...atLocation,
         deliveryDate: { $gte: thisMonth, $lt: nextMonth }
       }),
-      totalDeliveries: await Delivery.countDocuments()
+      totalDeliveries: await Delivery.countDocuments(atLocation)
     };
 
     res.json({ success: true, stats });
   } catch (error) {
     console.error('Dashboard stats error:', error);
+    if (error.unknownLocation) {
+      return res.status(400).json({ error: 'Unknown location' });
+    }
     res.status(500).json({ error: 'Error getting dashboard statistics' });
   }
 });
@@ -1,57 +1,170 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
 const Delivery = require('../models/Delivery');
+const DeliveryOrder = require('../models/DeliveryOrder');
+const DeliveryReturn = require('../models/DeliveryReturn');
+const GoodsReceipt = require('../models/GoodsReceipt');
 const Inventory = require('../models/Inventory');
+const Kit = require('../models/Kit');
+const StockMovement = require('../models/StockMovement');
+const Supplier = require('../models/Supplier');
 const { requireAuth, requireStaff, requireAdmin } = require('../middleware/auth');
-const { flashMessages, getTodayRange, getMonthRange, formatCurrency } = require('../utils/helpers');
+const { flashMessages, getTodayRange, getMonthRange, formatCurrency, escapeRegex } = require('../utils/helpers');
+const { adjustStock, issueStock, revertStock } = require('../utils/stockLedger');
+const { listLocations, resolveLocation, quantityAt } = require('../utils/locations');
+const { recordOrder } = require('../utils/deliveryOrders');
+const { runAtomically } = require('../utils/transaction');
+const { checkEntitlements, claimEntitlements, releaseEntitlements, describeExceeded } = require('../utils/entitlements');
+const { buildDeliveryNotePdf, buildDeliveryNoteDocx } = require('../utils/deliveryNote');
+const { checkScan, findByBarcode, itemsWithAlias } = require('../utils/barcode');
+const { deliveryTaxRate, deliveryPrices } = require('../utils/prices');
+const { addCost, takeCost } = require('../utils/costing');
+const { kitParts } = require('../utils/kits');
 const router = express.Router();
 
 // All delivery routes require authentication
 router.use(requireAuth);
 router.use(flashMessages);
 
-// Delivery scanning page
-router.get('/scan', requireStaff, (req, res) => {
-  res.render('delivery/scan', {
-    title: 'Scan Barcode for Delivery',
-    user: req.user
+// Item fields the scan page works with; quantity is the stock at the scan location
+const scannedItem = (item, available) => ({
+  id: item._id,
+  itemName: item.itemName,
+  category: item.category,
+  size: item.size,
+  color: item.color,
+  barcode: item.barcode,
+  quantity: available,
+  totalQuantity: item.quantity,
+  price: item.price,
+  averageCost: item.averageCost,
+  description: item.description
+});
+
+// A scanned kit: its parts with the items in stock at the scan location, for
+// the scan page to put in the cart. Parts whose size is chosen at issue list
+// every size in stock.
+const scanKit = async (req, res, kit) => {
+  const { mode, locationId } = req.body;
+  if (mode !== 'deliver') {
+    return res.status(400).json({
+      success: false,
+      error: `${kit.name} is a kit; kits can only be scanned on the delivery page`
+    });
+  }
+
+  const [{ parts, available }] = await kitParts([kit], await resolveLocation(locationId));
+  if (available <= 0) {
+    const short = parts.filter(part => part.available < part.quantity).map(part => part.label);
+    return res.status(400).json({
+      success: false,
+      error: `Not enough stock at this location for ${kit.name}: ${short.join(', ')}`
+    });
+  }
+
+  res.json({
+    success: true,
+    kit: {
+      id: kit._id,
+      name: kit.name,
+      barcode: kit.barcode,
+      available,
+      parts: parts.map(part => ({
+        label: part.label,
+        quantity: part.quantity,
+        sizeAtIssue: part.sizeAtIssue,
+        options: part.options
+          .filter(option => option.available > 0)
+          .map(option => scannedItem(option.item, option.available))
+      }))
+    }
   });
+};
+
+// Delivery scanning page
+router.get('/scan', requireStaff, async (req, res) => {
+  try {
+    res.render('delivery/scan', {
+      title: 'Scan Barcode for Delivery',
+      user: req.user,
+      mode: 'deliver',
+      suppliers: [],
+      locations: await listLocations({ activeOnly: true }),
+      taxRate: deliveryTaxRate()
+    });
+  } catch (error) {
+    console.error('Scan page error:', error);
+    req.flash('error', 'Error loading scan page');
+    res.redirect('/dashboard');
+  }
+});
+
+// Goods receiving page - same scanner and cart, adding stock instead
+router.get('/receive', requireStaff, async (req, res) => {
+  try {
+    res.render('delivery/scan', {
+      title: 'Receive Stock',
+      user: req.user,
+      mode: 'receive',
+      suppliers: [...new Set([
+        ...(await Supplier.find({ isActive: true }).distinct('name')),
+        ...(await GoodsReceipt.distinct('supplier'))
+      ])].filter(Boolean).sort(),
+      locations: await listLocations({ activeOnly: true })
+    });
+  } catch (error) {
+    console.error('Receive page error:', error);
+    req.flash('error', 'Error loading receiving page');
+    res.redirect('/dashboard');
+  }
 });
 
 // Process barcode scan
 router.post('/scan', requireStaff, async (req, res) => {
   try {
-    const { barcode } = req.body;
+    const { mode, locationId } = req.body;
+    const { barcode, error: scanError } = await checkScan(req.body.barcode);
+    if (scanError) {
+      return res.status(400).json({
+        success: false,
+        error: scanError
+      });
+    }
 
-    const item = await Inventory.findOne({ barcode });
+    const { item, alias, packSize } = await findByBarcode(barcode);
     if (!item) {
+      const kit = await Kit.findOne({ barcode, isActive: true });
+      if (kit) return await scanKit(req, res, kit);
+
       return res.status(404).json({
         success: false,
         error: 'Item not found with this barcode'
       });
     }
 
-    if (item.quantity <= 0) {
+    // Stock at the location chosen on the scan page
+    const available = quantityAt(item, await resolveLocation(locationId));
+
+    // Out-of-stock items can still be received, from a supplier or another location
+    if (!['receive', 'transfer-receive', 'po-receive'].includes(mode) && available <= 0) {
       return res.status(400).json({
         success: false,
-        error: 'Item is out of stock'
+        error: item.quantity > 0 ? 'Item is out of stock at this location' : 'Item is out of stock'
       });
     }
 
     res.json({
       success: true,
-      item: {
-        id: item._id,
-        itemName: item.itemName,
-        category: item.category,
-        size: item.size,
-        color: item.color,
-        barcode: item.barcode,
-        quantity: item.quantity,
-        price: item.price,
-        description: item.description
-      }
+      item: scannedItem(item, available),
+      // Units this scan counts as, more than 1 for a carton alias
+      packSize,
+      alias: alias ? { barcode: alias.barcode, source: alias.source } : null
     });
   } catch (error) {
+    if (error.unknownLocation) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Barcode scan error:', error);
     res.status(500).json({
       success: false,
@@ -60,83 +173,149 @@ router.post('/scan', requireStaff, async (req, res) => {
   }
 });
 
-// Record multiple items delivery - FIX: Allows multiple items from different categories to same customer
+// Mirror a line edit or removal onto its delivery order, dropping the order once it is empty.
+// Inside runAtomically pass { session, onRollback } as well.
+const syncOrderLine = async (delivery, { removed = false, session = null, onRollback = () => {} } = {}) => {
+  if (!delivery.deliveryOrder) return;
+
+  const order = await DeliveryOrder.findById(delivery.deliveryOrder).session(session);
+  if (!order) return;
+
+  const line = order.lines.find(l => l.delivery.equals(delivery._id));
+  if (!line) return;
+
+  const before = order.toObject();
+  if (removed) {
+    order.lines.pull(line._id);
+  } else {
+    line.quantity = delivery.quantityDelivered;
+  }
+
+  if (order.lines.length === 0) {
+    await DeliveryOrder.deleteOne({ _id: order._id }, { session });
+    onRollback(() => DeliveryOrder.insertMany([before]));
+  } else {
+    await order.save({ session });
+    onRollback(() => DeliveryOrder.replaceOne({ _id: order._id }, before));
+  }
+};
+
+// Error for a delivery edit that cannot be applied; what it wrote is rolled back
+const editRejected = (message) => {
+  const error = new Error(message);
+  error.editRejected = true;
+  return error;
+};
+
+// Error for a cart that would take a customer over their allowance; nothing has been written
+const entitlementExceeded = (customer, exceeded) => {
+  const error = new Error(`Entitlement exceeded for ${customer.name}. ${describeExceeded(exceeded)}`);
+  error.entitlementExceeded = exceeded;
+  return error;
+};
+
+// Record multiple items delivery - all cart lines are committed together or not at all
 router.post('/record-multiple', requireStaff, async (req, res) => {
   try {
-    const { customerName, notes, items } = req.body;
+    const { customerId, customerName, notes, items, locationId } = req.body;
 
-    if (!customerName || !customerName.trim()) {
-      return res.status(400).json({ success: false, error: 'Customer name is required' });
+    if (!customerId && (!customerName || !customerName.trim())) {
+      return res.status(400).json({ success: false, error: 'Customer is required' });
     }
 
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ success: false, error: 'No items provided' });
     }
 
-    const results = [];
-    const errors = [];
-
-    // Process each item in the cart
-    for (const item of items) {
-      const { inventoryId, barcode, quantityDelivered } = item;
-
-      try {
-        // Find the inventory item
-        const inventoryItem = await Inventory.findById(inventoryId);
-        if (!inventoryItem) {
-          errors.push(`Item with barcode ${barcode} not found`);
-          continue;
-        }
-
-        // Check if enough stock is available
-        if (inventoryItem.quantity < parseInt(quantityDelivered)) {
-          errors.push(`Insufficient stock for ${inventoryItem.itemName}. Available: ${inventoryItem.quantity}`);
-          continue;
-        }
-
-        // Create delivery record
-        const delivery = new Delivery({
-          inventoryItem: inventoryId,
-          barcode,
-          customerName: customerName.trim(),
-          quantityDelivered: parseInt(quantityDelivered),
-          deliveredBy: req.session.userId,
-          notes: notes || ''
-        });
-
-        await delivery.save();
-
-        // Update inventory quantity
-        await Inventory.findByIdAndUpdate(inventoryId, {
-          $inc: { quantity: -parseInt(quantityDelivered) }
-        });
-
-        results.push({
-          itemName: inventoryItem.itemName,
-          quantity: quantityDelivered
-        });
-      } catch (itemError) {
-        console.error(`Error processing item ${barcode}:`, itemError);
-        errors.push(`Error processing item ${barcode}`);
-      }
+    const discountRate = req.body.discountRate ? parseFloat(req.body.discountRate) : 0;
+    if (!(discountRate >= 0 && discountRate <= 100)) {
+      return res.status(400).json({ success: false, error: 'Discount must be between 0 and 100 percent' });
     }
 
-    if (results.length === 0) {
+    const lines = items.map(({ inventoryId, barcode, quantityDelivered }) => ({
+      inventoryId,
+      barcode,
+      quantity: parseInt(quantityDelivered)
+    }));
+
+    // Reject malformed lines before touching stock
+    const invalidLines = lines.filter(line => !mongoose.isValidObjectId(line.inventoryId) || !(line.quantity > 0));
+    if (invalidLines.length > 0) {
       return res.status(400).json({
         success: false,
-        error: errors.length > 0 ? errors.join('; ') : 'No items could be processed'
+        error: `Invalid item or quantity for barcode(s): ${invalidLines.map(line => line.barcode).join(', ')}`,
+        lines: invalidLines.map(line => ({ ...line, success: false, error: 'Invalid item or quantity' }))
       });
     }
 
-    const message = `Delivery recorded: ${results.length} item(s) for ${customerName}`;
+    const customer = await Customer.resolve({ customerId, customerName });
+    if (!customer) {
+      return res.status(400).json({ success: false, error: 'Customer not found' });
+    }
+
+    // Entitlement allowances can only be exceeded by an admin giving a reason
+    const canOverride = req.session.userRole === 'admin';
+    const overrideReason = (req.body.overrideReason || '').trim();
+
+    const { order, report } = await runAtomically(async (tx) => {
+      // Checked with the customer's allowances held, so a cart recorded at the same time cannot use them too
+      await claimEntitlements(customer, tx);
+      let entitlementOverride;
+      const exceeded = await checkEntitlements(customer, lines, tx);
+      if (exceeded.length > 0) {
+        if (!canOverride || !overrideReason) throw entitlementExceeded(customer, exceeded);
+        entitlementOverride = { reason: overrideReason, approvedBy: req.session.userId, exceeded };
+      }
+
+      const recorded = await recordOrder(lines, {
+        customer,
+        notes: notes || '',
+        userId: req.session.userId,
+        entitlementOverride,
+        location: locationId,
+        discountRate,
+        kits: Array.isArray(req.body.kits) ? req.body.kits : []
+      }, tx);
+      await releaseEntitlements(customer, tx);
+      return recorded;
+    });
+
+    const message = `Delivery ${order.orderNumber} recorded: ${report.length} item(s) for ${customer.name}`;
 
     res.json({
       success: true,
       message,
-      deliveredItems: results,
-      errors: errors.length > 0 ? errors : undefined
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customer: { id: customer._id, customerCode: customer.customerCode, name: customer.name },
+      deliveredItems: report.map(line => ({ itemName: line.itemName, quantity: line.quantity })),
+      lines: report
     });
   } catch (error) {
+    if (error.lineReport) {
+      return res.status(409).json({
+        success: false,
+        error: `No items were delivered. ${error.message}`,
+        lines: error.lineReport
+      });
+    }
+    if (error.kitIncomplete) {
+      return res.status(400).json({ success: false, error: `No items were delivered. ${error.message}` });
+    }
+    if (error.entitlementExceeded) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+        entitlementExceeded: error.entitlementExceeded,
+        canOverride: req.session.userRole === 'admin'
+      });
+    }
+    if (error.entitlementBusy) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error.unknownLocation) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Record multiple delivery error:', error);
     res.status(500).json({ success: false, error: 'Error recording delivery' });
   }
@@ -145,68 +324,270 @@ router.post('/record-multiple', requireStaff, async (req, res) => {
 // Record delivery (single item - kept for backward compatibility)
 router.post('/record', requireStaff, async (req, res) => {
   try {
-    const { inventoryId, barcode, customerName, quantityDelivered, notes } = req.body;
+    const { inventoryId, barcode, customerId, customerName, quantityDelivered, notes, locationId } = req.body;
 
-    // Find the inventory item
-    const inventoryItem = await Inventory.findById(inventoryId);
-    if (!inventoryItem) {
-      req.flash('error', 'Inventory item not found');
+    if (!mongoose.isValidObjectId(inventoryId) || !(parseInt(quantityDelivered) > 0)) {
+      req.flash('error', 'Invalid item or quantity');
       return res.redirect('/delivery/scan');
     }
 
-    // Check if enough stock is available
-    if (inventoryItem.quantity < parseInt(quantityDelivered)) {
-      req.flash('error', `Insufficient stock for ${inventoryItem.itemName}. Available: ${inventoryItem.quantity}, Requested: ${quantityDelivered}`);
+    const customer = await Customer.resolve({ customerId, customerName });
+    if (!customer) {
+      req.flash('error', 'Customer is required');
       return res.redirect('/delivery/scan');
     }
 
-    // Create delivery record
-    const delivery = new Delivery({
-      inventoryItem: inventoryId,
-      barcode,
-      customerName,
-      quantityDelivered: parseInt(quantityDelivered),
-      deliveredBy: req.session.userId,
-      notes
-    });
-
-    await delivery.save();
+    const lines = [{ inventoryId, barcode, quantity: parseInt(quantityDelivered) }];
+    const { order } = await runAtomically(async (tx) => {
+      await claimEntitlements(customer, tx);
+      const exceeded = await checkEntitlements(customer, lines, tx);
+      if (exceeded.length > 0) throw entitlementExceeded(customer, exceeded);
 
-    // Update inventory quantity
-    await Inventory.findByIdAndUpdate(inventoryId, {
-      $inc: { quantity: -parseInt(quantityDelivered) }
+      const recorded = await recordOrder(lines, { customer, notes, userId: req.session.userId, location: locationId }, tx);
+      await releaseEntitlements(customer, tx);
+      return recorded;
     });
 
-    req.flash('success', `Delivery recorded successfully for ${customerName}`);
+    req.flash('success', `Delivery ${order.orderNumber} recorded successfully for ${customer.name}`);
     res.redirect('/delivery/scan');
   } catch (error) {
+    if (error.lineReport || error.entitlementExceeded || error.entitlementBusy) {
+      req.flash('error', error.message);
+      return res.redirect('/delivery/scan');
+    }
     console.error('Record delivery error:', error);
     req.flash('error', 'Error recording delivery');
     res.redirect('/delivery/scan');
   }
 });
 
-// Delivery history
+// Record a goods receipt - all scanned lines are added to stock together or not at all
+router.post('/receive', requireStaff, async (req, res) => {
+  try {
+    const { supplier, referenceNumber, notes, items, locationId } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, error: 'No items provided' });
+    }
+
+    // An empty unit cost leaves the item's average cost as it is
+    const lines = items.map(({ inventoryId, barcode, quantityReceived, unitCost }) => ({
+      inventoryId,
+      barcode,
+      quantity: parseInt(quantityReceived),
+      unitCost: unitCost === undefined || unitCost === null || unitCost === '' ? null : parseFloat(unitCost)
+    }));
+
+    const invalidLines = lines.filter(line => !mongoose.isValidObjectId(line.inventoryId) || !(line.quantity > 0) || !(line.unitCost === null || line.unitCost >= 0));
+    if (invalidLines.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid item, quantity or unit cost for barcode(s): ${invalidLines.map(line => line.barcode).join(', ')}`
+      });
+    }
+
+    const location = await resolveLocation(locationId);
+    const receipt = await runAtomically(async ({ session, onRollback }) => {
+      const goodsReceipt = new GoodsReceipt({
+        supplier,
+        referenceNumber,
+        notes,
+        receivedBy: req.session.userId,
+        location
+      });
+      const source = [supplier, referenceNumber].filter(Boolean).join(' ');
+      onRollback(() => StockMovement.deleteMany({ sourceModel: 'GoodsReceipt', sourceDocument: goodsReceipt._id }));
+
+      for (const line of lines) {
+        const item = await adjustStock({
+          itemId: line.inventoryId,
+          delta: line.quantity,
+          reason: 'receipt',
+          userId: req.session.userId,
+          location,
+          sourceModel: 'GoodsReceipt',
+          sourceDocument: goodsReceipt._id,
+          notes: source ? `Received from ${source}` : undefined,
+          session
+        });
+        if (!item) {
+          const error = new Error(`Item with barcode ${line.barcode} not found`);
+          error.receiptRejected = true;
+          throw error;
+        }
+        onRollback(() => revertStock({ itemId: item._id, delta: line.quantity, location }));
+        const unitCost = await addCost(item._id, line.quantity, line.unitCost, { session, onRollback });
+
+        goodsReceipt.lines.push({
+          inventoryItem: item._id,
+          barcode: item.barcode,
+          itemName: item.itemName,
+          quantity: line.quantity,
+          unitCost,
+          balanceAfter: item.quantity
+        });
+      }
+
+      goodsReceipt.receiptNumber = await GoodsReceipt.nextReceiptNumber(session);
+      await goodsReceipt.save({ session });
+      return goodsReceipt;
+    });
+
+    res.json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} recorded: ${receipt.totalQuantity} item(s) added to stock`,
+      receiptId: receipt._id,
+      receiptNumber: receipt.receiptNumber
+    });
+  } catch (error) {
+    if (error.receiptRejected) {
+      return res.status(409).json({ success: false, error: `No stock was received. ${error.message}` });
+    }
+    if (error.unknownLocation) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Record receipt error:', error);
+    res.status(500).json({ success: false, error: 'Error recording receipt' });
+  }
+});
+
+// Goods receipts log
+router.get('/receipts', requireStaff, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.supplier) {
+      filter.supplier = { $regex: escapeRegex(req.query.supplier), $options: 'i' };
+    }
+    if (req.query.search) {
+      const search = { $regex: escapeRegex(req.query.search), $options: 'i' };
+      filter.$or = [
+        { receiptNumber: search },
+        { referenceNumber: search },
+        { 'lines.barcode': search },
+        { 'lines.inventoryItem': { $in: await itemsWithAlias(search) } }
+      ];
+    }
+    if (req.query.startDate && req.query.endDate) {
+      filter.receivedDate = { $gte: new Date(req.query.startDate), $lte: new Date(req.query.endDate) };
+    }
+
+    const receipts = await GoodsReceipt.find(filter)
+      .populate('receivedBy', 'username')
+      .populate('purchaseOrder', 'poNumber')
+      .sort({ receivedDate: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalReceipts = await GoodsReceipt.countDocuments(filter);
+
+    res.render('delivery/receipts', {
+      title: 'Goods Receipts',
+      user: req.user,
+      receipts,
+      currentPage: page,
+      totalPages: Math.ceil(totalReceipts / limit),
+      filter: req.query
+    });
+  } catch (error) {
+    console.error('Goods receipts error:', error);
+    req.flash('error', 'Error loading goods receipts');
+    res.redirect('/dashboard');
+  }
+});
+
+// Delivery history (per line, or per order with ?view=orders)
 router.get('/history', requireStaff, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = 10;
     const skip = (page - 1) * limit;
+    const view = ['orders', 'returns'].includes(req.query.view) ? req.query.view : 'lines';
 
     const filter = {};
+    if (req.query.customer && mongoose.isValidObjectId(req.query.customer)) {
+      filter.customer = req.query.customer;
+    }
     if (req.query.customerName) {
-      filter.customerName = { $regex: req.query.customerName, $options: 'i' };
+      filter.customerName = { $regex: escapeRegex(req.query.customerName), $options: 'i' };
     }
-    if (req.query.startDate && req.query.endDate) {
-      filter.deliveryDate = {
-        $gte: new Date(req.query.startDate),
-        $lte: new Date(req.query.endDate)
-      };
+    const dateRange = req.query.startDate && req.query.endDate
+      ? { $gte: new Date(req.query.startDate), $lte: new Date(req.query.endDate) }
+      : null;
+
+    if (view === 'returns') {
+      if (dateRange) filter.returnDate = dateRange;
+      if (req.query.orderNumber) {
+        filter.returnNumber = { $regex: escapeRegex(req.query.orderNumber), $options: 'i' };
+      }
+
+      const returns = await DeliveryReturn.find(filter)
+        .populate('inventoryItem', 'itemName category size color')
+        .populate('receivedBy', 'username')
+        .populate('deliveryOrder', 'orderNumber')
+        .populate('exchangeOrder', 'orderNumber')
+        .populate({ path: 'exchangeDelivery', select: 'inventoryItem', populate: { path: 'inventoryItem', select: 'itemName size color' } })
+        .sort({ returnDate: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const totalReturns = await DeliveryReturn.countDocuments(filter);
+
+      return res.render('delivery/history', {
+        title: 'Delivery History',
+        user: req.user,
+        view,
+        orders: [],
+        deliveries: [],
+        returns,
+        currentPage: page,
+        totalPages: Math.ceil(totalReturns / limit),
+        filter: req.query
+      });
+    }
+
+    if (view === 'orders') {
+      if (dateRange) filter.orderDate = dateRange;
+      if (req.query.orderNumber) {
+        filter.orderNumber = { $regex: escapeRegex(req.query.orderNumber), $options: 'i' };
+      }
+
+      const orders = await DeliveryOrder.find(filter)
+        .populate('issuedBy', 'username')
+        .sort({ orderDate: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const totalOrders = await DeliveryOrder.countDocuments(filter);
+
+      return res.render('delivery/history', {
+        title: 'Delivery History',
+        user: req.user,
+        view,
+        orders,
+        deliveries: [],
+        returns: [],
+        currentPage: page,
+        totalPages: Math.ceil(totalOrders / limit),
+        filter: req.query
+      });
+    }
+
+    if (dateRange) filter.deliveryDate = dateRange;
+    if (req.query.orderNumber) {
+      const matchingOrders = await DeliveryOrder.find({
+        orderNumber: { $regex: escapeRegex(req.query.orderNumber), $options: 'i' }
+      }).select('_id');
+      filter.deliveryOrder = { $in: matchingOrders.map(order => order._id) };
     }
 
     const deliveries = await Delivery.find(filter)
-      .populate('inventoryItem', 'itemName category size color price')
+      .populate('inventoryItem', 'itemName category size color price priceHistory')
       .populate('deliveredBy', 'username')
+      .populate('deliveryOrder', 'orderNumber')
       .sort({ deliveryDate: -1 })
       .skip(skip)
       .limit(limit);
@@ -217,7 +598,11 @@ router.get('/history', requireStaff, async (req, res) => {
     res.render('delivery/history', {
       title: 'Delivery History',
       user: req.user,
+      view,
+      orders: [],
       deliveries,
+      deliveryPrices,
+      returns: [],
       currentPage: page,
       totalPages,
       filter: req.query
@@ -229,6 +614,23 @@ router.get('/history', requireStaff, async (req, res) => {
   }
 });
 
+// Get delivery order by ID
+router.get('/api/orders/:id', requireStaff, async (req, res) => {
+  try {
+    const order = await DeliveryOrder.findById(req.params.id)
+      .populate('issuedBy', 'username');
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Delivery order not found' });
+    }
+
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('Get delivery order error:', error);
+    res.status(500).json({ success: false, error: 'Error fetching delivery order' });
+  }
+});
+
 // Get single delivery by ID
 router.get('/api/:id', requireStaff, async (req, res) => {
   try {
@@ -247,10 +649,11 @@ router.get('/api/:id', requireStaff, async (req, res) => {
   }
 });
 
-// Update delivery (Admin only)
+// Update delivery (Admin only) - stock, cost, the delivery and its order line change together or not at all
 router.post('/update/:id', requireAdmin, async (req, res) => {
   try {
-    const { customerName, quantityDelivered, notes } = req.body;
+    const { customerId, customerName, quantityDelivered, notes } = req.body;
+    const quantity = parseInt(quantityDelivered);
     const delivery = await Delivery.findById(req.params.id);
 
     if (!delivery) {
@@ -258,38 +661,107 @@ router.post('/update/:id', requireAdmin, async (req, res) => {
       return res.redirect('/delivery/history');
     }
 
-    // If quantity changed, update inventory
-    if (parseInt(quantityDelivered) !== delivery.quantityDelivered) {
-      const diff = parseInt(quantityDelivered) - delivery.quantityDelivered;
-      if (delivery.inventoryItem) {
-        const inventoryItem = await Inventory.findById(delivery.inventoryItem);
-        if (inventoryItem) {
-          // diff < 0 means reducing delivery (returning stock), always allowed
-          // diff > 0 means increasing delivery, need to check available stock
-          if (diff < 0 || inventoryItem.quantity >= diff) {
-            await Inventory.findByIdAndUpdate(delivery.inventoryItem, {
-              $inc: { quantity: -diff }
-            });
-          } else {
-            req.flash('error', `Insufficient stock for quantity update. Available: ${inventoryItem.quantity}, Additional needed: ${diff}`);
-            return res.redirect('/delivery/history');
-          }
+    if (!(quantity > 0)) {
+      req.flash('error', 'Quantity must be at least 1');
+      return res.redirect('/delivery/history');
+    }
+
+    if (quantity < delivery.quantityReturned) {
+      req.flash('error', `${delivery.quantityReturned} of this delivery has already been returned. Quantity cannot be lower.`);
+      return res.redirect('/delivery/history');
+    }
+
+    const customer = await Customer.resolve({ customerId, customerName });
+    if (!customer) {
+      req.flash('error', 'Customer is required');
+      return res.redirect('/delivery/history');
+    }
+
+    // diff < 0 means reducing delivery (returning stock), always allowed
+    // diff > 0 means increasing delivery, only if the guarded decrement succeeds
+    const diff = quantity - delivery.quantityDelivered;
+    const startedAt = new Date();
+
+    // Units the edit adds to what the new customer has used of their allowances.
+    // Exchange replacements never count.
+    const added = delivery.exchangeFor
+      ? 0
+      : customer._id.equals(delivery.customer)
+        ? diff
+        : quantity - delivery.quantityReturned + delivery.quantityExchanged;
+
+    await runAtomically(async (tx) => {
+      const { session, onRollback } = tx;
+
+      // Checked in the delivery's own period, with the customer's allowances held
+      if (added > 0) {
+        await claimEntitlements(customer, tx);
+        const exceeded = await checkEntitlements(customer, [{ inventoryId: delivery.inventoryItem, quantity: added }], {
+          session,
+          date: delivery.deliveryDate
+        });
+        if (exceeded.length > 0) throw entitlementExceeded(customer, exceeded);
+      }
+
+      // Guarded so an edit made in the meantime is not applied on top of
+      const before = await Delivery.findOneAndUpdate(
+        { _id: delivery._id, quantityDelivered: delivery.quantityDelivered, quantityReturned: { $lte: quantity } },
+        { customer: customer._id, customerName: customer.name, quantityDelivered: quantity, notes },
+        { session }
+      ).lean();
+      if (!before) throw editRejected('This delivery was changed in the meantime, please try again');
+      onRollback(() => Delivery.replaceOne({ _id: before._id }, before));
+
+      if (diff !== 0) {
+        const entry = {
+          reason: 'delivery_edit',
+          userId: req.session.userId,
+          location: delivery.location,
+          sourceModel: 'Delivery',
+          sourceDocument: delivery._id,
+          session
+        };
+        const updated = diff < 0
+          ? await adjustStock({ itemId: delivery.inventoryItem, delta: -diff, ...entry })
+          : await issueStock({ itemId: delivery.inventoryItem, quantity: diff, ...entry });
+        if (!updated) {
+          const inventoryItem = await Inventory.findById(delivery.inventoryItem).session(session);
+          throw editRejected(inventoryItem
+            ? `Insufficient stock for quantity update. Available: ${quantityAt(inventoryItem, await resolveLocation(delivery.location))}, Additional needed: ${diff}`
+            : 'Associated inventory item no longer exists');
+        }
+        onRollback(() => revertStock({ itemId: delivery.inventoryItem, delta: -diff, location: delivery.location }));
+        onRollback(() => StockMovement.deleteMany({
+          sourceModel: 'Delivery',
+          sourceDocument: delivery._id,
+          reason: 'delivery_edit',
+          createdAt: { $gte: startedAt }
+        }));
+
+        // Stock handed back goes in at what it cost; extra stock is costed as
+        // it is issued and averaged into the delivery's unit cost
+        if (diff < 0) {
+          await addCost(delivery.inventoryItem, -diff, delivery.unitCost, tx);
         } else {
-          req.flash('error', 'Associated inventory item no longer exists');
-          return res.redirect('/delivery/history');
+          const extraCost = await takeCost(delivery.inventoryItem, diff, tx);
+          if (delivery.unitCost != null) {
+            const unitCost = (delivery.unitCost * delivery.quantityDelivered + extraCost * diff) / quantity;
+            await Delivery.updateOne({ _id: delivery._id }, { unitCost }, { session });
+          }
         }
       }
-    }
 
-    // Update delivery
-    delivery.customerName = customerName;
-    delivery.quantityDelivered = parseInt(quantityDelivered);
-    delivery.notes = notes;
-    await delivery.save();
+      await syncOrderLine({ ...before, quantityDelivered: quantity }, { session, onRollback });
+      if (added > 0) await releaseEntitlements(customer, tx);
+    });
 
     req.flash('success', 'Delivery updated successfully');
     res.redirect('/delivery/history');
   } catch (error) {
+    if (error.editRejected || error.entitlementExceeded || error.entitlementBusy) {
+      req.flash('error', error.message);
+      return res.redirect('/delivery/history');
+    }
     console.error('Update delivery error:', error);
     req.flash('error', 'Error updating delivery');
     res.redirect('/delivery/history');
@@ -306,14 +778,29 @@ router.post('/delete/:id', requireAdmin, async (req, res) => {
       return res.redirect('/delivery/history');
     }
 
+    // Returned stock was already put back by the return itself
+    if (delivery.quantityReturned > 0) {
+      req.flash('error', 'This delivery has returns recorded against it and cannot be deleted');
+      return res.redirect('/delivery/history');
+    }
+
     // If the inventory item still exists, restore the quantity
     if (delivery.inventoryItem) {
-      await Inventory.findByIdAndUpdate(delivery.inventoryItem, {
-        $inc: { quantity: delivery.quantityDelivered }
+      await adjustStock({
+        itemId: delivery.inventoryItem,
+        delta: delivery.quantityDelivered,
+        reason: 'delivery_reversal',
+        userId: req.session.userId,
+        location: delivery.location,
+        sourceModel: 'Delivery',
+        sourceDocument: delivery._id,
+        notes: `Delivery to ${delivery.customerName} deleted`
       });
+      await addCost(delivery.inventoryItem, delivery.quantityDelivered, delivery.unitCost);
     }
 
     await Delivery.findByIdAndDelete(req.params.id);
+    await syncOrderLine(delivery, { removed: true });
     req.flash('success', 'Delivery deleted successfully');
     res.redirect('/delivery/history');
   } catch (error) {
@@ -323,6 +810,128 @@ router.post('/delete/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// Print delivery note for an order (PDF or Word)
+router.get('/orders/:id/note/:format', requireStaff, async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (format !== 'pdf' && format !== 'docx') {
+      req.flash('error', 'Unsupported delivery note format');
+      return res.redirect('/delivery/history?view=orders');
+    }
+
+    const order = await DeliveryOrder.findById(req.params.id)
+      .populate('issuedBy', 'username')
+      .populate('lines.inventoryItem', 'itemName size color');
+
+    if (!order) {
+      req.flash('error', 'Delivery order not found');
+      return res.redirect('/delivery/history?view=orders');
+    }
+
+    const buffer = format === 'pdf'
+      ? await buildDeliveryNotePdf(order)
+      : await buildDeliveryNoteDocx(order);
+
+    const contentType = format === 'pdf'
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    const disposition = format === 'pdf' ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="delivery-note-${order.orderNumber}.${format}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Delivery note error:', error);
+    req.flash('error', 'Error generating delivery note');
+    res.redirect('/delivery/history?view=orders');
+  }
+});
+
+// Update delivery order customer and notes on the order and all its lines (Admin only)
+router.post('/orders/update/:id', requireAdmin, async (req, res) => {
+  try {
+    const { customerId, customerName, notes } = req.body;
+    const order = await DeliveryOrder.findById(req.params.id);
+
+    if (!order) {
+      req.flash('error', 'Delivery order not found');
+      return res.redirect('/delivery/history?view=orders');
+    }
+
+    const customer = await Customer.resolve({ customerId, customerName });
+    if (!customer) {
+      req.flash('error', 'Customer is required');
+      return res.redirect('/delivery/history?view=orders');
+    }
+
+    order.customer = customer._id;
+    order.customerName = customer.name;
+    order.notes = notes;
+    await order.save();
+    await Delivery.updateMany({ deliveryOrder: order._id }, { customer: customer._id, customerName: customer.name, notes });
+
+    req.flash('success', `Delivery order ${order.orderNumber} updated successfully`);
+    res.redirect('/delivery/history?view=orders');
+  } catch (error) {
+    console.error('Update delivery order error:', error);
+    req.flash('error', 'Error updating delivery order');
+    res.redirect('/delivery/history?view=orders');
+  }
+});
+
+// Delete delivery order and restore stock for every line (Admin only)
+router.post('/orders/delete/:id', requireAdmin, async (req, res) => {
+  try {
+    const order = await DeliveryOrder.findById(req.params.id);
+
+    if (!order) {
+      req.flash('error', 'Delivery order not found');
+      return res.redirect('/delivery/history?view=orders');
+    }
+
+    if (await Delivery.exists({ deliveryOrder: order._id, quantityReturned: { $gt: 0 } })) {
+      req.flash('error', `Delivery order ${order.orderNumber} has returns recorded against it and cannot be deleted`);
+      return res.redirect('/delivery/history?view=orders');
+    }
+
+    await runAtomically(async ({ session, onRollback }) => {
+      const deliveries = await Delivery.find({ deliveryOrder: order._id }).session(session);
+
+      for (const delivery of deliveries) {
+        const restored = await adjustStock({
+          itemId: delivery.inventoryItem,
+          delta: delivery.quantityDelivered,
+          reason: 'delivery_reversal',
+          userId: req.session.userId,
+          location: delivery.location,
+          sourceModel: 'Delivery',
+          sourceDocument: delivery._id,
+          notes: `Delivery order ${order.orderNumber} deleted`,
+          session
+        });
+        if (restored) {
+          onRollback(() => revertStock({ itemId: delivery.inventoryItem, delta: delivery.quantityDelivered, location: delivery.location }));
+          onRollback(() => StockMovement.deleteMany({ reason: 'delivery_reversal', sourceDocument: delivery._id }));
+          await addCost(delivery.inventoryItem, delivery.quantityDelivered, delivery.unitCost, { session, onRollback });
+        }
+      }
+
+      await Delivery.deleteMany({ deliveryOrder: order._id }, { session });
+      onRollback(() => Delivery.insertMany(deliveries.map(delivery => delivery.toObject())));
+
+      await DeliveryOrder.deleteOne({ _id: order._id }, { session });
+    });
+
+    req.flash('success', `Delivery order ${order.orderNumber} deleted successfully`);
+    res.redirect('/delivery/history?view=orders');
+  } catch (error) {
+    console.error('Delete delivery order error:', error);
+    req.flash('error', 'Error deleting delivery order');
+    res.redirect('/delivery/history?view=orders');
+  }
+});
+
 // Get delivery statistics
 router.get('/api/stats', requireStaff, async (req, res) => {
   try {
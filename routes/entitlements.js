@@ -0,0 +1,121 @@
+const express = require('express');
+const Customer = require('../models/Customer');
+const EntitlementRule = require('../models/EntitlementRule');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { flashMessages } = require('../utils/helpers');
+const { categoryNames } = require('../utils/categories');
+const router = express.Router();
+
+// All entitlement routes are for admins
+router.use(requireAuth);
+router.use(requireAdmin);
+router.use(flashMessages);
+
+// Pick the rule fields out of a form body
+const ruleFields = (body) => ({
+  group: (body.group || '').trim(),
+  category: body.category,
+  quantity: parseInt(body.quantity),
+  period: body.period,
+  notes: body.notes
+});
+
+// Turn a save error into a message for the form
+const ruleSaveError = (error) => {
+  if (error.code === 11000) {
+    return 'A rule for this group and category already exists';
+  }
+  return 'Error saving entitlement rule: ' + error.message;
+};
+
+// Entitlement rules page
+router.get('/', async (req, res) => {
+  try {
+    const rules = await EntitlementRule.find().sort({ group: 1, category: 1 });
+
+    const groupCounts = await Customer.aggregate([
+      { $match: { isActive: true, group: { $nin: [null, ''] } } },
+      { $group: { _id: '$group', customers: { $sum: 1 } } }
+    ]);
+    const customersByGroup = {};
+    groupCounts.forEach(count => {
+      customersByGroup[count._id] = count.customers;
+    });
+
+    res.render('entitlements/index', {
+      title: 'Entitlement Rules',
+      user: req.user,
+      rules,
+      customersByGroup,
+      groups: [...new Set([...rules.map(rule => rule.group), ...Object.keys(customersByGroup)])].sort(),
+      categories: await categoryNames(),
+      periods: EntitlementRule.schema.path('period').enumValues
+    });
+  } catch (error) {
+    console.error('Entitlement rules error:', error);
+    req.flash('error', 'Error loading entitlement rules');
+    res.redirect('/customers');
+  }
+});
+
+// Add entitlement rule
+router.post('/add', async (req, res) => {
+  try {
+    const fields = ruleFields(req.body);
+    if (!fields.group || !(fields.quantity >= 0)) {
+      req.flash('error', 'Group and a quantity of 0 or more are required');
+      return res.redirect('/entitlements');
+    }
+
+    await EntitlementRule.create(fields);
+    req.flash('success', `Entitlement added: ${fields.group} may receive ${fields.quantity} ${fields.category} per ${fields.period}`);
+    res.redirect('/entitlements');
+  } catch (error) {
+    console.error('Add entitlement rule error:', error);
+    req.flash('error', ruleSaveError(error));
+    res.redirect('/entitlements');
+  }
+});
+
+// Update entitlement rule
+router.post('/edit/:id', async (req, res) => {
+  try {
+    const rule = await EntitlementRule.findById(req.params.id);
+    if (!rule) {
+      req.flash('error', 'Entitlement rule not found');
+      return res.redirect('/entitlements');
+    }
+
+    const fields = ruleFields(req.body);
+    if (!fields.group || !(fields.quantity >= 0)) {
+      req.flash('error', 'Group and a quantity of 0 or more are required');
+      return res.redirect('/entitlements');
+    }
+
+    rule.set(fields);
+    rule.isActive = req.body.isActive === 'on';
+    await rule.save();
+
+    req.flash('success', 'Entitlement rule updated successfully');
+    res.redirect('/entitlements');
+  } catch (error) {
+    console.error('Update entitlement rule error:', error);
+    req.flash('error', ruleSaveError(error));
+    res.redirect('/entitlements');
+  }
+});
+
+// Delete entitlement rule
+router.post('/delete/:id', async (req, res) => {
+  try {
+    await EntitlementRule.findByIdAndDelete(req.params.id);
+    req.flash('success', 'Entitlement rule deleted successfully');
+    res.redirect('/entitlements');
+  } catch (error) {
+    console.error('Delete entitlement rule error:', error);
+    req.flash('error', 'Error deleting entitlement rule');
+    res.redirect('/entitlements');
+  }
+});
+
+module.exports = router;
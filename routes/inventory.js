@@ -1,41 +1,55 @@
 // FULL UPDATED INVENTORY ROUTES WITH EXCELJS BARCODE EXPORT (COMPLETE FILE)
 
 const express = require('express');
+const mongoose = require('mongoose');
+const DeletedItem = require('../models/DeletedItem');
+const GoodsReceipt = require('../models/GoodsReceipt');
 const Inventory = require('../models/Inventory');
+const Kit = require('../models/Kit');
+const StockMovement = require('../models/StockMovement');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
-const bwipjs = require('bwip-js');
 const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+const multer = require('multer');
 const moment = require('moment');
 const { flashMessages } = require('../utils/helpers');
+const { CODE_FORMATS, generateBarcode, generateCodeImage, appUrl, checkScan, findByBarcode, barcodeTaken } = require('../utils/barcode');
+const { recordMovement, adjustStock, setStock } = require('../utils/stockLedger');
+const { MAX_ROWS, TEMPLATE_HEADERS, readImportFile, planImport, applyImport } = require('../utils/inventoryImport');
+const { DEFAULT_SIZES, listCategories, categoryNames, categoryFilter, reorderDefaults } = require('../utils/categories');
+const { isLowStock, lowStockFilter } = require('../utils/reorder');
+const { findOrCreateStyle, removeStyleIfEmpty } = require('../utils/styles');
+const { listLocations, resolveLocation, openingStock, quantityAt } = require('../utils/locations');
+const { recordPriceChange } = require('../utils/prices');
+const { runAtomically } = require('../utils/transaction');
+const { COSTING_METHODS, costingMethod, addCost, followStockChange, revalueStock, stockValue, unitStockCost } = require('../utils/costing');
+const { LABEL_LAYOUTS, LABEL_FIELDS, MAX_LABELS, buildLabelSheetPdf } = require('../utils/labels');
+const { PRINTER_DPIS, printerSettings, buildThermalJob, sendToPrinter } = require('../utils/thermalLabels');
+const Category = require('../models/Category');
 const { Document, Packer, Paragraph, TextRun, Table, TableCell, TableRow, ImageRun, WidthType, AlignmentType, BorderStyle } = require('docx');
 
 const router = express.Router();
 
+// Import spreadsheets are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, /\.(xlsx|xls|csv)$/i.test(file.originalname)),
+});
+
 router.use(flashMessages);
 
-// Generate unique 12-digit numeric barcode
-const generateBarcode = async () => {
-  let attempts = 0;
-  const maxAttempts = 100;
-  while (attempts < maxAttempts) {
-    const barcode = [...Array(12)].map(() => Math.floor(Math.random() * 10)).join('');
-    const exists = await Inventory.findOne({ barcode }).lean();
-    if (!exists) return barcode;
-    attempts++;
-  }
-  throw new Error('Could not generate a unique barcode after 100 attempts.');
+// Optional whole number from a form field; blank or invalid means "use the default"
+const optionalCount = (value, min) => {
+  const number = parseInt(value);
+  return number >= min ? number : null;
 };
 
-// Generate barcode PNG buffer
-const generateBarcodeImage = async (barcode) => {
-  return bwipjs.toBuffer({
-    bcid: 'code128',
-    text: barcode,
-    scale: 3,
-    height: 12,
-    includetext: false,
-  });
-};
+// Item pages are opened from QR codes on labels, so come back to them after login
+router.use('/item', (req, res, next) => {
+  if (!req.session.userId) req.session.returnTo = req.originalUrl;
+  next();
+});
 
 // All inventory routes require authentication
 router.use(requireAuth);
@@ -48,13 +62,15 @@ router.get('/', async (req, res) => {
     const skip = (page - 1) * limit;
 
     const filter = {};
-    if (req.query.category) filter.category = req.query.category;
+    if (req.query.category) filter.category = await categoryFilter(req.query.category);
     if (req.query.search) {
       filter.$or = [
         { itemName: { $regex: req.query.search, $options: 'i' } },
         { barcode: { $regex: req.query.search, $options: 'i' } },
+        { 'aliases.barcode': { $regex: req.query.search, $options: 'i' } },
       ];
     }
+    if (req.query.lowStock === 'true') filter.$and = [await lowStockFilter()];
 
     const items = await Inventory.find(filter)
       .sort({ createdAt: -1 })
@@ -63,14 +79,22 @@ router.get('/', async (req, res) => {
 
     const totalItems = await Inventory.countDocuments(filter);
     const totalPages = Math.ceil(totalItems / limit);
+    const defaults = await reorderDefaults();
+    const locationNames = {};
+    (await listLocations()).forEach((location) => {
+      locationNames[location._id] = location.name;
+    });
 
     res.render('inventory/list', {
       title: 'Inventory Management',
       items,
       currentPage: page,
       totalPages,
-      categories: ['T-Shirt', 'Jacket', 'Cap', 'Trousers', 'Uniform'],
+      categories: await categoryNames(),
+      isLowStock: (item) => isLowStock(item, defaults),
+      locationNames,
       filter: req.query,
+      codeFormats: CODE_FORMATS,
       user: req.user,
     });
   } catch (error) {
@@ -81,48 +105,97 @@ router.get('/', async (req, res) => {
 });
 
 // Add new item page
-router.get('/add', requireAdmin, (req, res) => {
-  res.render('inventory/add', {
-    title: 'Add New Item',
-    categories: ['T-Shirt', 'Jacket', 'Cap', 'Trousers', 'Uniform'],
-    user: req.user,
-  });
+router.get('/add', requireAdmin, async (req, res) => {
+  try {
+    const categories = await listCategories();
+    const sizeSets = {};
+    categories.forEach((category) => {
+      sizeSets[category.name] = category.effectiveSizes;
+    });
+
+    res.render('inventory/add', {
+      title: 'Add New Item',
+      categories: categories.map((category) => category.name),
+      sizeSets,
+      defaultSizes: DEFAULT_SIZES,
+      locations: await listLocations({ activeOnly: true }),
+      user: req.user,
+    });
+  } catch (error) {
+    console.error('Add item page error:', error);
+    req.flash('error', 'Error loading categories');
+    res.redirect('/inventory');
+  }
 });
 
 // Add new item (create or increment sizes)
 router.post('/add', requireAdmin, async (req, res) => {
   try {
     const { itemName, category, sizes, quantities, color, price, description } = req.body;
+    const unitCost = req.body.unitCost === undefined || req.body.unitCost === '' ? null : parseFloat(req.body.unitCost);
+    if (!(unitCost === null || unitCost >= 0)) {
+      req.flash('error', 'Unit cost must be 0 or more');
+      return res.redirect('/inventory/add');
+    }
+    const reorderPoint = optionalCount(req.body.reorderPoint, 0);
+    const reorderQuantity = optionalCount(req.body.reorderQuantity, 1);
+    const location = await resolveLocation(req.body.locationId);
 
     const sizeArray = Array.isArray(sizes) ? sizes : [sizes];
     const quantityArray = Array.isArray(quantities) ? quantities.map((q) => parseInt(q)) : [parseInt(quantities)];
 
     let itemsCreated = 0;
     let itemsUpdated = 0;
+    let style = null;
 
     for (let i = 0; i < sizeArray.length; i++) {
       const size = sizeArray[i];
       const qty = quantityArray[i] ?? 0;
       if (!qty) continue;
 
+      style = style || await findOrCreateStyle({ itemName, category, price: parseFloat(price), description });
+
       const existingItem = await Inventory.findOne({ itemName, category, size, color });
       if (existingItem) {
-        existingItem.quantity += qty;
-        await existingItem.save();
+        if (!existingItem.style) await Inventory.updateOne({ _id: existingItem._id }, { style: style._id });
+        await adjustStock({
+          itemId: existingItem._id,
+          delta: qty,
+          reason: 'receipt',
+          userId: req.session.userId,
+          location,
+          sourceModel: 'Inventory',
+          sourceDocument: existingItem._id,
+        });
+        await addCost(existingItem._id, qty, unitCost);
         itemsUpdated++;
       } else {
         const barcode = await generateBarcode();
         const newItem = new Inventory({
+          style: style._id,
           itemName,
           category,
           size,
           color,
           barcode,
           quantity: qty,
+          stock: openingStock(qty, location),
           price: parseFloat(price),
+          averageCost: unitCost || 0,
+          reorderPoint,
+          reorderQuantity,
           description,
         });
         await newItem.save();
+        await recordMovement({
+          item: newItem,
+          delta: qty,
+          reason: 'receipt',
+          userId: req.session.userId,
+          location,
+          sourceModel: 'Inventory',
+          sourceDocument: newItem._id,
+        });
         itemsCreated++;
       }
     }
@@ -142,6 +215,114 @@ router.post('/add', requireAdmin, async (req, res) => {
   }
 });
 
+// Bulk import page
+router.get('/import', requireAdmin, async (req, res) => {
+  try {
+    res.render('inventory/import', {
+      title: 'Import Items',
+      user: req.user,
+      plan: null,
+      fileName: null,
+      categories: await categoryNames(),
+    });
+  } catch (error) {
+    console.error('Import page error:', error);
+    req.flash('error', 'Error loading import page');
+    res.redirect('/inventory');
+  }
+});
+
+// Blank import sheet with the expected columns
+router.get('/import/template', requireAdmin, async (req, res) => {
+  const [category] = await categoryNames().catch(() => []);
+  const wb = XLSX.utils.book_new();
+  const ws = XLSX.utils.json_to_sheet([
+    { itemName: 'Polo Shirt', category: category || 'T-Shirt', size: 'M', color: 'Navy', quantity: 20, price: 850, unitCost: 520, barcode: '', description: 'Leave barcode empty to generate one' },
+  ], { header: TEMPLATE_HEADERS });
+  XLSX.utils.book_append_sheet(wb, ws, 'Items');
+
+  const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', 'attachment; filename="inventory-import-template.xlsx"');
+  res.send(buffer);
+});
+
+// Dry run: upload a sheet and preview what the import would do
+router.post('/import', requireAdmin, (req, res) => {
+  importUpload.single('file')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        req.flash('error', uploadError.code === 'LIMIT_FILE_SIZE' ? 'File is too large (5 MB maximum)' : 'Error uploading file');
+        return res.redirect('/inventory/import');
+      }
+      if (!req.file) {
+        req.flash('error', 'Choose an .xlsx, .xls or .csv file to import');
+        return res.redirect('/inventory/import');
+      }
+
+      let rows;
+      try {
+        rows = readImportFile(req.file.buffer);
+      } catch (parseError) {
+        req.flash('error', 'Could not read the file. Save it as .xlsx or .csv and try again');
+        return res.redirect('/inventory/import');
+      }
+
+      if (rows.length === 0) {
+        req.flash('error', 'The file has no item rows');
+        return res.redirect('/inventory/import');
+      }
+      if (rows.length > MAX_ROWS) {
+        req.flash('error', `The file has ${rows.length} rows; import at most ${MAX_ROWS} at a time`);
+        return res.redirect('/inventory/import');
+      }
+
+      // Kept until the admin commits, then checked again against the current stock
+      req.session.inventoryImport = { fileName: req.file.originalname, rows };
+
+      res.render('inventory/import', {
+        title: 'Import Items',
+        user: req.user,
+        plan: await planImport(rows),
+        fileName: req.file.originalname,
+        categories: await categoryNames(),
+      });
+    } catch (error) {
+      console.error('Import preview error:', error);
+      req.flash('error', 'Error reading import file');
+      res.redirect('/inventory/import');
+    }
+  });
+});
+
+// Commit the previewed import
+router.post('/import/commit', requireAdmin, async (req, res) => {
+  try {
+    const pending = req.session.inventoryImport;
+    if (!pending) {
+      req.flash('error', 'Upload the file again - the preview has expired');
+      return res.redirect('/inventory/import');
+    }
+
+    // Stock may have changed since the preview, so plan again before writing
+    const plan = await planImport(pending.rows);
+    if (plan.summary.error > 0) {
+      req.flash('error', `Import not applied: ${plan.summary.error} row(s) now have errors. Fix the file and upload it again`);
+      return res.redirect('/inventory/import');
+    }
+
+    const { created, updated } = await applyImport(plan.lines, req.session.userId);
+    delete req.session.inventoryImport;
+
+    req.flash('success', `Imported ${pending.fileName}: ${created} item(s) created, ${updated} item(s) updated`);
+    res.redirect('/inventory');
+  } catch (error) {
+    console.error('Import commit error:', error);
+    req.flash('error', 'Error importing items - nothing was changed');
+    res.redirect('/inventory/import');
+  }
+});
+
 // Edit item page
 router.get('/edit/:id', requireAdmin, async (req, res) => {
   try {
@@ -154,7 +335,11 @@ router.get('/edit/:id', requireAdmin, async (req, res) => {
     res.render('inventory/edit', {
       title: 'Edit Item',
       item,
-      categories: ['T-Shirt', 'Jacket', 'Cap', 'Trousers', 'Uniform'],
+      categories: await categoryNames(),
+      reorderDefaults: await reorderDefaults(),
+      locations: await listLocations(),
+      stockCost: stockValue(item),
+      costingMethodName: COSTING_METHODS[costingMethod()],
       user: req.user,
     });
   } catch (error) {
@@ -168,16 +353,53 @@ router.get('/edit/:id', requireAdmin, async (req, res) => {
 router.post('/edit/:id', requireAdmin, async (req, res) => {
   try {
     const { itemName, category, size, color, quantity, price, description } = req.body;
-    await Inventory.findByIdAndUpdate(req.params.id, {
+    if (!(await Category.exists({ name: category }))) {
+      req.flash('error', `Unknown category "${category}"`);
+      return res.redirect(`/inventory/edit/${req.params.id}`);
+    }
+    const unitCost = req.body.unitCost === undefined || req.body.unitCost === '' ? null : parseFloat(req.body.unitCost);
+    if (!(unitCost === null || unitCost >= 0)) {
+      req.flash('error', 'Unit cost must be 0 or more');
+      return res.redirect(`/inventory/edit/${req.params.id}`);
+    }
+    const location = await resolveLocation(req.body.locationId);
+
+    const previous = await setStock({
+      itemId: req.params.id,
+      quantity: parseInt(quantity),
+      reason: 'adjustment',
+      userId: req.session.userId,
+      sourceModel: 'Inventory',
+      sourceDocument: req.params.id,
+      notes: 'Edited from item form',
+      location,
+    }, {
       itemName,
       category,
       size,
       color,
-      quantity: parseInt(quantity),
       price: parseFloat(price),
+      reorderPoint: optionalCount(req.body.reorderPoint, 0),
+      reorderQuantity: optionalCount(req.body.reorderQuantity, 1),
       description,
     });
 
+    if (previous) await recordPriceChange([previous], parseFloat(price), { userId: req.session.userId });
+
+    // A new cost revalues everything on hand; otherwise the stock change is costed as usual
+    if (previous && unitCost !== null && unitCost !== previous.averageCost) {
+      await revalueStock(req.params.id, unitCost);
+    } else if (previous) {
+      await followStockChange(req.params.id, parseInt(quantity) - quantityAt(previous, location));
+    }
+
+    // A new name or category moves the item to the matching style
+    if (previous) {
+      const style = await findOrCreateStyle({ itemName, category, price: parseFloat(price), description });
+      await Inventory.updateOne({ _id: req.params.id }, { style: style._id });
+      await removeStyleIfEmpty(previous.style);
+    }
+
     req.flash('success', 'Item updated successfully');
     res.redirect('/inventory');
   } catch (error) {
@@ -187,10 +409,113 @@ router.post('/edit/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// Read the alias fields of a form, or the reason they cannot be used
+const aliasFields = (body) => {
+  const packSize = body.packSize === undefined || body.packSize === '' ? 1 : parseInt(body.packSize);
+  if (!(packSize >= 1)) return { error: 'Pack size must be 1 or more' };
+  return { fields: { source: body.source, packSize } };
+};
+
+// Add an alias barcode to an item
+router.post('/aliases/add/:id', requireAdmin, async (req, res) => {
+  try {
+    const item = await Inventory.findById(req.params.id);
+    if (!item) {
+      req.flash('error', 'Item not found');
+      return res.redirect('/inventory');
+    }
+
+    const { barcode, error: scanError } = await checkScan(req.body.barcode);
+    const { fields, error } = aliasFields(req.body);
+    if (!barcode || scanError || error) {
+      req.flash('error', !barcode ? 'Alias barcode is required' : scanError || error);
+      return res.redirect(`/inventory/edit/${item._id}`);
+    }
+    if (await barcodeTaken(barcode)) {
+      req.flash('error', `Barcode ${barcode} is already used by an item or alias`);
+      return res.redirect(`/inventory/edit/${item._id}`);
+    }
+
+    item.aliases.push({ barcode, ...fields });
+    await item.save();
+    req.flash('success', `Alias ${barcode} added`);
+    res.redirect(`/inventory/edit/${item._id}`);
+  } catch (error) {
+    console.error('Add alias error:', error);
+    req.flash('error', error.code === 11000 ? 'This barcode is already used by an item or alias' : 'Error adding alias');
+    res.redirect(`/inventory/edit/${req.params.id}`);
+  }
+});
+
+// Update an alias: source, pack size and whether it still scans
+router.post('/aliases/edit/:id/:aliasId', requireAdmin, async (req, res) => {
+  try {
+    const item = await Inventory.findById(req.params.id);
+    const alias = item && item.aliases.id(req.params.aliasId);
+    if (!alias) {
+      req.flash('error', 'Alias not found');
+      return res.redirect(item ? `/inventory/edit/${item._id}` : '/inventory');
+    }
+
+    const { fields, error } = aliasFields(req.body);
+    if (error) {
+      req.flash('error', error);
+      return res.redirect(`/inventory/edit/${item._id}`);
+    }
+
+    alias.set({ ...fields, isActive: req.body.isActive === 'on' });
+    await item.save();
+    req.flash('success', `Alias ${alias.barcode} updated`);
+    res.redirect(`/inventory/edit/${item._id}`);
+  } catch (error) {
+    console.error('Update alias error:', error);
+    req.flash('error', 'Error updating alias');
+    res.redirect(`/inventory/edit/${req.params.id}`);
+  }
+});
+
+// Remove an alias, freeing its barcode
+router.post('/aliases/delete/:id/:aliasId', requireAdmin, async (req, res) => {
+  try {
+    const item = await Inventory.findById(req.params.id);
+    const alias = item && item.aliases.id(req.params.aliasId);
+    if (!alias) {
+      req.flash('error', 'Alias not found');
+      return res.redirect(item ? `/inventory/edit/${item._id}` : '/inventory');
+    }
+
+    alias.deleteOne();
+    await item.save();
+    req.flash('success', `Alias ${alias.barcode} removed`);
+    res.redirect(`/inventory/edit/${item._id}`);
+  } catch (error) {
+    console.error('Delete alias error:', error);
+    req.flash('error', 'Error removing alias');
+    res.redirect(`/inventory/edit/${req.params.id}`);
+  }
+});
+
 // Delete item
 router.post('/delete/:id', requireAdmin, async (req, res) => {
   try {
-    await Inventory.findByIdAndDelete(req.params.id);
+    // Kits would be left with a part that no longer exists
+    const kit = await Kit.findOne({ 'components.inventoryItem': req.params.id }).select('name');
+    if (kit) {
+      req.flash('error', `Cannot delete this item: it is part of the kit ${kit.name}. Remove it from the kit first.`);
+      return res.redirect('/inventory');
+    }
+
+    // A copy is kept so reports of earlier dates still list the stock it held
+    const item = await runAtomically(async ({ session, onRollback }) => {
+      const deleted = await Inventory.findByIdAndDelete(req.params.id, { session });
+      if (!deleted) return null;
+      onRollback(() => Inventory.insertMany([deleted.toObject()]));
+
+      await DeletedItem.create([{ ...deleted.toObject(), deletedBy: req.session.userId }], { session });
+      return deleted;
+    });
+    if (item) await removeStyleIfEmpty(item.style);
+
     req.flash('success', 'Item deleted successfully');
     res.redirect('/inventory');
   } catch (error) {
@@ -200,13 +525,56 @@ router.post('/delete/:id', requireAdmin, async (req, res) => {
   }
 });
 
-// Serve barcode PNG image
+// Code printed for items: ?code=qr-link or qr-data for a QR code, else the barcode
+const codeFormat = (query) => (CODE_FORMATS[query.code] ? query.code : 'barcode');
+
+// Item page, found by barcode or alias so the links in QR codes keep working
+router.get('/item/:barcode', async (req, res) => {
+  try {
+    const { item, alias } = await findByBarcode((req.params.barcode || '').trim());
+    if (!item) {
+      req.flash('error', `No item has the barcode ${req.params.barcode}`);
+      return res.redirect('/inventory');
+    }
+
+    const defaults = await reorderDefaults();
+    const movements = await StockMovement.find({ inventoryItem: item._id })
+      .populate('performedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .lean();
+
+    res.render('inventory/show', {
+      title: item.itemName,
+      item,
+      alias,
+      lowStock: isLowStock(item, defaults),
+      locationStock: (await listLocations()).map(location => ({ name: location.name, quantity: quantityAt(item, location._id) })),
+      movements,
+      user: req.user,
+    });
+  } catch (error) {
+    console.error('Item page error:', error);
+    req.flash('error', 'Error loading item');
+    res.redirect('/inventory');
+  }
+});
+
+// Serve barcode PNG image, or a QR code with ?code=qr-link or ?code=qr-data
 router.get('/barcode/:barcode', async (req, res) => {
   try {
     const barcode = (req.params.barcode || '').trim();
     if (!barcode) return res.status(400).send('Missing barcode');
 
-    const png = await generateBarcodeImage(barcode);
+    const code = codeFormat(req.query);
+    let item = { barcode };
+    if (code === 'qr-data') {
+      // The QR data carries the size and color, so the item must exist
+      ({ item } = await findByBarcode(barcode));
+      if (!item) return res.status(404).send('Item not found');
+    }
+
+    const png = await generateCodeImage(item, code, appUrl(req));
     res.setHeader('Content-Type', 'image/png');
     res.setHeader('Content-Length', png.length);
     res.send(png);
@@ -219,8 +587,10 @@ router.get('/barcode/:barcode', async (req, res) => {
 // API: Get item by barcode
 router.get('/api/barcode/:barcode', async (req, res) => {
   try {
-    const barcode = (req.params.barcode || '').replace(/[\r\n]+/g, '').trim();
-    const item = await Inventory.findOne({ barcode }).lean();
+    const { barcode, error: scanError } = await checkScan(req.params.barcode);
+    if (scanError) return res.status(400).json({ success: false, error: scanError });
+
+    const { item, alias, packSize } = await findByBarcode(barcode);
     if (!item) return res.status(404).json({ success: false, error: 'Item not found' });
 
     res.json({
@@ -236,6 +606,8 @@ router.get('/api/barcode/:barcode', async (req, res) => {
         price: item.price,
         description: item.description,
       },
+      packSize,
+      alias: alias ? { barcode: alias.barcode, source: alias.source } : null,
     });
   } catch (error) {
     console.error('API barcode error:', error);
@@ -243,11 +615,50 @@ router.get('/api/barcode/:barcode', async (req, res) => {
   }
 });
 
+// API: Stock ledger for an item
+router.get('/api/movements/:id', async (req, res) => {
+  try {
+    const movements = await StockMovement.find({ inventoryItem: req.params.id })
+      .populate('performedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 100)
+      .lean();
+
+    res.json({
+      success: true,
+      movements: movements.map((m) => ({
+        date: m.createdAt,
+        delta: m.delta,
+        balanceAfter: m.balanceAfter,
+        reason: m.reason,
+        performedBy: m.performedBy ? m.performedBy.username : null,
+        sourceModel: m.sourceModel,
+        sourceDocument: m.sourceDocument,
+        notes: m.notes,
+      })),
+    });
+  } catch (error) {
+    console.error('API movements error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // Update stock quantity
 router.post('/update-stock/:id', requireAdmin, async (req, res) => {
   try {
-    const { quantity } = req.body;
-    await Inventory.findByIdAndUpdate(req.params.id, { quantity: parseInt(quantity) });
+    const { quantity, notes, locationId } = req.body;
+    const location = await resolveLocation(locationId);
+    const previous = await setStock({
+      itemId: req.params.id,
+      quantity: parseInt(quantity),
+      reason: 'adjustment',
+      userId: req.session.userId,
+      location,
+      sourceModel: 'Inventory',
+      sourceDocument: req.params.id,
+      notes,
+    });
+    if (previous) await followStockChange(req.params.id, parseInt(quantity) - quantityAt(previous, location));
     req.flash('success', 'Stock updated successfully');
     res.redirect('/inventory');
   } catch (error) {
@@ -261,19 +672,23 @@ router.post('/update-stock/:id', requireAdmin, async (req, res) => {
 router.get('/export-all', requireAuth, async (req, res) => {
   try {
     const { category, search } = req.query;
+    const code = codeFormat(req.query);
+    const baseUrl = appUrl(req);
 
     // Build filter
     const filter = {};
-    if (category) filter.category = category;
+    if (category) filter.category = await categoryFilter(category);
     if (search) {
       filter.$or = [
         { itemName: { $regex: search, $options: 'i' } },
         { barcode: { $regex: search, $options: 'i' } },
+        { 'aliases.barcode': { $regex: search, $options: 'i' } },
       ];
     }
 
     // Fetch items
     const items = await Inventory.find(filter).sort({ category: 1, itemName: 1 }).lean();
+    const defaults = await reorderDefaults();
 
     if (items.length === 0) {
       req.flash('error', 'No inventory items found to export');
@@ -291,10 +706,12 @@ router.get('/export-all', requireAuth, async (req, res) => {
       { header: 'Size', key: 'size', width: 10 },
       { header: 'Color', key: 'color', width: 12 },
       { header: 'Barcode Number', key: 'barcodeText', width: 22 },
-      { header: 'Barcode Image', key: 'barcodeImg', width: 22 },
+      { header: code === 'barcode' ? 'Barcode Image' : 'QR Code', key: 'barcodeImg', width: 22 },
       { header: 'Current Stock', key: 'quantity', width: 14 },
       { header: 'Unit Price', key: 'price', width: 12 },
-      { header: 'Total Value', key: 'totalValue', width: 14 },
+      { header: 'Retail Value', key: 'retailValue', width: 14 },
+      { header: 'Unit Cost', key: 'unitCost', width: 12 },
+      { header: 'Cost Value', key: 'costValue', width: 14 },
       { header: 'Description', key: 'description', width: 30 },
       { header: 'Status', key: 'status', width: 14 },
       { header: 'Date Added', key: 'dateAdded', width: 20 },
@@ -311,24 +728,36 @@ router.get('/export-all', requireAuth, async (req, res) => {
         barcodeText: item.barcode,
         quantity: item.quantity,
         price: item.price,
-        totalValue: (item.quantity || 0) * (item.price || 0),
+        retailValue: (item.quantity || 0) * (item.price || 0),
+        unitCost: unitStockCost(item),
+        costValue: stockValue(item),
         description: item.description || '',
-        status: item.quantity === 0 ? 'Out of Stock' : item.quantity <= 10 ? 'Low Stock' : 'In Stock',
+        status: item.quantity === 0 ? 'Out of Stock' : isLowStock(item, defaults) ? 'Low Stock' : 'In Stock',
         dateAdded: moment(item.createdAt).format('YYYY-MM-DD HH:mm:ss'),
         lastUpdated: moment(item.updatedAt).format('YYYY-MM-DD HH:mm:ss'),
       });
 
-      // Generate barcode PNG and insert
+      // Generate barcode or QR PNG and insert
       try {
-        const png = await generateBarcodeImage(item.barcode);
+        const png = await generateCodeImage(item, code, baseUrl);
         const imageId = workbook.addImage({ buffer: png, extension: 'png' });
         // Image anchored to the "Barcode Image" column (index 5 zero-based)
-        sheet.addImage(imageId, {
-          tl: { col: 5, row: row.number - 1 },
-          br: { col: 6, row: row.number },
-          editAs: 'oneCell',
-        });
-        sheet.getRow(row.number).height = 40; // enough for scan height
+        if (code === 'barcode') {
+          sheet.addImage(imageId, {
+            tl: { col: 5, row: row.number - 1 },
+            br: { col: 6, row: row.number },
+            editAs: 'oneCell',
+          });
+          sheet.getRow(row.number).height = 40; // enough for scan height
+        } else {
+          // QR codes keep their square shape instead of stretching to the cell
+          sheet.addImage(imageId, {
+            tl: { col: 5.1, row: row.number - 1 + 0.05 },
+            ext: { width: 100, height: 100 },
+            editAs: 'oneCell',
+          });
+          sheet.getRow(row.number).height = 80;
+        }
       } catch (e) {
         // If any single image generation fails, continue with rest
         console.error('Barcode embed error for', item.barcode, e);
@@ -338,15 +767,17 @@ router.get('/export-all', requireAuth, async (req, res) => {
     // Summary
     const totalItems = items.length;
     const totalStock = items.reduce((sum, it) => sum + (it.quantity || 0), 0);
-    const totalValue = items.reduce((sum, it) => sum + ((it.quantity || 0) * (it.price || 0)), 0);
-    const lowStockItems = items.filter((it) => it.quantity <= 10 && it.quantity > 0).length;
+    const retailValue = items.reduce((sum, it) => sum + ((it.quantity || 0) * (it.price || 0)), 0);
+    const costValue = items.reduce((sum, it) => sum + stockValue(it), 0);
+    const lowStockItems = items.filter((it) => isLowStock(it, defaults) && it.quantity > 0).length;
     const outOfStockItems = items.filter((it) => it.quantity === 0).length;
 
     sheet.addRow({});
     const summaryRow = sheet.addRow({
       itemName: 'SUMMARY',
       quantity: totalStock,
-      totalValue: totalValue,
+      retailValue: retailValue,
+      costValue: costValue,
       description: `Total Items: ${totalItems} | Low Stock: ${lowStockItems} | Out of Stock: ${outOfStockItems}`,
     });
     summaryRow.eachCell((cell) => {
@@ -367,13 +798,217 @@ router.get('/export-all', requireAuth, async (req, res) => {
   }
 });
 
+// Label run settings from the labels form, with defaults for a first visit
+const labelOptions = (query) => {
+  const layout = LABEL_LAYOUTS[query.layout] ? query.layout : 'a4-3x8';
+  const perSheet = LABEL_LAYOUTS[layout].columns * LABEL_LAYOUTS[layout].rows;
+  const receipt = mongoose.isValidObjectId(query.receipt) ? query.receipt : '';
+  // The form always sends fields, so without it every field is ticked
+  const ticked = query.fields === undefined ? Object.keys(LABEL_FIELDS) : [].concat(query.fields);
+  const printer = printerSettings();
+  const size = (value, fallback) => Math.min(Math.max(parseFloat(value) || fallback, 10), 200);
+
+  return {
+    layout,
+    start: Math.min(Math.max(parseInt(query.start) || 1, 1), perSheet),
+    fields: Object.fromEntries(Object.keys(LABEL_FIELDS).map(key => [key, ticked.includes(key)])),
+    copies: ['one', 'stock', 'received', 'fixed'].includes(query.copies) ? query.copies : receipt ? 'received' : 'one',
+    count: Math.max(parseInt(query.count) || 1, 1),
+    category: query.category || '',
+    items: [].concat(query.item || []).filter(id => mongoose.isValidObjectId(id)),
+    receipt,
+    location: query.location || '',
+    // Thermal printer jobs
+    format: query.format === 'epl' ? 'epl' : 'zpl',
+    size: {
+      widthMm: size(query.widthMm, printer.widthMm),
+      heightMm: size(query.heightMm, printer.heightMm),
+      dpi: PRINTER_DPIS.includes(parseInt(query.dpi)) ? parseInt(query.dpi) : printer.dpi,
+    },
+  };
+};
+
+// Labels page URL keeping the settings of a run
+const labelsUrl = (options) => {
+  const params = new URLSearchParams();
+  if (options.receipt) params.append('receipt', options.receipt);
+  options.items.forEach(id => params.append('item', id));
+  if (options.category) params.append('category', options.category);
+  params.append('copies', options.copies);
+  params.append('count', options.count);
+  if (options.location) params.append('location', options.location);
+  params.append('layout', options.layout);
+  params.append('start', options.start);
+  params.append('fields', '');
+  Object.keys(LABEL_FIELDS).filter(key => options.fields[key]).forEach(key => params.append('fields', key));
+  params.append('format', options.format);
+  params.append('widthMm', options.size.widthMm);
+  params.append('heightMm', options.size.heightMm);
+  params.append('dpi', options.size.dpi);
+  return `/inventory/labels?${params}`;
+};
+
+// Items to label with their number of copies, leaving out items with none
+const labelRun = async (options) => {
+  let entries;
+  if (options.receipt) {
+    const receipt = await GoodsReceipt.findById(options.receipt).populate('lines.inventoryItem');
+    entries = receipt
+      ? receipt.lines.filter(line => line.inventoryItem).map(line => ({ item: line.inventoryItem, received: line.quantity }))
+      : [];
+  } else {
+    const filter = {};
+    if (options.items.length > 0) filter._id = { $in: options.items };
+    else if (options.category) filter.category = await categoryFilter(options.category);
+    const items = await Inventory.find(filter).sort({ category: 1, itemName: 1, size: 1, color: 1 });
+    entries = items.map(item => ({ item, received: 0 }));
+  }
+
+  const location = options.location ? await resolveLocation(options.location) : null;
+  return entries
+    .map(({ item, received }) => ({
+      item,
+      copies: {
+        one: 1,
+        stock: quantityAt(item, location),
+        received,
+        fixed: options.count,
+      }[options.copies],
+    }))
+    .filter(entry => entry.copies > 0);
+};
+
+// Why a run cannot be printed, if it cannot
+const labelRunProblem = (entries) => {
+  const total = entries.reduce((sum, entry) => sum + entry.copies, 0);
+  if (total === 0) return 'No labels to print - no items match, or none have copies to print';
+  if (total > MAX_LABELS) return `${total} labels is more than ${MAX_LABELS} in one run - pick fewer items or copies`;
+  return null;
+};
+
+// Label printing page
+router.get('/labels', async (req, res) => {
+  try {
+    const options = labelOptions(req.query);
+    const receipt = options.receipt ? await GoodsReceipt.findById(options.receipt).select('receiptNumber supplier totalQuantity') : null;
+    const items = options.items.length > 0 ? await Inventory.find({ _id: { $in: options.items } }).select('itemName size color') : [];
+    const printer = printerSettings();
+
+    res.render('inventory/labels', {
+      title: 'Print Labels',
+      user: req.user,
+      options,
+      layouts: LABEL_LAYOUTS,
+      fields: LABEL_FIELDS,
+      dpis: PRINTER_DPIS,
+      printer: printer.host ? `${printer.host}:${printer.port}` : null,
+      categories: await categoryNames(),
+      locations: await listLocations(),
+      receipt,
+      items,
+    });
+  } catch (error) {
+    console.error('Labels page error:', error);
+    req.flash('error', 'Error loading label printing');
+    res.redirect('/inventory');
+  }
+});
+
+// Label sheets as PDF
+router.get('/labels/pdf', async (req, res) => {
+  const options = labelOptions(req.query);
+  try {
+    const entries = await labelRun(options);
+    const problem = labelRunProblem(entries);
+    if (problem) {
+      req.flash('error', problem);
+      return res.redirect(labelsUrl(options));
+    }
+
+    const labels = entries.flatMap(({ item, copies }) => Array(copies).fill(item));
+    const pdf = await buildLabelSheetPdf(labels, { layout: options.layout, offset: options.start - 1, fields: options.fields });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="labels-${moment().format('YYYY-MM-DD')}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    if (error.unknownLocation) {
+      req.flash('error', error.message);
+      return res.redirect(labelsUrl(options));
+    }
+    console.error('Labels PDF error:', error);
+    req.flash('error', 'Error generating labels');
+    res.redirect(labelsUrl(options));
+  }
+});
+
+// Thermal printer job (ZPL or EPL) to download
+router.get('/labels/thermal', async (req, res) => {
+  const options = labelOptions(req.query);
+  try {
+    const entries = await labelRun(options);
+    const problem = labelRunProblem(entries);
+    if (problem) {
+      req.flash('error', problem);
+      return res.redirect(labelsUrl(options));
+    }
+
+    const job = buildThermalJob(entries, options);
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="labels-${moment().format('YYYY-MM-DD')}.${options.format}"`);
+    res.send(job);
+  } catch (error) {
+    if (error.unknownLocation) {
+      req.flash('error', error.message);
+      return res.redirect(labelsUrl(options));
+    }
+    console.error('Thermal labels error:', error);
+    req.flash('error', 'Error generating the label job');
+    res.redirect(labelsUrl(options));
+  }
+});
+
+// Send a thermal label job straight to the configured printer
+router.post('/labels/print', async (req, res) => {
+  const options = labelOptions(req.body);
+  try {
+    const printer = printerSettings();
+    if (!printer.host) {
+      req.flash('error', 'No label printer is configured - set LABEL_PRINTER_HOST in config.env');
+      return res.redirect(labelsUrl(options));
+    }
+
+    const entries = await labelRun(options);
+    const problem = labelRunProblem(entries);
+    if (problem) {
+      req.flash('error', problem);
+      return res.redirect(labelsUrl(options));
+    }
+
+    await sendToPrinter(buildThermalJob(entries, options), printer);
+    const total = entries.reduce((sum, entry) => sum + entry.copies, 0);
+    req.flash('success', `${total} label(s) sent to the printer at ${printer.host}:${printer.port}`);
+    res.redirect(labelsUrl(options));
+  } catch (error) {
+    if (error.unknownLocation || error.printerUnreachable) {
+      req.flash('error', error.message);
+      return res.redirect(labelsUrl(options));
+    }
+    console.error('Print labels error:', error);
+    req.flash('error', 'Error printing labels');
+    res.redirect(labelsUrl(options));
+  }
+});
+
 // Export barcodes as Word document
 router.get('/export-word-barcodes', requireAuth, async (req, res) => {
   try {
     const { category } = req.query;
+    const code = codeFormat(req.query);
+    const baseUrl = appUrl(req);
     const filter = {};
     if (category) {
-      filter.category = category;
+      filter.category = await categoryFilter(category);
     }
 
     const items = await Inventory.find(filter).sort({ category: 1, itemName: 1 });
@@ -440,7 +1075,7 @@ router.get('/export-word-barcodes', requireAuth, async (req, res) => {
           tableHeader: true,
           children: [
             new TableCell({
-              children: [new Paragraph({ text: 'Barcode Image', bold: true, alignment: AlignmentType.CENTER })],
+              children: [new Paragraph({ text: code === 'barcode' ? 'Barcode Image' : 'QR Code', bold: true, alignment: AlignmentType.CENTER })],
               width: { size: 35, type: WidthType.PERCENTAGE }
             }),
             new TableCell({
@@ -454,8 +1089,8 @@ router.get('/export-word-barcodes', requireAuth, async (req, res) => {
       // Process each item
       for (const item of catItems) {
         try {
-          // Generate barcode image
-          const barcodeBuffer = await generateBarcodeImage(item.barcode);
+          // Generate barcode or QR image
+          const barcodeBuffer = await generateCodeImage(item, code, baseUrl);
 
           // Item details
           const detailsParagraphs = [
@@ -501,10 +1136,9 @@ router.get('/export-word-barcodes', requireAuth, async (req, res) => {
                       children: [
                         new ImageRun({
                           data: barcodeBuffer,
-                          transformation: {
-                            width: 200,
-                            height: 80
-                          }
+                          transformation: code === 'barcode'
+                            ? { width: 200, height: 80 }
+                            : { width: 110, height: 110 }
                         })
                       ],
                       alignment: AlignmentType.CENTER
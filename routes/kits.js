@@ -0,0 +1,212 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Kit = require('../models/Kit');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { flashMessages } = require('../utils/helpers');
+const { barcodeTaken, checkScan, generateBarcode } = require('../utils/barcode');
+const { kitFormRows, parseKitComponents, kitParts } = require('../utils/kits');
+const { listLocations, resolveLocation } = require('../utils/locations');
+const router = express.Router();
+
+// All kit routes require authentication; defining kits is for admins
+router.use(requireAuth);
+router.use(flashMessages);
+
+// Load the kit named in the URL
+const findKit = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Kit.findById(id);
+};
+
+// Render the new/edit form, with the rows as entered when it has to be shown again
+const renderForm = (req, res, { kit = null, form }) => {
+  res.render('kits/form', {
+    title: kit ? `Edit ${kit.name}` : 'New Kit',
+    user: req.user,
+    kit,
+    form
+  });
+};
+
+// Form values for a kit, or for a form that was sent back with problems
+const kitForm = async (kit, body) => {
+  if (body) {
+    return {
+      name: body.name,
+      kitBarcode: body.kitBarcode,
+      description: body.description,
+      isActive: body.isActive === 'on',
+      rows: kitFormRows(body)
+    };
+  }
+  if (!kit) return { name: '', kitBarcode: '', description: '', isActive: true, rows: [] };
+
+  // A component whose size is chosen at issue is shown by any of its sizes
+  const [{ parts }] = await kitParts([kit]);
+  return {
+    name: kit.name,
+    kitBarcode: kit.barcode,
+    description: kit.description,
+    isActive: kit.isActive,
+    rows: parts.map(part => ({
+      barcode: part.options.length > 0 ? part.options[0].item.barcode : '',
+      quantity: part.quantity,
+      sizing: part.sizeAtIssue ? 'issue' : 'fixed'
+    }))
+  };
+};
+
+// Check the form and return the kit fields, or the problems to show
+const kitFields = async (body, kit = null) => {
+  const problems = [];
+
+  const name = (body.name || '').trim().replace(/\s+/g, ' ');
+  if (!name) problems.push('Kit name is required');
+
+  const { barcode, error: scanError } = await checkScan(body.kitBarcode);
+  if (barcode && scanError) {
+    problems.push(scanError);
+  } else if (barcode && await barcodeTaken(barcode, kit && kit._id)) {
+    problems.push(`Barcode ${barcode} is already used by an item, alias or kit`);
+  }
+
+  const { components, problems: componentProblems } = await parseKitComponents(kitFormRows(body));
+  problems.push(...componentProblems);
+  if (components.length === 0 && componentProblems.length === 0) problems.push('Add at least one component');
+
+  if (problems.length > 0) return { problems };
+  return {
+    fields: {
+      name,
+      // Left empty, a kit keeps its barcode or gets the next one of the configured scheme
+      barcode: barcode || (kit ? kit.barcode : await generateBarcode()),
+      description: body.description,
+      components,
+      isActive: body.isActive === 'on'
+    }
+  };
+};
+
+// Turn a save error into a message for the form
+const kitSaveError = (error) => {
+  if (error.code === 11000) {
+    return error.keyPattern && error.keyPattern.barcode
+      ? 'Another kit already has this barcode'
+      : 'A kit with this name already exists';
+  }
+  return 'Error saving kit: ' + error.message;
+};
+
+// Kits list with how many of each the stock allows
+router.get('/', async (req, res) => {
+  try {
+    const location = req.query.location ? await resolveLocation(req.query.location) : null;
+    const kits = await Kit.find().sort({ isActive: -1, name: 1 });
+
+    res.render('kits/index', {
+      title: 'Kits',
+      user: req.user,
+      kits: await kitParts(kits, location),
+      locations: await listLocations(),
+      filter: req.query
+    });
+  } catch (error) {
+    console.error('Kits list error:', error);
+    req.flash('error', error.unknownLocation ? 'Unknown location' : 'Error loading kits');
+    res.redirect(error.unknownLocation ? '/kits' : '/inventory');
+  }
+});
+
+// New kit page (Admin only)
+router.get('/new', requireAdmin, async (req, res) => {
+  try {
+    renderForm(req, res, { form: await kitForm(null) });
+  } catch (error) {
+    console.error('New kit page error:', error);
+    req.flash('error', 'Error loading kit form');
+    res.redirect('/kits');
+  }
+});
+
+// Create kit (Admin only)
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { fields, problems } = await kitFields(req.body);
+    if (problems) {
+      res.locals.error = problems;
+      return renderForm(req, res, { form: await kitForm(null, req.body) });
+    }
+
+    const kit = await Kit.create(fields);
+    req.flash('success', `Kit ${kit.name} added with barcode ${kit.barcode}`);
+    res.redirect('/kits');
+  } catch (error) {
+    console.error('Create kit error:', error);
+    req.flash('error', kitSaveError(error));
+    res.redirect('/kits/new');
+  }
+});
+
+// Edit kit page (Admin only)
+router.get('/:id/edit', requireAdmin, async (req, res) => {
+  try {
+    const kit = await findKit(req.params.id);
+    if (!kit) {
+      req.flash('error', 'Kit not found');
+      return res.redirect('/kits');
+    }
+
+    renderForm(req, res, { kit, form: await kitForm(kit) });
+  } catch (error) {
+    console.error('Edit kit page error:', error);
+    req.flash('error', 'Error loading kit');
+    res.redirect('/kits');
+  }
+});
+
+// Update kit (Admin only)
+router.post('/:id/edit', requireAdmin, async (req, res) => {
+  try {
+    const kit = await findKit(req.params.id);
+    if (!kit) {
+      req.flash('error', 'Kit not found');
+      return res.redirect('/kits');
+    }
+
+    const { fields, problems } = await kitFields(req.body, kit);
+    if (problems) {
+      res.locals.error = problems;
+      return renderForm(req, res, { kit, form: await kitForm(kit, req.body) });
+    }
+
+    kit.set(fields);
+    await kit.save();
+    req.flash('success', `Kit ${kit.name} updated`);
+    res.redirect('/kits');
+  } catch (error) {
+    console.error('Update kit error:', error);
+    req.flash('error', kitSaveError(error));
+    res.redirect(`/kits/${req.params.id}/edit`);
+  }
+});
+
+// Delete kit (Admin only); deliveries record the components, so no history is lost
+router.post('/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    const kit = await findKit(req.params.id);
+    if (!kit) {
+      req.flash('error', 'Kit not found');
+      return res.redirect('/kits');
+    }
+
+    await kit.deleteOne();
+    req.flash('success', `Kit ${kit.name} deleted`);
+    res.redirect('/kits');
+  } catch (error) {
+    console.error('Delete kit error:', error);
+    req.flash('error', 'Error deleting kit');
+    res.redirect('/kits');
+  }
+});
+
+module.exports = router;
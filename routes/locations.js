@@ -0,0 +1,194 @@
+const express = require('express');
+const Delivery = require('../models/Delivery');
+const DeliveryOrder = require('../models/DeliveryOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Inventory = require('../models/Inventory');
+const Location = require('../models/Location');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockCount = require('../models/StockCount');
+const StockMovement = require('../models/StockMovement');
+const StockTransfer = require('../models/StockTransfer');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { flashMessages } = require('../utils/helpers');
+const { listLocations, assignUnlocatedStock } = require('../utils/locations');
+const router = express.Router();
+
+// All location routes are for admins
+router.use(requireAuth);
+router.use(requireAdmin);
+router.use(flashMessages);
+
+// Pick the location fields out of a form body
+const locationFields = (body) => ({
+  name: (body.name || '').trim(),
+  type: Location.schema.path('type').enumValues.includes(body.type) ? body.type : 'store',
+  address: body.address
+});
+
+// Turn a save error into a message for the form
+const locationSaveError = (error) => {
+  if (error.code === 11000) {
+    return 'A location with this name already exists';
+  }
+  return 'Error saving location: ' + error.message;
+};
+
+// Locations page
+router.get('/', async (req, res) => {
+  try {
+    const locations = await listLocations();
+
+    const stockCounts = await Inventory.aggregate([
+      { $unwind: '$stock' },
+      { $match: { 'stock.quantity': { $gt: 0 } } },
+      { $group: { _id: '$stock.location', items: { $sum: 1 }, stock: { $sum: '$stock.quantity' } } }
+    ]);
+    const usage = {};
+    stockCounts.forEach(count => {
+      usage[count._id.toString()] = { items: count.items, stock: count.stock };
+    });
+
+    res.render('locations/index', {
+      title: 'Locations',
+      user: req.user,
+      locations,
+      usage,
+      types: Location.schema.path('type').enumValues,
+      unlocatedItems: await Inventory.countDocuments({ $expr: { $gt: ['$quantity', { $sum: '$stock.quantity' }] } })
+    });
+  } catch (error) {
+    console.error('Locations error:', error);
+    req.flash('error', 'Error loading locations');
+    res.redirect('/inventory');
+  }
+});
+
+// Add location; the first one becomes the default and takes over the existing stock
+router.post('/add', async (req, res) => {
+  try {
+    const fields = locationFields(req.body);
+    if (!fields.name) {
+      req.flash('error', 'Location name is required');
+      return res.redirect('/locations');
+    }
+
+    const isFirst = !(await Location.exists({}));
+    const location = await Location.create({ ...fields, isDefault: isFirst });
+
+    if (isFirst) {
+      const moved = await assignUnlocatedStock(location._id);
+      req.flash('success', `Location ${location.name} added as the default; stock of ${moved.length} item(s) placed there`);
+    } else {
+      req.flash('success', `Location ${location.name} added`);
+    }
+    res.redirect('/locations');
+  } catch (error) {
+    console.error('Add location error:', error);
+    req.flash('error', locationSaveError(error));
+    res.redirect('/locations');
+  }
+});
+
+// Update location
+router.post('/edit/:id', async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      req.flash('error', 'Location not found');
+      return res.redirect('/locations');
+    }
+
+    const fields = locationFields(req.body);
+    if (!fields.name) {
+      req.flash('error', 'Location name is required');
+      return res.redirect('/locations');
+    }
+
+    const isActive = req.body.isActive === 'on';
+    if (location.isDefault && !isActive) {
+      req.flash('error', 'The default location cannot be deactivated; make another location the default first');
+      return res.redirect('/locations');
+    }
+
+    location.set({ ...fields, isActive });
+    await location.save();
+    req.flash('success', 'Location updated successfully');
+    res.redirect('/locations');
+  } catch (error) {
+    console.error('Update location error:', error);
+    req.flash('error', locationSaveError(error));
+    res.redirect('/locations');
+  }
+});
+
+// Make a location the one stock goes to when none is chosen
+router.post('/default/:id', async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      req.flash('error', 'Location not found');
+      return res.redirect('/locations');
+    }
+
+    await Location.updateMany({ _id: { $ne: location._id } }, { isDefault: false });
+    location.set({ isDefault: true, isActive: true });
+    await location.save();
+
+    req.flash('success', `${location.name} is now the default location`);
+    res.redirect('/locations');
+  } catch (error) {
+    console.error('Default location error:', error);
+    req.flash('error', 'Error changing the default location');
+    res.redirect('/locations');
+  }
+});
+
+// Delete location, only when it holds no stock and has no history
+router.post('/delete/:id', async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      req.flash('error', 'Location not found');
+      return res.redirect('/locations');
+    }
+
+    if (location.isDefault) {
+      req.flash('error', 'The default location cannot be deleted; make another location the default first');
+      return res.redirect('/locations');
+    }
+
+    const inUse = [];
+    const items = await Inventory.countDocuments({ stock: { $elemMatch: { location: location._id, quantity: { $gt: 0 } } } });
+    if (items > 0) inUse.push(`stock of ${items} item(s)`);
+    for (const [Model, label] of [
+      [StockMovement, 'stock movement(s)'],
+      [Delivery, 'delivery(ies)'],
+      [DeliveryOrder, 'delivery order(s)'],
+      [GoodsReceipt, 'goods receipt(s)'],
+      [StockCount, 'stock count(s)'],
+      [PurchaseOrder, 'purchase order(s)']
+    ]) {
+      const count = await Model.countDocuments({ location: location._id });
+      if (count > 0) inUse.push(`${count} ${label}`);
+    }
+    const transfers = await StockTransfer.countDocuments({ $or: [{ fromLocation: location._id }, { toLocation: location._id }] });
+    if (transfers > 0) inUse.push(`${transfers} transfer(s)`);
+
+    if (inUse.length > 0) {
+      req.flash('error', `Cannot delete ${location.name}: it still has ${inUse.join(', ')}. Deactivate it instead.`);
+      return res.redirect('/locations');
+    }
+
+    // Drop the empty stock lines left behind by items that were issued down to zero
+    await Inventory.updateMany({ 'stock.location': location._id }, { $pull: { stock: { location: location._id } } });
+    await location.deleteOne();
+    req.flash('success', `Location ${location.name} deleted`);
+    res.redirect('/locations');
+  } catch (error) {
+    console.error('Delete location error:', error);
+    req.flash('error', 'Error deleting location');
+    res.redirect('/locations');
+  }
+});
+
+module.exports = router;
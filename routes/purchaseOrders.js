@@ -0,0 +1,440 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const { requireAuth, requireStaff, requireAdmin } = require('../middleware/auth');
+const { flashMessages, escapeRegex } = require('../utils/helpers');
+const { listLocations, resolveLocation } = require('../utils/locations');
+const { RECEIVABLE_STATUSES, formRows, parseOrderLines, receivePurchaseOrder } = require('../utils/purchaseOrders');
+const { buildPurchaseOrderPdf, buildPurchaseOrderDocx } = require('../utils/purchaseOrderDocument');
+const { itemsWithAlias } = require('../utils/barcode');
+const router = express.Router();
+
+// All purchase order routes are for staff; raising and changing orders is for admins
+router.use(requireAuth);
+router.use(requireStaff);
+router.use(flashMessages);
+
+// Load the order named in the URL with its supplier, location and items
+const findOrder = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return PurchaseOrder.findById(id)
+    .populate('supplier')
+    .populate('location', 'name address')
+    .populate('lines.inventoryItem', 'itemName category size color')
+    .populate('createdBy', 'username');
+};
+
+// Render the new/edit form, with the rows as entered when it has to be shown again
+const renderForm = async (req, res, { order = null, form }) => {
+  res.render('purchase-orders/form', {
+    title: order ? `Edit ${order.poNumber}` : 'New Purchase Order',
+    user: req.user,
+    order,
+    form,
+    suppliers: await Supplier.find({ isActive: true }).sort({ name: 1 }).lean(),
+    locations: await listLocations({ activeOnly: true })
+  });
+};
+
+// Form values for an order, or for a form that was sent back with problems
+const orderForm = (order, body) => {
+  if (body) {
+    return {
+      supplierId: body.supplierId,
+      locationId: body.locationId,
+      notes: body.notes,
+      rows: formRows(body)
+    };
+  }
+  return {
+    supplierId: order ? order.supplier._id.toString() : '',
+    locationId: order && order.location ? order.location._id.toString() : '',
+    notes: order ? order.notes : '',
+    rows: order
+      ? order.lines.map(line => ({
+        barcode: line.barcode,
+        quantity: line.quantityOrdered,
+        unitCost: line.unitCost,
+        expectedDate: line.expectedDate ? line.expectedDate.toISOString().slice(0, 10) : ''
+      }))
+      : []
+  };
+};
+
+// Check the form and return the order fields, or the problems to show
+const orderFields = async (body) => {
+  const problems = [];
+
+  const supplier = mongoose.isValidObjectId(body.supplierId)
+    ? await Supplier.findOne({ _id: body.supplierId, isActive: true })
+    : null;
+  if (!supplier) problems.push('Choose an active supplier');
+
+  let location = null;
+  try {
+    location = await resolveLocation(body.locationId);
+  } catch (error) {
+    if (!error.unknownLocation) throw error;
+    problems.push('Choose a location to deliver to');
+  }
+
+  const { lines, problems: lineProblems } = await parseOrderLines(formRows(body));
+  problems.push(...lineProblems);
+  if (lines.length === 0 && lineProblems.length === 0) problems.push('Add at least one line');
+
+  if (problems.length > 0) return { problems };
+  return {
+    fields: {
+      supplier: supplier._id,
+      supplierName: supplier.name,
+      location,
+      lines,
+      notes: body.notes
+    }
+  };
+};
+
+// Purchase orders list
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 10;
+
+    const filter = {};
+    if (req.query.status === 'open') filter.status = { $in: RECEIVABLE_STATUSES };
+    else if (req.query.status) filter.status = req.query.status;
+    if (mongoose.isValidObjectId(req.query.supplier)) filter.supplier = req.query.supplier;
+    if (req.query.search) {
+      // A scanned PO number goes straight to its order
+      const exact = await PurchaseOrder.findOne({ poNumber: req.query.search.trim().toUpperCase() }).select('_id');
+      if (exact) return res.redirect(`/purchase-orders/${exact._id}`);
+
+      const search = { $regex: escapeRegex(req.query.search), $options: 'i' };
+      filter.$or = [
+        { poNumber: search },
+        { supplierName: search },
+        { 'lines.barcode': search },
+        { 'lines.inventoryItem': { $in: await itemsWithAlias(search) } }
+      ];
+    }
+
+    const orders = await PurchaseOrder.find(filter)
+      .populate('location', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.render('purchase-orders/index', {
+      title: 'Purchase Orders',
+      user: req.user,
+      orders,
+      openOrders: await PurchaseOrder.countDocuments({ status: { $in: RECEIVABLE_STATUSES } }),
+      suppliers: await Supplier.find().sort({ name: 1 }).select('name').lean(),
+      statuses: PurchaseOrder.schema.path('status').enumValues,
+      currentPage: page,
+      totalPages: Math.ceil(await PurchaseOrder.countDocuments(filter) / limit),
+      filter: req.query
+    });
+  } catch (error) {
+    console.error('Purchase orders list error:', error);
+    req.flash('error', 'Error loading purchase orders');
+    res.redirect('/inventory');
+  }
+});
+
+// New purchase order page (Admin only)
+router.get('/new', requireAdmin, async (req, res) => {
+  try {
+    if (!(await Supplier.exists({ isActive: true }))) {
+      req.flash('error', 'Add a supplier before raising a purchase order');
+      return res.redirect('/suppliers');
+    }
+
+    const form = orderForm(null);
+    if (mongoose.isValidObjectId(req.query.supplier)) form.supplierId = req.query.supplier;
+    await renderForm(req, res, { form });
+  } catch (error) {
+    console.error('New purchase order page error:', error);
+    req.flash('error', 'Error loading purchase order form');
+    res.redirect('/purchase-orders');
+  }
+});
+
+// Raise a purchase order as a draft (Admin only)
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { fields, problems } = await orderFields(req.body);
+    if (problems) {
+      res.locals.error = problems;
+      return await renderForm(req, res, { form: orderForm(null, req.body) });
+    }
+
+    const order = new PurchaseOrder({
+      ...fields,
+      poNumber: await PurchaseOrder.nextPoNumber(),
+      createdBy: req.session.userId
+    });
+    await order.save();
+
+    req.flash('success', `Purchase order ${order.poNumber} saved as a draft`);
+    res.redirect(`/purchase-orders/${order._id}`);
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    req.flash('error', 'Error saving purchase order: ' + error.message);
+    res.redirect('/purchase-orders/new');
+  }
+});
+
+// Purchase order details with received and outstanding quantities
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await findOrder(req.params.id);
+    if (!order) {
+      req.flash('error', 'Purchase order not found');
+      return res.redirect('/purchase-orders');
+    }
+
+    res.render('purchase-orders/show', {
+      title: order.poNumber,
+      user: req.user,
+      order,
+      receipts: await GoodsReceipt.find({ purchaseOrder: order._id })
+        .populate('receivedBy', 'username')
+        .sort({ receivedDate: -1 }),
+      receivable: RECEIVABLE_STATUSES.includes(order.status)
+    });
+  } catch (error) {
+    console.error('Purchase order page error:', error);
+    req.flash('error', 'Error loading purchase order');
+    res.redirect('/purchase-orders');
+  }
+});
+
+// Edit page for a draft (Admin only)
+router.get('/:id/edit', requireAdmin, async (req, res) => {
+  try {
+    const order = await findOrder(req.params.id);
+    if (!order) {
+      req.flash('error', 'Purchase order not found');
+      return res.redirect('/purchase-orders');
+    }
+    if (order.status !== 'draft') {
+      req.flash('error', 'Only draft purchase orders can be edited');
+      return res.redirect(`/purchase-orders/${order._id}`);
+    }
+
+    await renderForm(req, res, { order, form: orderForm(order) });
+  } catch (error) {
+    console.error('Edit purchase order page error:', error);
+    req.flash('error', 'Error loading purchase order');
+    res.redirect('/purchase-orders');
+  }
+});
+
+// Update a draft (Admin only)
+router.post('/:id/edit', requireAdmin, async (req, res) => {
+  try {
+    const order = await findOrder(req.params.id);
+    if (!order) {
+      req.flash('error', 'Purchase order not found');
+      return res.redirect('/purchase-orders');
+    }
+    if (order.status !== 'draft') {
+      req.flash('error', 'Only draft purchase orders can be edited');
+      return res.redirect(`/purchase-orders/${order._id}`);
+    }
+
+    const { fields, problems } = await orderFields(req.body);
+    if (problems) {
+      res.locals.error = problems;
+      return await renderForm(req, res, { order, form: orderForm(order, req.body) });
+    }
+
+    order.set(fields);
+    await order.save();
+    req.flash('success', `Purchase order ${order.poNumber} updated`);
+    res.redirect(`/purchase-orders/${order._id}`);
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    req.flash('error', 'Error saving purchase order: ' + error.message);
+    res.redirect(`/purchase-orders/${req.params.id}`);
+  }
+});
+
+// Mark a draft as sent to the supplier; from here on it can be received (Admin only)
+router.post('/:id/send', requireAdmin, async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await PurchaseOrder.findOneAndUpdate(
+        { _id: req.params.id, status: 'draft' },
+        { status: 'sent', sentDate: new Date() },
+        { new: true }
+      )
+      : null;
+    if (!order) {
+      req.flash('error', 'Only draft purchase orders can be sent');
+      return res.redirect(`/purchase-orders/${req.params.id}`);
+    }
+
+    req.flash('success', `Purchase order ${order.poNumber} marked as sent`);
+    res.redirect(`/purchase-orders/${order._id}`);
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    req.flash('error', 'Error sending purchase order');
+    res.redirect(`/purchase-orders/${req.params.id}`);
+  }
+});
+
+// Cancel an order; stock already received stays in stock (Admin only)
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await PurchaseOrder.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['draft', ...RECEIVABLE_STATUSES] } },
+        { status: 'cancelled', cancelledDate: new Date() },
+        { new: true }
+      )
+      : null;
+    if (!order) {
+      req.flash('error', 'Only purchase orders that are not fully received can be cancelled');
+      return res.redirect(`/purchase-orders/${req.params.id}`);
+    }
+
+    req.flash('success', `Purchase order ${order.poNumber} cancelled`);
+    res.redirect(`/purchase-orders/${order._id}`);
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    req.flash('error', 'Error cancelling purchase order');
+    res.redirect(`/purchase-orders/${req.params.id}`);
+  }
+});
+
+// Delete a draft that was never sent (Admin only)
+router.post('/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await PurchaseOrder.findOneAndDelete({ _id: req.params.id, status: 'draft' })
+      : null;
+    if (!order) {
+      req.flash('error', 'Only draft purchase orders can be deleted; cancel it instead');
+      return res.redirect(`/purchase-orders/${req.params.id}`);
+    }
+
+    req.flash('success', `Purchase order ${order.poNumber} deleted`);
+    res.redirect('/purchase-orders');
+  } catch (error) {
+    console.error('Delete purchase order error:', error);
+    req.flash('error', 'Error deleting purchase order');
+    res.redirect('/purchase-orders');
+  }
+});
+
+// Receive page - scan the delivered items against what is outstanding
+router.get('/:id/receive', async (req, res) => {
+  try {
+    const order = await findOrder(req.params.id);
+    if (!order) {
+      req.flash('error', 'Purchase order not found');
+      return res.redirect('/purchase-orders');
+    }
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      req.flash('error', `${order.poNumber} is not open for receiving`);
+      return res.redirect(`/purchase-orders/${order._id}`);
+    }
+
+    res.render('delivery/scan', {
+      title: `Receive ${order.poNumber}`,
+      user: req.user,
+      mode: 'po-receive',
+      suppliers: [],
+      locations: [],
+      purchaseOrder: order
+    });
+  } catch (error) {
+    console.error('Receive purchase order page error:', error);
+    req.flash('error', 'Error loading purchase order');
+    res.redirect('/purchase-orders');
+  }
+});
+
+// Receive a scanned delivery against the order
+router.post('/:id/receive', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Purchase order not found' });
+    }
+
+    const lines = (Array.isArray(req.body.items) ? req.body.items : []).map(({ inventoryId, barcode, quantity }) => ({
+      inventoryId,
+      barcode,
+      quantity: parseInt(quantity)
+    }));
+    if (lines.length === 0) {
+      return res.status(400).json({ success: false, error: 'Scan at least one item' });
+    }
+    const invalid = lines.filter(line => !mongoose.isValidObjectId(line.inventoryId) || !(line.quantity > 0));
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: `Invalid item or quantity for barcode(s): ${invalid.map(line => line.barcode).join(', ')}` });
+    }
+
+    const { order, receipt } = await receivePurchaseOrder(req.params.id, lines, {
+      referenceNumber: req.body.referenceNumber,
+      notes: req.body.notes,
+      userId: req.session.userId
+    });
+
+    res.json({
+      success: true,
+      message: order.status === 'received'
+        ? `Receipt ${receipt.receiptNumber} recorded: ${order.poNumber} is fully received`
+        : `Receipt ${receipt.receiptNumber} recorded: ${order.totalOutstanding} item(s) still outstanding on ${order.poNumber}`,
+      purchaseOrderId: order._id,
+      receiptNumber: receipt.receiptNumber
+    });
+  } catch (error) {
+    if (error.receiptRejected) {
+      return res.status(409).json({ success: false, error: `No stock was received. ${error.message}` });
+    }
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({ success: false, error: 'Error receiving purchase order' });
+  }
+});
+
+// Printable purchase order (PDF) or Word document to send to the supplier
+router.get('/:id/document/:format', async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (format !== 'pdf' && format !== 'docx') {
+      req.flash('error', 'Unsupported purchase order format');
+      return res.redirect(`/purchase-orders/${req.params.id}`);
+    }
+
+    const order = await findOrder(req.params.id);
+    if (!order) {
+      req.flash('error', 'Purchase order not found');
+      return res.redirect('/purchase-orders');
+    }
+
+    const buffer = format === 'pdf'
+      ? await buildPurchaseOrderPdf(order)
+      : await buildPurchaseOrderDocx(order);
+
+    const contentType = format === 'pdf'
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    const disposition = format === 'pdf' ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="purchase-order-${order.poNumber}.${format}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Purchase order document error:', error);
+    req.flash('error', 'Error generating purchase order document');
+    res.redirect(`/purchase-orders/${req.params.id}`);
+  }
+});
+
+module.exports = router;
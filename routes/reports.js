@@ -1,10 +1,26 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
 const Delivery = require('../models/Delivery');
+const DeliveryOrder = require('../models/DeliveryOrder');
+const DeliveryReturn = require('../models/DeliveryReturn');
+const DeletedItem = require('../models/DeletedItem');
+const GoodsReceipt = require('../models/GoodsReceipt');
 const Inventory = require('../models/Inventory');
+const StockCount = require('../models/StockCount');
+const StockTransfer = require('../models/StockTransfer');
 const { requireAuth, requireStaff } = require('../middleware/auth');
 const XLSX = require('xlsx');
 const moment = require('moment');
-const { flashMessages, formatDateRange, filterValidPopulated, formatCurrency } = require('../utils/helpers');
+const { flashMessages, formatDateRange, filterValidPopulated, formatCurrency, escapeRegex, lineAmount } = require('../utils/helpers');
+const { getAllowancesFor, describeExceeded } = require('../utils/entitlements');
+const { buildVarianceLines } = require('../utils/stockCount');
+const { categoryNames, categoryFilter, reorderDefaults } = require('../utils/categories');
+const { isLowStock, lowStockFilter, reorderSuggestions } = require('../utils/reorder');
+const { listLocations, resolveLocation, quantityAt, stockAtLocationStages } = require('../utils/locations');
+const { ledgerStart, stockAsOf } = require('../utils/stockLedger');
+const { priceAt, deliveryPrices } = require('../utils/prices');
+const { COSTING_METHODS, costingMethod, stockValue, stockValuesAt, unitStockCost, deliveryCost } = require('../utils/costing');
 const router = express.Router();
 
 router.use(flashMessages);
@@ -13,17 +29,185 @@ router.use(flashMessages);
 router.use(requireAuth);
 
 // Reports page
-router.get('/', requireStaff, (req, res) => {
-  res.render('reports/index', {
-    title: 'Generate Reports',
-    user: req.user || { username: req.session.username, role: req.session.userRole }
-  });
+router.get('/', requireStaff, async (req, res) => {
+  try {
+    res.render('reports/index', {
+      title: 'Generate Reports',
+      user: req.user || { username: req.session.username, role: req.session.userRole },
+      categories: await categoryNames(),
+      locations: await listLocations(),
+      costingMethodName: COSTING_METHODS[costingMethod()]
+    });
+  } catch (error) {
+    console.error('Reports page error:', error);
+    req.flash('error', 'Error loading reports page');
+    res.redirect('/dashboard');
+  }
 });
 
+// Delivery report with one row per delivery order
+const sendDeliveryOrderReport = async (req, res) => {
+  const { startDate, endDate, customerName, location } = req.query;
+
+  // Build filter
+  const filter = {};
+  if (startDate && endDate) {
+    filter.orderDate = formatDateRange(startDate, endDate);
+  }
+  if (customerName) {
+    filter.customerName = { $regex: escapeRegex(customerName), $options: 'i' };
+  }
+  if (location) {
+    filter.location = await resolveLocation(location);
+  }
+
+  const orders = await DeliveryOrder.find(filter)
+    .populate('issuedBy', 'username')
+    .sort({ orderDate: -1 });
+
+  if (orders.length === 0) {
+    req.flash('error', 'No delivery orders found for the selected criteria');
+    return res.redirect('/reports');
+  }
+
+  // Prepare data for Excel
+  const excelData = orders.map(order => ({
+    'Order Number': order.orderNumber,
+    'Order Date': moment(order.orderDate).format('YYYY-MM-DD'),
+    'Customer Name': order.customerName,
+    'Items': order.lines.map(line => `${line.itemName} x ${line.quantity}`).join(', '),
+    'Lines': order.lines.length,
+    'Total Quantity': order.totalQuantity,
+    'Total Amount': `Rs ${formatCurrency(order.totalAmount)}`,
+    'Issued By': order.issuedBy ? order.issuedBy.username : '',
+    'Notes': order.notes || ''
+  }));
+
+  // Create workbook and worksheet
+  const wb = XLSX.utils.book_new();
+  const ws = XLSX.utils.json_to_sheet(excelData);
+
+  // Set column widths
+  ws['!cols'] = [
+    { wch: 18 }, // Order Number
+    { wch: 15 }, // Order Date
+    { wch: 20 }, // Customer Name
+    { wch: 40 }, // Items
+    { wch: 8 },  // Lines
+    { wch: 15 }, // Total Quantity
+    { wch: 15 }, // Total Amount
+    { wch: 15 }, // Issued By
+    { wch: 30 }  // Notes
+  ];
+
+  XLSX.utils.book_append_sheet(wb, ws, 'Delivery Orders');
+
+  // Generate buffer
+  const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+  // Set response headers
+  const filename = `delivery-orders-report-${moment().format('YYYY-MM-DD')}.xlsx`;
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  res.send(buffer);
+};
+
+// Returns and exchanges report with one row per return
+const sendReturnReport = async (req, res) => {
+  const { startDate, endDate, customerName } = req.query;
+
+  // Build filter
+  const filter = {};
+  if (startDate && endDate) {
+    filter.returnDate = formatDateRange(startDate, endDate);
+  }
+  if (customerName) {
+    filter.customerName = { $regex: escapeRegex(customerName), $options: 'i' };
+  }
+
+  const returns = await DeliveryReturn.find(filter)
+    .populate('inventoryItem', 'itemName category size color')
+    .populate('deliveryOrder', 'orderNumber')
+    .populate('exchangeOrder', 'orderNumber')
+    .populate({ path: 'exchangeDelivery', select: 'inventoryItem', populate: { path: 'inventoryItem', select: 'itemName size' } })
+    .populate('receivedBy', 'username')
+    .sort({ returnDate: -1 });
+
+  if (returns.length === 0) {
+    req.flash('error', 'No returns found for the selected criteria');
+    return res.redirect('/reports');
+  }
+
+  // Prepare data for Excel
+  const excelData = returns.map(entry => {
+    const exchangeItem = entry.exchangeDelivery && entry.exchangeDelivery.inventoryItem;
+    return {
+      'Return Number': entry.returnNumber,
+      'Return Date': moment(entry.returnDate).format('YYYY-MM-DD'),
+      'Original Order': entry.deliveryOrder ? entry.deliveryOrder.orderNumber : '',
+      'Customer Name': entry.customerName,
+      'Item Name': entry.inventoryItem ? entry.inventoryItem.itemName : '',
+      'Size': entry.inventoryItem ? entry.inventoryItem.size : '',
+      'Barcode': entry.barcode,
+      'Quantity': entry.quantity,
+      'Reason': entry.reason,
+      'Condition': entry.condition,
+      'Outcome': entry.disposition === 'restock' ? 'Restocked' : 'Written off',
+      'Exchanged For': exchangeItem ? `${exchangeItem.itemName} (${exchangeItem.size})` : '',
+      'Exchange Order': entry.exchangeOrder ? entry.exchangeOrder.orderNumber : '',
+      'Received By': entry.receivedBy ? entry.receivedBy.username : '',
+      'Notes': entry.notes || ''
+    };
+  });
+
+  // Create workbook and worksheet
+  const wb = XLSX.utils.book_new();
+  const ws = XLSX.utils.json_to_sheet(excelData);
+
+  // Set column widths
+  ws['!cols'] = [
+    { wch: 18 }, // Return Number
+    { wch: 12 }, // Return Date
+    { wch: 18 }, // Original Order
+    { wch: 20 }, // Customer Name
+    { wch: 25 }, // Item Name
+    { wch: 10 }, // Size
+    { wch: 18 }, // Barcode
+    { wch: 10 }, // Quantity
+    { wch: 18 }, // Reason
+    { wch: 12 }, // Condition
+    { wch: 12 }, // Outcome
+    { wch: 25 }, // Exchanged For
+    { wch: 18 }, // Exchange Order
+    { wch: 15 }, // Received By
+    { wch: 30 }  // Notes
+  ];
+
+  XLSX.utils.book_append_sheet(wb, ws, 'Returns');
+
+  // Generate buffer
+  const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+  // Set response headers
+  const filename = `returns-report-${moment().format('YYYY-MM-DD')}.xlsx`;
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  res.send(buffer);
+};
+
 // Generate delivery report (Excel)
 router.get('/delivery/excel', requireStaff, async (req, res) => {
   try {
-    const { startDate, endDate, customerName } = req.query;
+    const { startDate, endDate, customerName, groupBy, location } = req.query;
+
+    if (groupBy === 'order') {
+      return await sendDeliveryOrderReport(req, res);
+    }
+    if (groupBy === 'return') {
+      return await sendReturnReport(req, res);
+    }
     
     // Build filter
     const filter = {};
@@ -31,13 +215,19 @@ router.get('/delivery/excel', requireStaff, async (req, res) => {
       filter.deliveryDate = formatDateRange(startDate, endDate);
     }
     if (customerName) {
-      filter.customerName = { $regex: customerName, $options: 'i' };
+      filter.customerName = { $regex: escapeRegex(customerName), $options: 'i' };
     }
+    if (location) {
+      filter.location = await resolveLocation(location);
+    }
+    const hasLocations = (await listLocations()).length > 0;
 
     // Get deliveries with populated data
     const deliveries = await Delivery.find(filter)
-      .populate('inventoryItem', 'itemName category size color price')
+      .populate('inventoryItem', 'itemName category size color price priceHistory')
+      .populate('location', 'name')
       .populate('deliveredBy', 'username')
+      .populate('deliveryOrder', 'orderNumber')
       .sort({ deliveryDate: -1 });
 
     // Filter out deliveries with missing references
@@ -49,20 +239,28 @@ router.get('/delivery/excel', requireStaff, async (req, res) => {
     }
 
     // Prepare data for Excel
-    const excelData = validDeliveries.map(delivery => ({
-      'Delivery Date': moment(delivery.deliveryDate).format('YYYY-MM-DD'),
-      'Customer Name': delivery.customerName,
-      'Item Name': delivery.inventoryItem.itemName,
-      'Category': delivery.inventoryItem.category,
-      'Size': delivery.inventoryItem.size,
-      'Color': delivery.inventoryItem.color,
-      'Barcode': delivery.barcode,
-      'Quantity Delivered': delivery.quantityDelivered,
-      'Unit Price': `Rs ${formatCurrency(delivery.inventoryItem.price)}`,
-      'Total Amount': `Rs ${formatCurrency(delivery.quantityDelivered * delivery.inventoryItem.price)}`,
-      'Delivered By': delivery.deliveredBy.username,
-      'Notes': delivery.notes || ''
-    }));
+    const excelData = validDeliveries.map(delivery => {
+      const prices = deliveryPrices(delivery);
+      return {
+        'Delivery Date': moment(delivery.deliveryDate).format('YYYY-MM-DD'),
+        'Order Number': delivery.deliveryOrder ? delivery.deliveryOrder.orderNumber : '',
+        ...(hasLocations && { 'Location': delivery.location ? delivery.location.name : '' }),
+        'Customer Name': delivery.customerName,
+        'Item Name': delivery.inventoryItem.itemName,
+        'Category': delivery.inventoryItem.category,
+        'Size': delivery.inventoryItem.size,
+        'Color': delivery.inventoryItem.color,
+        'Barcode': delivery.barcode,
+        'Quantity Delivered': delivery.quantityDelivered,
+        'Quantity Returned': delivery.quantityReturned,
+        'Unit Price': `Rs ${formatCurrency(prices.unitPrice)}`,
+        'Discount %': prices.discountRate,
+        'Tax %': prices.taxRate,
+        'Total Amount': `Rs ${formatCurrency(prices.amount)}`,
+        'Delivered By': delivery.deliveredBy.username,
+        'Notes': delivery.notes || ''
+      };
+    });
 
     // Create workbook and worksheet
     const wb = XLSX.utils.book_new();
@@ -71,6 +269,8 @@ router.get('/delivery/excel', requireStaff, async (req, res) => {
     // Set column widths
     const colWidths = [
       { wch: 15 }, // Delivery Date
+      { wch: 18 }, // Order Number
+      ...(hasLocations ? [{ wch: 18 }] : []), // Location
       { wch: 20 }, // Customer Name
       { wch: 25 }, // Item Name
       { wch: 12 }, // Category
@@ -78,7 +278,10 @@ router.get('/delivery/excel', requireStaff, async (req, res) => {
       { wch: 15 }, // Color
       { wch: 18 }, // Barcode
       { wch: 18 }, // Quantity Delivered
+      { wch: 18 }, // Quantity Returned
       { wch: 12 }, // Unit Price
+      { wch: 11 }, // Discount %
+      { wch: 8 },  // Tax %
       { wch: 15 }, // Total Amount
       { wch: 15 }, // Delivered By
       { wch: 30 }  // Notes
@@ -99,7 +302,7 @@ router.get('/delivery/excel', requireStaff, async (req, res) => {
     res.send(buffer);
   } catch (error) {
     console.error('Excel report error:', error);
-    req.flash('error', 'Error generating Excel report');
+    req.flash('error', error.unknownLocation ? 'Unknown location' : 'Error generating Excel report');
     res.redirect('/reports');
   }
 });
@@ -107,64 +310,701 @@ router.get('/delivery/excel', requireStaff, async (req, res) => {
 // Generate inventory report (Excel)
 router.get('/inventory/excel', requireStaff, async (req, res) => {
   try {
-    const { category, lowStock } = req.query;
+    const { category, lowStock, asOf } = req.query;
+    const location = req.query.location ? await resolveLocation(req.query.location) : null;
+
+    // With an as-of date, stock is rebuilt from the ledger as it was at the end of that day
+    const date = asOf ? moment(asOf, 'YYYY-MM-DD', true).endOf('day') : null;
+    if (date && (!date.isValid() || date.isAfter(moment().endOf('day')))) {
+      req.flash('error', 'As-of date must be a valid date no later than today');
+      return res.redirect('/reports');
+    }
+    const start = date ? await ledgerStart() : null;
+    if (date && date.isBefore(start || new Date())) {
+      req.flash('error', start
+        ? `Stock history starts on ${moment(start).format('YYYY-MM-DD')}; choose an as-of date from then on`
+        : 'No stock history has been recorded yet; leave the as-of date empty for the current stock');
+      return res.redirect('/reports');
+    }
     
     // Build filter
     const filter = {};
-    if (category) filter.category = category;
-    if (lowStock === 'true') filter.quantity = { $lte: 10 };
+    if (category) filter.category = await categoryFilter(category);
+    if (date) filter.createdAt = { $not: { $gt: date.toDate() } };
+    if (lowStock === 'true' && !date) filter.$and = [await lowStockFilter({ includeOutOfStock: true })];
+
+    // Get inventory items; at a location, quantity is the stock held there
+    let items = await Inventory.aggregate([
+      ...stockAtLocationStages(location),
+      { $match: filter },
+      { $sort: { category: 1, itemName: 1 } }
+    ]);
+    const defaults = await reorderDefaults();
+    if (date) {
+      // Items deleted since still held their stock then
+      const deleted = await DeletedItem.aggregate([
+        ...stockAtLocationStages(location),
+        { $match: { ...filter, deletedAt: { $gt: date.toDate() } } }
+      ]);
+      if (deleted.length > 0) {
+        items = [...items, ...deleted].sort((a, b) => a.category.localeCompare(b.category) || a.itemName.localeCompare(b.itemName));
+      }
+      items = await stockAsOf(items, date.toDate(), location);
+      if (lowStock === 'true') items = items.filter(item => isLowStock(item, defaults));
+    }
+    const costValues = date ? await stockValuesAt(items, date.toDate()) : null;
+
+    // Company-wide reports break the stock down by location
+    const breakdown = location ? [] : await listLocations();
+
+    // Prepare data for Excel
+    const excelData = items.map(item => {
+      const price = date ? priceAt(item, date.toDate()) : item.price;
+      return {
+        'Item Name': item.deletedAt ? `${item.itemName} (deleted since)` : item.itemName,
+        'Category': item.category,
+        'Size': item.size,
+        'Color': item.color,
+        'Barcode': item.barcode,
+        'Current Stock': item.quantity,
+        ...Object.fromEntries(breakdown.map(entry => [`Stock at ${entry.name}`, quantityAt(item, entry._id)])),
+        'Unit Price': `Rs ${formatCurrency(price)}`,
+        'Retail Value': `Rs ${formatCurrency(item.quantity * price)}`,
+        'Cost Value': `Rs ${formatCurrency(date ? costValues.get(item._id.toString()) : stockValue(item))}`,
+        'Description': item.description || '',
+        'Status': item.quantity === 0 ? 'Out of Stock' : isLowStock(item, defaults) ? 'Low Stock' : 'In Stock'
+      };
+    });
+
+    // Create workbook and worksheet
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(excelData);
+
+    // Set column widths
+    const colWidths = [
+      { wch: 25 }, // Item Name
+      { wch: 12 }, // Category
+      { wch: 10 }, // Size
+      { wch: 15 }, // Color
+      { wch: 18 }, // Barcode
+      { wch: 15 }, // Current Stock
+      ...breakdown.map(() => ({ wch: 18 })), // Stock at each location
+      { wch: 12 }, // Unit Price
+      { wch: 15 }, // Retail Value
+      { wch: 15 }, // Cost Value
+      { wch: 30 }, // Description
+      { wch: 12 }  // Status
+    ];
+    ws['!cols'] = colWidths;
+
+    // Add worksheet to workbook
+    XLSX.utils.book_append_sheet(wb, ws, 'Inventory Report');
+
+    // Generate buffer
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
 
-    // Get inventory items
-    const items = await Inventory.find(filter).sort({ category: 1, itemName: 1 });
+    // Set response headers
+    const filename = date
+      ? `inventory-report-as-of-${date.format('YYYY-MM-DD')}.xlsx`
+      : `inventory-report-${moment().format('YYYY-MM-DD')}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    res.send(buffer);
+  } catch (error) {
+    console.error('Inventory Excel report error:', error);
+    req.flash('error', error.unknownLocation ? 'Unknown location' : 'Error generating inventory Excel report');
+    res.redirect('/reports');
+  }
+});
+
+// Generate stock valuation and margin report (Excel)
+router.get('/valuation/excel', requireStaff, async (req, res) => {
+  try {
+    const { category, startDate, endDate } = req.query;
+    const location = req.query.location ? await resolveLocation(req.query.location) : null;
+
+    // Stock on hand, at the location when one is chosen
+    const itemFilter = category ? { category: await categoryFilter(category) } : {};
+    const items = await Inventory.aggregate([
+      ...stockAtLocationStages(location),
+      { $match: itemFilter },
+      { $sort: { category: 1, itemName: 1 } }
+    ]);
+
+    // Deliveries in the period, for what was issued and what it earned
+    const deliveryFilter = {};
+    if (startDate && endDate) deliveryFilter.deliveryDate = formatDateRange(startDate, endDate);
+    if (location) deliveryFilter.location = location;
+    if (category) deliveryFilter.inventoryItem = { $in: await Inventory.find(itemFilter).distinct('_id') };
+    const deliveries = filterValidPopulated(
+      await Delivery.find(deliveryFilter).populate('inventoryItem', 'category price priceHistory averageCost'),
+      ['inventoryItem']
+    );
+
+    if (items.length === 0 && deliveries.length === 0) {
+      req.flash('error', 'No items or deliveries found for the selected criteria');
+      return res.redirect('/reports');
+    }
+
+    const totals = new Map();
+    const totalsFor = (name) => {
+      if (!totals.has(name)) {
+        totals.set(name, { items: 0, onHand: 0, costValue: 0, retailValue: 0, issued: 0, revenue: 0, cost: 0 });
+      }
+      return totals.get(name);
+    };
+    items.forEach(item => {
+      const entry = totalsFor(item.category);
+      entry.items++;
+      entry.onHand += item.quantity;
+      entry.costValue += stockValue(item);
+      entry.retailValue += item.quantity * item.price;
+    });
+    // Margin is on the units kept, before tax
+    deliveries.forEach(delivery => {
+      const entry = totalsFor(delivery.inventoryItem.category);
+      const kept = delivery.quantityDelivered - delivery.quantityReturned;
+      const { unitPrice, discountRate } = deliveryPrices(delivery);
+      entry.issued += kept;
+      entry.revenue += lineAmount(kept, { unitPrice, discountRate });
+      entry.cost += deliveryCost(delivery);
+    });
+
+    const money = (amount) => `Rs ${formatCurrency(amount)}`;
+    const categoryRow = (name, entry) => {
+      const margin = entry.revenue - entry.cost;
+      return {
+        'Category': name,
+        'Items': entry.items,
+        'On Hand': entry.onHand,
+        'Cost Value': money(entry.costValue),
+        'Retail Value': money(entry.retailValue),
+        'Units Issued': entry.issued,
+        'Revenue': money(entry.revenue),
+        'Cost of Goods Issued': money(entry.cost),
+        'Margin': money(margin),
+        'Margin %': entry.revenue > 0 ? `${(margin / entry.revenue * 100).toFixed(1)}%` : '-'
+      };
+    };
+
+    const names = [...totals.keys()].sort();
+    const grandTotal = names.reduce((sum, name) => {
+      Object.keys(sum).forEach(key => { sum[key] += totals.get(name)[key]; });
+      return sum;
+    }, { items: 0, onHand: 0, costValue: 0, retailValue: 0, issued: 0, revenue: 0, cost: 0 });
+    const categoryData = [
+      ...names.map(name => categoryRow(name, totals.get(name))),
+      categoryRow('TOTAL', grandTotal)
+    ];
+
+    const itemData = items.map(item => ({
+      'Item Name': item.itemName,
+      'Category': item.category,
+      'Size': item.size,
+      'Color': item.color,
+      'Barcode': item.barcode,
+      'On Hand': item.quantity,
+      'Unit Cost': money(unitStockCost(item)),
+      'Cost Value': money(stockValue(item)),
+      'Unit Price': money(item.price),
+      'Retail Value': money(item.quantity * item.price)
+    }));
+
+    // Create workbook and worksheets
+    const wb = XLSX.utils.book_new();
+    const categorySheet = XLSX.utils.json_to_sheet(categoryData);
+    categorySheet['!cols'] = [
+      { wch: 18 }, // Category
+      { wch: 8 },  // Items
+      { wch: 10 }, // On Hand
+      { wch: 16 }, // Cost Value
+      { wch: 16 }, // Retail Value
+      { wch: 13 }, // Units Issued
+      { wch: 16 }, // Revenue
+      { wch: 20 }, // Cost of Goods Issued
+      { wch: 16 }, // Margin
+      { wch: 10 }  // Margin %
+    ];
+    XLSX.utils.book_append_sheet(wb, categorySheet, 'By Category');
+
+    const itemSheet = XLSX.utils.json_to_sheet(itemData.length > 0 ? itemData : [{ 'Item Name': 'No stock on hand' }]);
+    itemSheet['!cols'] = [
+      { wch: 25 }, // Item Name
+      { wch: 12 }, // Category
+      { wch: 10 }, // Size
+      { wch: 15 }, // Color
+      { wch: 18 }, // Barcode
+      { wch: 10 }, // On Hand
+      { wch: 12 }, // Unit Cost
+      { wch: 15 }, // Cost Value
+      { wch: 12 }, // Unit Price
+      { wch: 15 }  // Retail Value
+    ];
+    XLSX.utils.book_append_sheet(wb, itemSheet, 'By Item');
+
+    // How the figures were worked out, so the sheet can be read on its own
+    const period = startDate && endDate ? `${startDate} to ${endDate}` : 'All deliveries';
+    const locationName = location ? (await listLocations()).find(entry => entry._id.equals(location)).name : 'All locations';
+    const aboutSheet = XLSX.utils.aoa_to_sheet([
+      ['Costing Method', COSTING_METHODS[costingMethod()]],
+      ['Deliveries', period],
+      ['Location', locationName],
+      ['Category', category || 'All categories'],
+      ['Generated', moment().format('YYYY-MM-DD HH:mm')],
+      [],
+      ['Revenue is before tax and net of returns; cost of goods issued is what the kept units cost when they were issued.']
+    ]);
+    aboutSheet['!cols'] = [{ wch: 18 }, { wch: 40 }];
+    XLSX.utils.book_append_sheet(wb, aboutSheet, 'About');
+
+    // Generate buffer
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    // Set response headers
+    const filename = `valuation-report-${moment().format('YYYY-MM-DD')}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    res.send(buffer);
+  } catch (error) {
+    console.error('Valuation Excel report error:', error);
+    req.flash('error', error.unknownLocation ? 'Unknown location' : 'Error generating valuation report');
+    res.redirect('/reports');
+  }
+});
+
+// Generate reorder suggestions report (Excel)
+router.get('/reorder/excel', requireStaff, async (req, res) => {
+  try {
+    const { category } = req.query;
+    const suggestions = await reorderSuggestions(category ? { category: await categoryFilter(category) } : {});
+
+    if (suggestions.length === 0) {
+      req.flash('error', 'No items are at or below their reorder point');
+      return res.redirect('/reports');
+    }
 
     // Prepare data for Excel
-    const excelData = items.map(item => ({
+    const excelData = suggestions.map(({ item, reorderPoint, suggestedQuantity, estimatedCost, lastSupplier }) => ({
       'Item Name': item.itemName,
       'Category': item.category,
       'Size': item.size,
       'Color': item.color,
       'Barcode': item.barcode,
       'Current Stock': item.quantity,
+      'Reorder Point': reorderPoint,
+      'Suggested Quantity': suggestedQuantity,
       'Unit Price': `Rs ${formatCurrency(item.price)}`,
-      'Total Value': `Rs ${formatCurrency(item.quantity * item.price)}`,
-      'Description': item.description || '',
-      'Status': item.quantity <= 10 ? 'Low Stock' : item.quantity === 0 ? 'Out of Stock' : 'In Stock'
+      'Estimated Cost': `Rs ${formatCurrency(estimatedCost)}`,
+      'Last Supplier': lastSupplier
     }));
 
+    excelData.push({
+      'Item Name': 'TOTAL',
+      'Suggested Quantity': suggestions.reduce((sum, s) => sum + s.suggestedQuantity, 0),
+      'Estimated Cost': `Rs ${formatCurrency(suggestions.reduce((sum, s) => sum + s.estimatedCost, 0))}`
+    });
+
     // Create workbook and worksheet
     const wb = XLSX.utils.book_new();
     const ws = XLSX.utils.json_to_sheet(excelData);
 
     // Set column widths
-    const colWidths = [
+    ws['!cols'] = [
       { wch: 25 }, // Item Name
       { wch: 12 }, // Category
       { wch: 10 }, // Size
       { wch: 15 }, // Color
       { wch: 18 }, // Barcode
       { wch: 15 }, // Current Stock
+      { wch: 14 }, // Reorder Point
+      { wch: 18 }, // Suggested Quantity
       { wch: 12 }, // Unit Price
-      { wch: 15 }, // Total Value
-      { wch: 30 }, // Description
+      { wch: 16 }, // Estimated Cost
+      { wch: 20 }  // Last Supplier
+    ];
+
+    XLSX.utils.book_append_sheet(wb, ws, 'Reorder Suggestions');
+
+    // Generate buffer
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    // Set response headers
+    const filename = `reorder-suggestions-${moment().format('YYYY-MM-DD')}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    res.send(buffer);
+  } catch (error) {
+    console.error('Reorder Excel report error:', error);
+    req.flash('error', 'Error generating reorder suggestions report');
+    res.redirect('/reports');
+  }
+});
+
+// Generate goods receiving report (Excel)
+router.get('/receipts/excel', requireStaff, async (req, res) => {
+  try {
+    const { startDate, endDate, supplier } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (startDate && endDate) {
+      filter.receivedDate = formatDateRange(startDate, endDate);
+    }
+    if (supplier) {
+      filter.supplier = { $regex: escapeRegex(supplier), $options: 'i' };
+    }
+
+    const receipts = await GoodsReceipt.find(filter)
+      .populate('lines.inventoryItem', 'itemName category size color price')
+      .populate('receivedBy', 'username')
+      .sort({ receivedDate: -1 });
+
+    if (receipts.length === 0) {
+      req.flash('error', 'No goods receipts found for the selected criteria');
+      return res.redirect('/reports');
+    }
+
+    // Prepare data for Excel - one row per receipt line
+    const excelData = [];
+    receipts.forEach(receipt => {
+      receipt.lines.forEach(line => {
+        const item = line.inventoryItem;
+        excelData.push({
+          'Receipt Number': receipt.receiptNumber,
+          'Received Date': moment(receipt.receivedDate).format('YYYY-MM-DD'),
+          'Supplier': receipt.supplier || '',
+          'Reference Number': receipt.referenceNumber || '',
+          'Item Name': item ? item.itemName : line.itemName,
+          'Category': item ? item.category : '',
+          'Size': item ? item.size : '',
+          'Color': item ? item.color : '',
+          'Barcode': line.barcode,
+          'Quantity Received': line.quantity,
+          'Unit Cost': line.unitCost != null ? `Rs ${formatCurrency(line.unitCost)}` : '',
+          'Line Cost': line.unitCost != null ? `Rs ${formatCurrency(line.quantity * line.unitCost)}` : '',
+          'Stock After': line.balanceAfter,
+          'Received By': receipt.receivedBy ? receipt.receivedBy.username : '',
+          'Notes': receipt.notes || ''
+        });
+      });
+    });
+
+    // Create workbook and worksheet
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(excelData);
+
+    // Set column widths
+    ws['!cols'] = [
+      { wch: 18 }, // Receipt Number
+      { wch: 15 }, // Received Date
+      { wch: 20 }, // Supplier
+      { wch: 18 }, // Reference Number
+      { wch: 25 }, // Item Name
+      { wch: 12 }, // Category
+      { wch: 10 }, // Size
+      { wch: 15 }, // Color
+      { wch: 18 }, // Barcode
+      { wch: 18 }, // Quantity Received
+      { wch: 12 }, // Unit Cost
+      { wch: 14 }, // Line Cost
+      { wch: 12 }, // Stock After
+      { wch: 15 }, // Received By
+      { wch: 30 }  // Notes
+    ];
+
+    XLSX.utils.book_append_sheet(wb, ws, 'Goods Receipts');
+
+    // Generate buffer
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    // Set response headers
+    const filename = `goods-receipts-report-${moment().format('YYYY-MM-DD')}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    res.send(buffer);
+  } catch (error) {
+    console.error('Goods receipts Excel report error:', error);
+    req.flash('error', 'Error generating goods receiving Excel report');
+    res.redirect('/reports');
+  }
+});
+
+// Generate stock transfers report (Excel)
+router.get('/transfers/excel', requireStaff, async (req, res) => {
+  try {
+    const { startDate, endDate, status, discrepancy } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (startDate && endDate) {
+      filter.sentDate = formatDateRange(startDate, endDate);
+    }
+    if (status) {
+      filter.status = status;
+    }
+    if (discrepancy === 'true') {
+      filter.hasDiscrepancy = true;
+    }
+    if (req.query.location) {
+      const location = await resolveLocation(req.query.location);
+      filter.$or = [{ fromLocation: location }, { toLocation: location }];
+    }
+
+    const transfers = await StockTransfer.find(filter)
+      .populate('fromLocation', 'name')
+      .populate('toLocation', 'name')
+      .populate('lines.inventoryItem', 'itemName category size color')
+      .populate('sentBy', 'username')
+      .populate('receivedBy', 'username')
+      .sort({ sentDate: -1 });
+
+    if (transfers.length === 0) {
+      req.flash('error', 'No transfers found for the selected criteria');
+      return res.redirect('/reports');
+    }
+
+    const statusLabels = { in_transit: 'In Transit', received: 'Received', cancelled: 'Cancelled' };
+
+    // Prepare data for Excel - one row per transfer line
+    const excelData = [];
+    transfers.forEach(transfer => {
+      transfer.lines.forEach(line => {
+        const item = line.inventoryItem;
+        const received = transfer.status === 'received';
+        excelData.push({
+          'Transfer Number': transfer.transferNumber,
+          'Status': statusLabels[transfer.status],
+          'Shipped Date': moment(transfer.sentDate).format('YYYY-MM-DD'),
+          'From': transfer.fromLocation ? transfer.fromLocation.name : '',
+          'To': transfer.toLocation ? transfer.toLocation.name : '',
+          'Item Name': item ? item.itemName : line.itemName,
+          'Category': item ? item.category : '',
+          'Size': item ? item.size : '',
+          'Color': item ? item.color : '',
+          'Barcode': line.barcode,
+          'Quantity Sent': line.quantitySent,
+          'Quantity Received': received ? line.quantityReceived : '',
+          'Difference': received ? line.quantityReceived - line.quantitySent : '',
+          'Received Date': transfer.receivedDate ? moment(transfer.receivedDate).format('YYYY-MM-DD') : '',
+          'Shipped By': transfer.sentBy ? transfer.sentBy.username : '',
+          'Received By': transfer.receivedBy ? transfer.receivedBy.username : '',
+          'Notes': [transfer.notes, transfer.receiveNotes].filter(Boolean).join(' / ')
+        });
+      });
+    });
+
+    // Create workbook and worksheet
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(excelData);
+
+    // Set column widths
+    ws['!cols'] = [
+      { wch: 18 }, // Transfer Number
+      { wch: 12 }, // Status
+      { wch: 15 }, // Shipped Date
+      { wch: 18 }, // From
+      { wch: 18 }, // To
+      { wch: 25 }, // Item Name
+      { wch: 12 }, // Category
+      { wch: 10 }, // Size
+      { wch: 15 }, // Color
+      { wch: 18 }, // Barcode
+      { wch: 14 }, // Quantity Sent
+      { wch: 18 }, // Quantity Received
+      { wch: 12 }, // Difference
+      { wch: 15 }, // Received Date
+      { wch: 15 }, // Shipped By
+      { wch: 15 }, // Received By
+      { wch: 30 }  // Notes
+    ];
+
+    XLSX.utils.book_append_sheet(wb, ws, 'Stock Transfers');
+
+    // Generate buffer
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    // Set response headers
+    const filename = `stock-transfers-report-${moment().format('YYYY-MM-DD')}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    res.send(buffer);
+  } catch (error) {
+    console.error('Transfers Excel report error:', error);
+    req.flash('error', error.unknownLocation ? 'Unknown location' : 'Error generating stock transfers report');
+    res.redirect('/reports');
+  }
+});
+
+// Generate stock count variance report (Excel)
+router.get('/stock-counts/:id/excel', requireStaff, async (req, res) => {
+  try {
+    const count = mongoose.isValidObjectId(req.params.id) ? await StockCount.findById(req.params.id) : null;
+    if (!count) {
+      req.flash('error', 'Stock count not found');
+      return res.redirect('/stock-counts');
+    }
+
+    const lines = await buildVarianceLines(count);
+
+    // Prepare data for Excel - one row per item in the count's scope
+    const excelData = lines.map(line => ({
+      'Item Name': line.itemName,
+      'Category': line.item ? line.item.category : '',
+      'Size': line.item ? line.item.size : '',
+      'Color': line.item ? line.item.color : '',
+      'Barcode': line.barcode,
+      'Expected': line.expected,
+      'Counted': line.counted,
+      'Variance': line.variance,
+      'Unit Price': line.item ? line.item.price : '',
+      'Variance Value': line.varianceValue,
+      'Status': line.adjusted ? 'Adjusted' : line.scanned ? 'Counted' : 'Not scanned'
+    }));
+
+    // Create workbook and worksheet
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(excelData);
+
+    // Set column widths
+    ws['!cols'] = [
+      { wch: 25 }, // Item Name
+      { wch: 12 }, // Category
+      { wch: 10 }, // Size
+      { wch: 15 }, // Color
+      { wch: 18 }, // Barcode
+      { wch: 10 }, // Expected
+      { wch: 10 }, // Counted
+      { wch: 10 }, // Variance
+      { wch: 12 }, // Unit Price
+      { wch: 15 }, // Variance Value
       { wch: 12 }  // Status
     ];
-    ws['!cols'] = colWidths;
 
-    // Add worksheet to workbook
-    XLSX.utils.book_append_sheet(wb, ws, 'Inventory Report');
+    XLSX.utils.book_append_sheet(wb, ws, 'Variances');
 
     // Generate buffer
     const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
 
     // Set response headers
-    const filename = `inventory-report-${moment().format('YYYY-MM-DD')}.xlsx`;
+    const filename = `stock-count-${count.countNumber}.xlsx`;
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    
+
     res.send(buffer);
   } catch (error) {
-    console.error('Inventory Excel report error:', error);
-    req.flash('error', 'Error generating inventory Excel report');
+    console.error('Stock count Excel report error:', error);
+    req.flash('error', 'Error generating stock count Excel report');
+    res.redirect('/stock-counts');
+  }
+});
+
+// Generate entitlement usage report (Excel)
+router.get('/entitlements/excel', requireStaff, async (req, res) => {
+  try {
+    const { group, asOf } = req.query;
+    const date = asOf ? moment(asOf).endOf('day').toDate() : new Date();
+
+    const filter = { isActive: true, group: { $nin: [null, ''] } };
+    if (group) filter.group = group;
+
+    const customers = await Customer.find(filter).sort({ group: 1, name: 1 });
+    const allowances = await getAllowancesFor(customers, date);
+
+    // Prepare data for Excel - one row per customer and rule
+    const excelData = [];
+    customers.forEach(customer => {
+      allowances.get(customer._id.toString()).forEach(allowance => {
+        excelData.push({
+          'Customer ID': customer.customerCode,
+          'Customer Name': customer.name,
+          'Department': customer.department || '',
+          'Group': customer.group,
+          'Category': allowance.category,
+          'Period': allowance.period,
+          'Period Start': moment(allowance.periodStart).format('YYYY-MM-DD'),
+          'Period End': moment(allowance.periodEnd).subtract(1, 'day').format('YYYY-MM-DD'),
+          'Allowed': allowance.allowed,
+          'Used': allowance.used,
+          'Remaining': allowance.remaining
+        });
+      });
+    });
+
+    if (excelData.length === 0) {
+      req.flash('error', 'No customers with entitlement rules found for the selected criteria');
+      return res.redirect('/reports');
+    }
+
+    // Orders recorded beyond an entitlement, for the same customers
+    const overrides = await DeliveryOrder.find({
+      customer: { $in: customers.map(customer => customer._id) },
+      'entitlementOverride.reason': { $exists: true },
+      orderDate: { $lte: date }
+    })
+      .populate('entitlementOverride.approvedBy', 'username')
+      .sort({ orderDate: -1 });
+
+    const overrideData = overrides.map(order => ({
+      'Order Number': order.orderNumber,
+      'Order Date': moment(order.orderDate).format('YYYY-MM-DD'),
+      'Customer Name': order.customerName,
+      'Exceeded': describeExceeded(order.entitlementOverride.exceeded),
+      'Reason': order.entitlementOverride.reason,
+      'Approved By': order.entitlementOverride.approvedBy ? order.entitlementOverride.approvedBy.username : ''
+    }));
+
+    // Create workbook and worksheets
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(excelData);
+
+    // Set column widths
+    ws['!cols'] = [
+      { wch: 12 }, // Customer ID
+      { wch: 20 }, // Customer Name
+      { wch: 15 }, // Department
+      { wch: 15 }, // Group
+      { wch: 12 }, // Category
+      { wch: 10 }, // Period
+      { wch: 12 }, // Period Start
+      { wch: 12 }, // Period End
+      { wch: 10 }, // Allowed
+      { wch: 10 }, // Used
+      { wch: 10 }  // Remaining
+    ];
+
+    XLSX.utils.book_append_sheet(wb, ws, 'Entitlement Usage');
+
+    const overrideSheet = XLSX.utils.json_to_sheet(overrideData, {
+      header: ['Order Number', 'Order Date', 'Customer Name', 'Exceeded', 'Reason', 'Approved By']
+    });
+    overrideSheet['!cols'] = [
+      { wch: 18 }, // Order Number
+      { wch: 12 }, // Order Date
+      { wch: 20 }, // Customer Name
+      { wch: 40 }, // Exceeded
+      { wch: 30 }, // Reason
+      { wch: 15 }  // Approved By
+    ];
+
+    XLSX.utils.book_append_sheet(wb, overrideSheet, 'Overrides');
+
+    // Generate buffer
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    // Set response headers
+    const filename = `entitlement-report-${moment(date).format('YYYY-MM-DD')}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    res.send(buffer);
+  } catch (error) {
+    console.error('Entitlement Excel report error:', error);
+    req.flash('error', 'Error generating entitlement Excel report');
     res.redirect('/reports');
   }
 });
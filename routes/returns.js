@@ -0,0 +1,250 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Delivery = require('../models/Delivery');
+const DeliveryReturn = require('../models/DeliveryReturn');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const { requireAuth, requireStaff } = require('../middleware/auth');
+const { flashMessages } = require('../utils/helpers');
+const { adjustStock, recordMovement, revertStock } = require('../utils/stockLedger');
+const { runAtomically } = require('../utils/transaction');
+const { recordOrder } = require('../utils/deliveryOrders');
+const { checkScan, findByBarcode } = require('../utils/barcode');
+const { addCost } = require('../utils/costing');
+const router = express.Router();
+
+// All return routes require authentication
+router.use(requireAuth);
+router.use(flashMessages);
+
+// Shape a delivery line for the return form
+const returnableLine = (delivery) => ({
+  id: delivery._id,
+  orderNumber: delivery.deliveryOrder ? delivery.deliveryOrder.orderNumber : '',
+  deliveryDate: delivery.deliveryDate,
+  customerName: delivery.customerName,
+  barcode: delivery.barcode,
+  itemName: delivery.inventoryItem ? delivery.inventoryItem.itemName : '(Deleted Item)',
+  size: delivery.inventoryItem ? delivery.inventoryItem.size : '',
+  color: delivery.inventoryItem ? delivery.inventoryItem.color : '',
+  quantityDelivered: delivery.quantityDelivered,
+  quantityReturned: delivery.quantityReturned,
+  returnable: delivery.quantityDelivered - delivery.quantityReturned
+});
+
+// Return / exchange page
+router.get('/', requireStaff, async (req, res) => {
+  try {
+    let delivery = null;
+    if (req.query.delivery && mongoose.isValidObjectId(req.query.delivery)) {
+      const found = await Delivery.findById(req.query.delivery)
+        .populate('inventoryItem', 'itemName size color')
+        .populate('deliveryOrder', 'orderNumber');
+      if (found) delivery = returnableLine(found);
+    }
+
+    res.render('returns/new', {
+      title: 'Returns & Exchanges',
+      user: req.user,
+      delivery,
+      reasons: DeliveryReturn.schema.path('reason').enumValues,
+      conditions: DeliveryReturn.schema.path('condition').enumValues
+    });
+  } catch (error) {
+    console.error('Return page error:', error);
+    req.flash('error', 'Error loading returns page');
+    res.redirect('/delivery/history');
+  }
+});
+
+// API: Deliveries of a scanned item that can still be returned, newest first
+router.get('/api/deliveries', requireStaff, async (req, res) => {
+  try {
+    const { barcode, error: scanError } = await checkScan(req.query.barcode);
+    if (!barcode) {
+      return res.status(400).json({ success: false, error: 'Barcode is required' });
+    }
+    if (scanError) {
+      return res.status(400).json({ success: false, error: scanError });
+    }
+
+    // Deliveries record the item's own barcode, so an alias is looked up first
+    const { item } = await findByBarcode(barcode);
+    const filter = {
+      barcode: item ? item.barcode : barcode,
+      $expr: { $lt: ['$quantityReturned', '$quantityDelivered'] }
+    };
+    if (req.query.customer && mongoose.isValidObjectId(req.query.customer)) {
+      filter.customer = req.query.customer;
+    }
+
+    const deliveries = await Delivery.find(filter)
+      .populate('inventoryItem', 'itemName size color')
+      .populate('deliveryOrder', 'orderNumber')
+      .sort({ deliveryDate: -1 })
+      .limit(20);
+
+    res.json({ success: true, deliveries: deliveries.map(returnableLine) });
+  } catch (error) {
+    console.error('Returnable deliveries error:', error);
+    res.status(500).json({ success: false, error: 'Error finding deliveries' });
+  }
+});
+
+// Record a return, restocking or writing off the item, and issue the
+// replacement in the same transaction when it is an exchange
+router.post('/', requireStaff, async (req, res) => {
+  try {
+    const { deliveryId, reason, condition, disposition, exchangeBarcode, notes } = req.body;
+    const quantity = parseInt(req.body.quantity);
+
+    if (!mongoose.isValidObjectId(deliveryId)) {
+      req.flash('error', 'Select the delivery the item is being returned from');
+      return res.redirect('/returns');
+    }
+
+    const delivery = await Delivery.findById(deliveryId);
+    if (!delivery) {
+      req.flash('error', 'Delivery not found');
+      return res.redirect('/returns');
+    }
+
+    const returnable = delivery.quantityDelivered - delivery.quantityReturned;
+    if (!(quantity > 0) || quantity > returnable) {
+      req.flash('error', `Quantity must be between 1 and ${returnable}`);
+      return res.redirect(`/returns?delivery=${delivery._id}`);
+    }
+
+    const returnedItem = await Inventory.findById(delivery.inventoryItem);
+    if (!returnedItem) {
+      req.flash('error', 'The returned item no longer exists in inventory');
+      return res.redirect(`/returns?delivery=${delivery._id}`);
+    }
+
+    let exchangeItem = null;
+    if (exchangeBarcode && exchangeBarcode.trim()) {
+      const { barcode, error: scanError } = await checkScan(exchangeBarcode);
+      if (scanError) {
+        req.flash('error', scanError);
+        return res.redirect(`/returns?delivery=${delivery._id}`);
+      }
+      ({ item: exchangeItem } = await findByBarcode(barcode));
+      if (!exchangeItem) {
+        req.flash('error', `Replacement item with barcode ${barcode} not found`);
+        return res.redirect(`/returns?delivery=${delivery._id}`);
+      }
+    }
+
+    const customer = await Customer.resolve({ customerId: delivery.customer, customerName: delivery.customerName });
+
+    const deliveryReturn = new DeliveryReturn({
+      delivery: delivery._id,
+      deliveryOrder: delivery.deliveryOrder,
+      inventoryItem: returnedItem._id,
+      barcode: delivery.barcode,
+      customer: customer._id,
+      customerName: delivery.customerName,
+      quantity,
+      reason,
+      condition,
+      disposition: disposition === 'write_off' ? 'write_off' : 'restock',
+      receivedBy: req.session.userId,
+      notes
+    });
+    await deliveryReturn.validate(['reason', 'condition']);
+
+    const exchangeOrder = await runAtomically(async (tx) => {
+      const { session, onRollback } = tx;
+
+      // Guarded so two returns against the same line cannot exceed what was delivered
+      const updated = await Delivery.findOneAndUpdate(
+        { _id: delivery._id, $expr: { $lte: [{ $add: ['$quantityReturned', quantity] }, '$quantityDelivered'] } },
+        { $inc: { quantityReturned: quantity, quantityExchanged: exchangeItem ? quantity : 0 } },
+        { new: true, session }
+      );
+      if (!updated) {
+        const error = new Error('This delivery has already been returned in the meantime');
+        error.returnRejected = true;
+        throw error;
+      }
+      onRollback(() => Delivery.updateOne({ _id: delivery._id }, { $inc: { quantityReturned: -quantity, quantityExchanged: exchangeItem ? -quantity : 0 } }));
+
+      // Restocked where the delivery was issued from
+      const entry = {
+        userId: req.session.userId,
+        location: delivery.location,
+        sourceModel: 'DeliveryReturn',
+        sourceDocument: deliveryReturn._id,
+        session
+      };
+      onRollback(() => StockMovement.deleteMany({ sourceModel: 'DeliveryReturn', sourceDocument: deliveryReturn._id }));
+      if (deliveryReturn.disposition === 'restock') {
+        await adjustStock({
+          itemId: returnedItem._id,
+          delta: quantity,
+          reason: 'return',
+          notes: `Returned by ${delivery.customerName} (${deliveryReturn.condition})`,
+          ...entry
+        });
+        onRollback(() => revertStock({ itemId: returnedItem._id, delta: quantity, location: delivery.location }));
+        // Back on the shelf at what it cost when it was issued
+        await addCost(returnedItem._id, quantity, delivery.unitCost, { session, onRollback });
+      } else {
+        // Nothing goes back on the shelf, but the ledger still shows the return
+        const current = await Inventory.findById(returnedItem._id).session(session);
+        await recordMovement({
+          item: current,
+          delta: 0,
+          reason: 'return_write_off',
+          notes: `${quantity} returned by ${delivery.customerName} written off as ${deliveryReturn.condition.toLowerCase()}`,
+          ...entry
+        });
+      }
+
+      deliveryReturn.returnNumber = await DeliveryReturn.nextReturnNumber(session);
+
+      let order = null;
+      if (exchangeItem) {
+        ({ order } = await recordOrder([{ inventoryId: exchangeItem._id, barcode: exchangeItem.barcode, quantity }], {
+          customer,
+          notes: `Exchange for ${deliveryReturn.returnNumber}`,
+          userId: req.session.userId,
+          location: delivery.location,
+          // A like-for-like swap, so it is not checked against or counted in the customer's allowance
+          exchangeFor: deliveryReturn._id
+        }, tx));
+        deliveryReturn.exchangeOrder = order._id;
+        deliveryReturn.exchangeDelivery = order.lines[0].delivery;
+      }
+
+      await deliveryReturn.save({ session });
+      onRollback(() => DeliveryReturn.deleteOne({ _id: deliveryReturn._id }));
+
+      return order;
+    });
+
+    const action = deliveryReturn.disposition === 'restock' ? 'restocked' : 'written off';
+    let message = `Return ${deliveryReturn.returnNumber} recorded: ${quantity} x ${returnedItem.itemName} ${action}`;
+    if (exchangeOrder) {
+      message += `, exchanged for ${exchangeItem.itemName} (${exchangeItem.size}) on ${exchangeOrder.orderNumber}`;
+    }
+
+    req.flash('success', message);
+    res.redirect('/delivery/history?view=returns');
+  } catch (error) {
+    if (error.returnRejected || error.lineReport) {
+      req.flash('error', `Return not recorded. ${error.message}`);
+      return res.redirect('/returns');
+    }
+    if (error.name === 'ValidationError') {
+      req.flash('error', 'Select a reason and the condition of the returned item');
+      return res.redirect(`/returns?delivery=${req.body.deliveryId}`);
+    }
+    console.error('Record return error:', error);
+    req.flash('error', 'Error recording return');
+    res.redirect('/returns');
+  }
+});
+
+module.exports = router;
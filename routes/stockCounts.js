@@ -0,0 +1,256 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const StockCount = require('../models/StockCount');
+const { requireAuth, requireStaff, requireAdmin } = require('../middleware/auth');
+const { flashMessages } = require('../utils/helpers');
+const { buildVarianceLines, postCount } = require('../utils/stockCount');
+const { categoryNames, withSubcategories } = require('../utils/categories');
+const { listLocations, resolveLocation, quantityAt } = require('../utils/locations');
+const { checkScan, findByBarcode } = require('../utils/barcode');
+const router = express.Router();
+
+// All stock count routes are for staff
+router.use(requireAuth);
+router.use(requireStaff);
+router.use(flashMessages);
+
+// Load the count named in the URL
+const findCount = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return StockCount.findById(id).populate('startedBy postedBy', 'username').populate('location', 'name');
+};
+
+// Counted lines as sent to the scanning page
+const countedLines = (count) => count.lines
+  .map(line => ({ inventoryId: line.inventoryItem, barcode: line.barcode, itemName: line.itemName, counted: line.counted }))
+  .sort((a, b) => a.itemName.localeCompare(b.itemName));
+
+// Stock count sessions
+router.get('/', async (req, res) => {
+  try {
+    const counts = await StockCount.find()
+      .populate('startedBy postedBy', 'username')
+      .populate('location', 'name')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.render('stock-counts/index', {
+      title: 'Stock Counts',
+      user: req.user,
+      counts,
+      categories: await categoryNames(),
+      locations: await listLocations({ activeOnly: true })
+    });
+  } catch (error) {
+    console.error('Stock counts error:', error);
+    req.flash('error', 'Error loading stock counts');
+    res.redirect('/inventory');
+  }
+});
+
+// Start a count session
+router.post('/start', async (req, res) => {
+  try {
+    const count = await StockCount.create({
+      countNumber: await StockCount.nextCountNumber(),
+      category: req.body.category || undefined,
+      location: await resolveLocation(req.body.locationId),
+      notes: req.body.notes,
+      startedBy: req.session.userId
+    });
+
+    req.flash('success', `Stock count ${count.countNumber} started${count.category ? ` for ${count.category}` : ''}`);
+    res.redirect(`/stock-counts/${count._id}`);
+  } catch (error) {
+    console.error('Start stock count error:', error);
+    req.flash('error', 'Error starting stock count');
+    res.redirect('/stock-counts');
+  }
+});
+
+// Scanning page
+router.get('/:id', async (req, res) => {
+  try {
+    const count = await findCount(req.params.id);
+    if (!count) {
+      req.flash('error', 'Stock count not found');
+      return res.redirect('/stock-counts');
+    }
+
+    if (count.status !== 'open') {
+      return res.redirect(`/stock-counts/${count._id}/review`);
+    }
+
+    res.render('stock-counts/count', {
+      title: `Stock Count ${count.countNumber}`,
+      user: req.user,
+      count,
+      lines: countedLines(count)
+    });
+  } catch (error) {
+    console.error('Stock count page error:', error);
+    req.flash('error', 'Error loading stock count');
+    res.redirect('/stock-counts');
+  }
+});
+
+// API: Counted lines, polled so every device sees the merged count
+router.get('/:id/api/lines', async (req, res) => {
+  try {
+    const count = await findCount(req.params.id);
+    if (!count) {
+      return res.status(404).json({ success: false, error: 'Stock count not found' });
+    }
+
+    res.json({ success: true, status: count.status, lines: countedLines(count) });
+  } catch (error) {
+    console.error('Stock count lines error:', error);
+    res.status(500).json({ success: false, error: 'Error loading counted lines' });
+  }
+});
+
+// API: Count one scanned unit (or a typed quantity) of an item
+router.post('/:id/scan', async (req, res) => {
+  try {
+    const count = await findCount(req.params.id);
+    if (!count) {
+      return res.status(404).json({ success: false, error: 'Stock count not found' });
+    }
+
+    if (count.status !== 'open') {
+      return res.status(400).json({ success: false, error: `Stock count is ${count.status}` });
+    }
+
+    const { barcode, error: scanError } = await checkScan(req.body.barcode);
+    const quantity = parseInt(req.body.quantity) || 1;
+    if (!barcode || quantity < 1) {
+      return res.status(400).json({ success: false, error: 'Barcode and a positive quantity are required' });
+    }
+    if (scanError) {
+      return res.status(400).json({ success: false, error: scanError });
+    }
+
+    const { item, packSize } = await findByBarcode(barcode);
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Item not found with this barcode' });
+    }
+    if (count.category && !(await withSubcategories(count.category)).includes(item.category)) {
+      return res.status(400).json({ success: false, error: `${item.itemName} is not a ${count.category} - this count only covers ${count.category}` });
+    }
+
+    // A carton alias counts as its pack size for each unit entered
+    const updated = await StockCount.addCount(count._id, item, quantity * packSize, quantityAt(item, count.location));
+    if (!updated) {
+      return res.status(400).json({ success: false, error: 'Stock count is no longer open' });
+    }
+
+    const line = updated.lines.find(l => l.inventoryItem.equals(item._id));
+    res.json({
+      success: true,
+      item: { itemName: item.itemName, size: item.size, color: item.color, barcode: item.barcode },
+      added: quantity * packSize,
+      counted: line.counted,
+      lines: countedLines(updated)
+    });
+  } catch (error) {
+    console.error('Stock count scan error:', error);
+    res.status(500).json({ success: false, error: 'Error recording count' });
+  }
+});
+
+// API: Correct the counted quantity of an item
+router.post('/:id/set', async (req, res) => {
+  try {
+    const counted = parseInt(req.body.counted);
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.body.inventoryId) || !(counted >= 0)) {
+      return res.status(400).json({ success: false, error: 'Item and a quantity of 0 or more are required' });
+    }
+
+    const updated = await StockCount.findOneAndUpdate(
+      { _id: req.params.id, status: 'open', 'lines.inventoryItem': req.body.inventoryId },
+      { $set: { 'lines.$.counted': counted } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ success: false, error: 'Count line not found or count is no longer open' });
+    }
+
+    res.json({ success: true, lines: countedLines(updated) });
+  } catch (error) {
+    console.error('Stock count correction error:', error);
+    res.status(500).json({ success: false, error: 'Error correcting count' });
+  }
+});
+
+// Variance review
+router.get('/:id/review', async (req, res) => {
+  try {
+    const count = await findCount(req.params.id);
+    if (!count) {
+      req.flash('error', 'Stock count not found');
+      return res.redirect('/stock-counts');
+    }
+
+    const lines = await buildVarianceLines(count);
+
+    res.render('stock-counts/review', {
+      title: `Stock Count ${count.countNumber}`,
+      user: req.user,
+      count,
+      lines,
+      totals: {
+        items: lines.length,
+        withVariance: lines.filter(line => line.variance !== 0).length,
+        notScanned: lines.filter(line => !line.scanned).length,
+        varianceValue: lines.reduce((sum, line) => sum + line.varianceValue, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Stock count review error:', error);
+    req.flash('error', 'Error loading variance report');
+    res.redirect('/stock-counts');
+  }
+});
+
+// Post approved adjustments and close the count (Admin only)
+router.post('/:id/post', requireAdmin, async (req, res) => {
+  try {
+    const approved = [].concat(req.body.approve || []);
+    const result = await postCount(req.params.id, approved, req.session.userId);
+    if (!result) {
+      req.flash('error', 'Stock count is not open');
+      return res.redirect('/stock-counts');
+    }
+
+    req.flash('success', `Stock count ${result.count.countNumber} posted: ${result.adjusted} item(s) adjusted`);
+    res.redirect(`/stock-counts/${result.count._id}/review`);
+  } catch (error) {
+    console.error('Post stock count error:', error);
+    req.flash('error', 'Error posting stock count');
+    res.redirect('/stock-counts');
+  }
+});
+
+// Cancel an open count without touching stock (Admin only)
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const count = await StockCount.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!count) {
+      req.flash('error', 'Stock count is not open');
+      return res.redirect('/stock-counts');
+    }
+
+    req.flash('success', `Stock count ${count.countNumber} cancelled`);
+    res.redirect('/stock-counts');
+  } catch (error) {
+    console.error('Cancel stock count error:', error);
+    req.flash('error', 'Error cancelling stock count');
+    res.redirect('/stock-counts');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Style = require('../models/Style');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { flashMessages, escapeRegex } = require('../utils/helpers');
+const { generateBarcode } = require('../utils/barcode');
+const { recordMovement } = require('../utils/stockLedger');
+const { listCategories, categoryNames, categoryFilter, reorderDefaults, DEFAULT_SIZES } = require('../utils/categories');
+const { isLowStock } = require('../utils/reorder');
+const { buildMatrix, updateStyle } = require('../utils/styles');
+const { resolveLocation, openingStock } = require('../utils/locations');
+const router = express.Router();
+
+// All style routes require authentication
+router.use(requireAuth);
+router.use(flashMessages);
+
+// Load the style named in the URL with its variants
+const findStyle = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Style.findById(id).populate('variants');
+};
+
+// Pick the style fields out of a form body
+const styleFields = (body) => ({
+  name: (body.name || '').trim(),
+  category: body.category,
+  price: parseFloat(body.price),
+  description: (body.description || '').trim()
+});
+
+// Styles list
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 20;
+
+    const filter = {};
+    if (req.query.category) filter.category = await categoryFilter(req.query.category);
+    if (req.query.search) filter.name = { $regex: escapeRegex(req.query.search), $options: 'i' };
+
+    const styles = await Style.find(filter)
+      .populate({ path: 'variants', select: 'size color quantity' })
+      .sort({ name: 1, category: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const totalPages = Math.ceil(await Style.countDocuments(filter) / limit);
+
+    res.render('styles/index', {
+      title: 'Styles',
+      user: req.user,
+      styles,
+      unlinkedItems: await Inventory.countDocuments({ style: null }),
+      categories: await categoryNames(),
+      currentPage: page,
+      totalPages,
+      filter: req.query
+    });
+  } catch (error) {
+    console.error('Styles list error:', error);
+    req.flash('error', 'Error loading styles');
+    res.redirect('/inventory');
+  }
+});
+
+// Size × color stock grid of one style
+router.get('/:id', async (req, res) => {
+  try {
+    const style = await findStyle(req.params.id);
+    if (!style) {
+      req.flash('error', 'Style not found');
+      return res.redirect('/styles');
+    }
+
+    const categories = await listCategories();
+    const category = categories.find(c => c.name === style.category);
+    const sizes = category ? category.effectiveSizes : DEFAULT_SIZES;
+    const defaults = await reorderDefaults();
+
+    res.render('styles/show', {
+      title: style.name,
+      user: req.user,
+      style,
+      matrix: buildMatrix(style.variants, sizes),
+      sizes,
+      categories: categories.map(c => c.name),
+      isLowStock: (item) => isLowStock(item, defaults)
+    });
+  } catch (error) {
+    console.error('Style page error:', error);
+    req.flash('error', 'Error loading style');
+    res.redirect('/styles');
+  }
+});
+
+// Edit style and cascade to its variants (Admin only)
+router.post('/:id/edit', requireAdmin, async (req, res) => {
+  try {
+    const style = await findStyle(req.params.id);
+    if (!style) {
+      req.flash('error', 'Style not found');
+      return res.redirect('/styles');
+    }
+
+    const fields = styleFields(req.body);
+    if (!fields.name || !(fields.price >= 0)) {
+      req.flash('error', 'Style name and a price of 0 or more are required');
+      return res.redirect(`/styles/${style._id}`);
+    }
+
+    const updated = await updateStyle(style, fields, req.session.userId);
+    req.flash('success', `Style updated; ${updated} variant(s) changed`);
+    res.redirect(`/styles/${style._id}`);
+  } catch (error) {
+    console.error('Update style error:', error);
+    req.flash('error', error.code === 11000
+      ? 'A style with this name already exists in that category'
+      : 'Error updating style: ' + error.message);
+    res.redirect(`/styles/${req.params.id}`);
+  }
+});
+
+// Add a size/color variant to a style (Admin only)
+router.post('/:id/variants', requireAdmin, async (req, res) => {
+  try {
+    const style = await findStyle(req.params.id);
+    if (!style) {
+      req.flash('error', 'Style not found');
+      return res.redirect('/styles');
+    }
+
+    const size = (req.body.size || '').trim();
+    const color = (req.body.color || '').trim();
+    const quantity = parseInt(req.body.quantity) || 0;
+    if (!size || !color || quantity < 0) {
+      req.flash('error', 'Size, color and a quantity of 0 or more are required');
+      return res.redirect(`/styles/${style._id}`);
+    }
+
+    if (style.variants.some(variant => variant.size === size && variant.color === color)) {
+      req.flash('error', `${style.name} already has a ${size} in ${color}`);
+      return res.redirect(`/styles/${style._id}`);
+    }
+
+    // New variants start at the default location
+    const location = await resolveLocation();
+    const item = new Inventory({
+      style: style._id,
+      itemName: style.name,
+      category: style.category,
+      size,
+      color,
+      barcode: await generateBarcode(),
+      quantity,
+      stock: openingStock(quantity, location),
+      price: style.price,
+      description: style.description
+    });
+    await item.save();
+
+    if (quantity > 0) {
+      await recordMovement({
+        item,
+        delta: quantity,
+        reason: 'receipt',
+        userId: req.session.userId,
+        location,
+        sourceModel: 'Inventory',
+        sourceDocument: item._id
+      });
+    }
+
+    req.flash('success', `Added ${size} in ${color} with barcode ${item.barcode}`);
+    res.redirect(`/styles/${style._id}`);
+  } catch (error) {
+    console.error('Add variant error:', error);
+    req.flash('error', 'Error adding variant: ' + error.message);
+    res.redirect(`/styles/${req.params.id}`);
+  }
+});
+
+module.exports = router;
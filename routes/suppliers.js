@@ -0,0 +1,136 @@
+const express = require('express');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { flashMessages } = require('../utils/helpers');
+const router = express.Router();
+
+// All supplier routes are for admins
+router.use(requireAuth);
+router.use(requireAdmin);
+router.use(flashMessages);
+
+// Pick the supplier fields out of a form body
+const supplierFields = (body) => ({
+  name: (body.name || '').trim().replace(/\s+/g, ' '),
+  contactName: body.contactName,
+  phone: body.phone,
+  email: body.email,
+  address: body.address,
+  notes: body.notes
+});
+
+// Turn a save error into a message for the form
+const supplierSaveError = (error) => {
+  if (error.code === 11000) {
+    return 'A supplier with this name already exists';
+  }
+  return 'Error saving supplier: ' + error.message;
+};
+
+// Suppliers page
+router.get('/', async (req, res) => {
+  try {
+    const suppliers = await Supplier.find().sort({ isActive: -1, name: 1 }).lean();
+
+    const orderCounts = await PurchaseOrder.aggregate([
+      {
+        $group: {
+          _id: '$supplier',
+          orders: { $sum: 1 },
+          open: { $sum: { $cond: [{ $in: ['$status', ['draft', 'sent', 'partially_received']] }, 1, 0] } }
+        }
+      }
+    ]);
+    const usage = {};
+    orderCounts.forEach(count => {
+      usage[count._id.toString()] = { orders: count.orders, open: count.open };
+    });
+
+    res.render('suppliers/index', {
+      title: 'Suppliers',
+      user: req.user,
+      suppliers,
+      usage
+    });
+  } catch (error) {
+    console.error('Suppliers error:', error);
+    req.flash('error', 'Error loading suppliers');
+    res.redirect('/purchase-orders');
+  }
+});
+
+// Add supplier
+router.post('/add', async (req, res) => {
+  try {
+    const fields = supplierFields(req.body);
+    if (!fields.name) {
+      req.flash('error', 'Supplier name is required');
+      return res.redirect('/suppliers');
+    }
+
+    const supplier = await Supplier.create({
+      ...fields,
+      supplierCode: await Supplier.nextSupplierCode()
+    });
+    req.flash('success', `Supplier ${supplier.supplierCode} (${supplier.name}) added`);
+    res.redirect('/suppliers');
+  } catch (error) {
+    console.error('Add supplier error:', error);
+    req.flash('error', supplierSaveError(error));
+    res.redirect('/suppliers');
+  }
+});
+
+// Update supplier
+router.post('/edit/:id', async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      req.flash('error', 'Supplier not found');
+      return res.redirect('/suppliers');
+    }
+
+    const fields = supplierFields(req.body);
+    if (!fields.name) {
+      req.flash('error', 'Supplier name is required');
+      return res.redirect('/suppliers');
+    }
+
+    supplier.set({ ...fields, isActive: req.body.isActive === 'on' });
+    await supplier.save();
+    req.flash('success', 'Supplier updated successfully');
+    res.redirect('/suppliers');
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    req.flash('error', supplierSaveError(error));
+    res.redirect('/suppliers');
+  }
+});
+
+// Delete supplier, only when no purchase orders were raised against it
+router.post('/delete/:id', async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      req.flash('error', 'Supplier not found');
+      return res.redirect('/suppliers');
+    }
+
+    const orders = await PurchaseOrder.countDocuments({ supplier: supplier._id });
+    if (orders > 0) {
+      req.flash('error', `Cannot delete ${supplier.name}: it has ${orders} purchase order(s). Deactivate it instead.`);
+      return res.redirect('/suppliers');
+    }
+
+    await supplier.deleteOne();
+    req.flash('success', `Supplier ${supplier.name} deleted`);
+    res.redirect('/suppliers');
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    req.flash('error', 'Error deleting supplier');
+    res.redirect('/suppliers');
+  }
+});
+
+module.exports = router;
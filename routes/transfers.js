@@ -0,0 +1,248 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const StockTransfer = require('../models/StockTransfer');
+const { requireAuth, requireStaff, requireAdmin } = require('../middleware/auth');
+const { flashMessages, escapeRegex } = require('../utils/helpers');
+const { listLocations } = require('../utils/locations');
+const { shipTransfer, receiveTransfer, cancelTransfer } = require('../utils/transfers');
+const { itemsWithAlias } = require('../utils/barcode');
+const router = express.Router();
+
+// All transfer routes are for staff
+router.use(requireAuth);
+router.use(requireStaff);
+router.use(flashMessages);
+
+// Load the transfer named in the URL with its locations and items
+const findTransfer = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return StockTransfer.findById(id)
+    .populate('fromLocation', 'name')
+    .populate('toLocation', 'name')
+    .populate('lines.inventoryItem', 'itemName category size color')
+    .populate('sentBy', 'username')
+    .populate('receivedBy', 'username');
+};
+
+// Scanned cart lines from a request body, and the barcodes of any that are unusable
+const parseLines = (items) => {
+  const lines = (Array.isArray(items) ? items : []).map(({ inventoryId, barcode, quantity }) => ({
+    inventoryId,
+    barcode,
+    quantity: parseInt(quantity)
+  }));
+  const invalid = lines.filter(line => !mongoose.isValidObjectId(line.inventoryId) || !(line.quantity > 0));
+  return { lines, invalid: invalid.map(line => line.barcode) };
+};
+
+// Transfers list
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 10;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.discrepancy === 'true') filter.hasDiscrepancy = true;
+    if (mongoose.isValidObjectId(req.query.location)) {
+      filter.$or = [{ fromLocation: req.query.location }, { toLocation: req.query.location }];
+    }
+    if (req.query.search) {
+      const search = { $regex: escapeRegex(req.query.search), $options: 'i' };
+      filter.$and = [{
+        $or: [
+          { transferNumber: search },
+          { 'lines.barcode': search },
+          { 'lines.inventoryItem': { $in: await itemsWithAlias(search) } }
+        ]
+      }];
+    }
+
+    const transfers = await StockTransfer.find(filter)
+      .populate('fromLocation', 'name')
+      .populate('toLocation', 'name')
+      .populate('sentBy', 'username')
+      .sort({ sentDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.render('transfers/index', {
+      title: 'Stock Transfers',
+      user: req.user,
+      transfers,
+      inTransit: await StockTransfer.countDocuments({ status: 'in_transit' }),
+      locations: await listLocations(),
+      currentPage: page,
+      totalPages: Math.ceil(await StockTransfer.countDocuments(filter) / limit),
+      filter: req.query
+    });
+  } catch (error) {
+    console.error('Transfers list error:', error);
+    req.flash('error', 'Error loading transfers');
+    res.redirect('/inventory');
+  }
+});
+
+// Ship page - the delivery scanner and cart, sending stock to another location
+router.get('/new', async (req, res) => {
+  try {
+    const locations = await listLocations({ activeOnly: true });
+    if (locations.length < 2) {
+      req.flash('error', 'Transfers need at least two active locations');
+      return res.redirect('/transfers');
+    }
+
+    res.render('delivery/scan', {
+      title: 'Ship Transfer',
+      user: req.user,
+      mode: 'transfer',
+      suppliers: [],
+      locations
+    });
+  } catch (error) {
+    console.error('Ship transfer page error:', error);
+    req.flash('error', 'Error loading transfer page');
+    res.redirect('/transfers');
+  }
+});
+
+// Ship a transfer - all scanned lines leave the source together or not at all
+router.post('/', async (req, res) => {
+  try {
+    const { fromLocationId, toLocationId, notes, items } = req.body;
+
+    const { lines, invalid } = parseLines(items);
+    if (lines.length === 0) {
+      return res.status(400).json({ success: false, error: 'No items provided' });
+    }
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: `Invalid item or quantity for barcode(s): ${invalid.join(', ')}` });
+    }
+
+    const transfer = await shipTransfer(lines, {
+      from: fromLocationId,
+      to: toLocationId,
+      notes,
+      userId: req.session.userId
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferNumber} shipped: ${transfer.totalSent} item(s) in transit`,
+      transferId: transfer._id,
+      transferNumber: transfer.transferNumber
+    });
+  } catch (error) {
+    if (error.transferRejected) {
+      return res.status(409).json({ success: false, error: `Nothing was shipped. ${error.message}` });
+    }
+    console.error('Ship transfer error:', error);
+    res.status(500).json({ success: false, error: 'Error shipping transfer' });
+  }
+});
+
+// Transfer details with sent and received quantities
+router.get('/:id', async (req, res) => {
+  try {
+    const transfer = await findTransfer(req.params.id);
+    if (!transfer) {
+      req.flash('error', 'Transfer not found');
+      return res.redirect('/transfers');
+    }
+
+    res.render('transfers/show', {
+      title: transfer.transferNumber,
+      user: req.user,
+      transfer
+    });
+  } catch (error) {
+    console.error('Transfer page error:', error);
+    req.flash('error', 'Error loading transfer');
+    res.redirect('/transfers');
+  }
+});
+
+// Receive page - scan the arriving items against what was shipped
+router.get('/:id/receive', async (req, res) => {
+  try {
+    const transfer = await findTransfer(req.params.id);
+    if (!transfer) {
+      req.flash('error', 'Transfer not found');
+      return res.redirect('/transfers');
+    }
+    if (transfer.status !== 'in_transit') {
+      req.flash('error', `${transfer.transferNumber} is not in transit`);
+      return res.redirect(`/transfers/${transfer._id}`);
+    }
+
+    res.render('delivery/scan', {
+      title: `Receive ${transfer.transferNumber}`,
+      user: req.user,
+      mode: 'transfer-receive',
+      suppliers: [],
+      locations: [],
+      transfer
+    });
+  } catch (error) {
+    console.error('Receive transfer page error:', error);
+    req.flash('error', 'Error loading transfer');
+    res.redirect('/transfers');
+  }
+});
+
+// Receive a transfer with the quantities scanned on arrival
+router.post('/:id/receive', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Transfer not found' });
+    }
+
+    const { lines, invalid } = parseLines(req.body.items);
+    if (lines.length === 0) {
+      return res.status(400).json({ success: false, error: 'Scan at least one item' });
+    }
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: `Invalid item or quantity for barcode(s): ${invalid.join(', ')}` });
+    }
+
+    const transfer = await receiveTransfer(req.params.id, lines, {
+      notes: req.body.notes,
+      userId: req.session.userId
+    });
+
+    res.json({
+      success: true,
+      message: transfer.hasDiscrepancy
+        ? `Transfer ${transfer.transferNumber} received with discrepancies: ${transfer.totalReceived} of ${transfer.totalSent} item(s)`
+        : `Transfer ${transfer.transferNumber} received: ${transfer.totalReceived} item(s) added to stock`,
+      transferId: transfer._id,
+      hasDiscrepancy: transfer.hasDiscrepancy
+    });
+  } catch (error) {
+    if (error.transferRejected) {
+      return res.status(409).json({ success: false, error: `Nothing was received. ${error.message}` });
+    }
+    console.error('Receive transfer error:', error);
+    res.status(500).json({ success: false, error: 'Error receiving transfer' });
+  }
+});
+
+// Cancel a transfer in transit and return its stock to the source (Admin only)
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      req.flash('error', 'Transfer not found');
+      return res.redirect('/transfers');
+    }
+
+    const transfer = await cancelTransfer(req.params.id, req.session.userId);
+    req.flash('success', `Transfer ${transfer.transferNumber} cancelled; ${transfer.totalSent} item(s) returned to stock`);
+    res.redirect(`/transfers/${transfer._id}`);
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    req.flash('error', error.transferRejected ? error.message : 'Error cancelling transfer');
+    res.redirect(`/transfers/${req.params.id}`);
+  }
+});
+
+module.exports = router;
@@ -17,11 +17,6 @@ process.on('warning', (warning) => {
 
 const app = express();
 
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
-  .catch(err => console.error('MongoDB connection error:', err));
-
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -61,6 +56,17 @@ app.set('views', path.join(__dirname, 'views'));
 app.use('/', require('./routes/auth'));
 app.use('/inventory', require('./routes/inventory'));
 app.use('/delivery', require('./routes/delivery'));
+app.use('/returns', require('./routes/returns'));
+app.use('/stock-counts', require('./routes/stockCounts'));
+app.use('/customers', require('./routes/customers'));
+app.use('/entitlements', require('./routes/entitlements'));
+app.use('/categories', require('./routes/categories'));
+app.use('/styles', require('./routes/styles'));
+app.use('/kits', require('./routes/kits'));
+app.use('/locations', require('./routes/locations'));
+app.use('/transfers', require('./routes/transfers'));
+app.use('/suppliers', require('./routes/suppliers'));
+app.use('/purchase-orders', require('./routes/purchaseOrders'));
 app.use('/reports', require('./routes/reports'));
 app.use('/dashboard', require('./routes/dashboard'));
 
@@ -81,8 +87,17 @@ app.use((req, res) => {
   });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('Press Ctrl+C to stop the server');
-});
+// Connect and listen when run directly; the tests load the app against their own database
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => console.log('Connected to MongoDB'))
+    .catch(err => console.error('MongoDB connection error:', err));
+
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log('Press Ctrl+C to stop the server');
+  });
+}
+
+module.exports = app;
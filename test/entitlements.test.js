@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { startApp, clearData } = require('./support/app');
+const { getAllowances } = require('../utils/entitlements');
+
+describe('Entitlement allowances on delivery edits and exchanges', () => {
+  let agent;
+  let stop;
+  let Inventory, Delivery, Customer, Category, EntitlementRule;
+  let customer, medium, large;
+
+  before(async () => {
+    ({ agent, stop } = await startApp({ replicaSet: true }));
+    Inventory = mongoose.model('Inventory');
+    Delivery = mongoose.model('Delivery');
+    Customer = mongoose.model('Customer');
+    Category = mongoose.model('Category');
+    EntitlementRule = mongoose.model('EntitlementRule');
+  });
+
+  after(async () => {
+    if (stop) await stop();
+  });
+
+  // Two shirts a year, and a shirt in two sizes
+  beforeEach(async () => {
+    await clearData();
+    await Category.create({ name: 'Shirts' });
+    const shirt = (size, barcode) => Inventory.create({
+      itemName: 'Shirt',
+      category: 'Shirts',
+      size,
+      color: 'Blue',
+      barcode,
+      quantity: 10,
+      price: 100,
+      averageCost: 60
+    });
+    medium = await shirt('M', 'ENT0001');
+    large = await shirt('L', 'ENT0002');
+    customer = await Customer.create({ customerCode: 'CUS-000001', name: 'Ali Khan', group: 'Guards' });
+    await EntitlementRule.create({ group: 'Guards', category: 'Shirts', quantity: 2, period: 'year' });
+  });
+
+  const deliver = async (item, quantity) => {
+    const res = await agent
+      .post('/delivery/record-multiple')
+      .send({
+        customerId: customer._id.toString(),
+        items: [{ inventoryId: item._id.toString(), barcode: item.barcode, quantityDelivered: quantity }]
+      });
+    assert.equal(res.status, 200);
+    return Delivery.findOne({ deliveryOrder: res.body.orderId });
+  };
+
+  const used = async (date) => (await getAllowances(customer, date))[0].used;
+
+  it('refuses an edit that raises a delivery over the allowance', async () => {
+    const delivery = await deliver(medium, 2);
+
+    await agent
+      .post(`/delivery/update/${delivery._id}`)
+      .type('form')
+      .send({ customerId: customer._id.toString(), quantityDelivered: 3 })
+      .expect(302);
+
+    assert.equal((await Delivery.findById(delivery._id)).quantityDelivered, 2);
+    assert.equal((await Inventory.findById(medium._id)).quantity, 8);
+    assert.equal(await used(), 2);
+    assert.equal((await Customer.findById(customer._id)).entitlementClaimedAt, undefined);
+  });
+
+  it('allows an edit that stays within the allowance', async () => {
+    const delivery = await deliver(medium, 1);
+
+    await agent
+      .post(`/delivery/update/${delivery._id}`)
+      .type('form')
+      .send({ customerId: customer._id.toString(), quantityDelivered: 2 })
+      .expect(302);
+
+    assert.equal((await Delivery.findById(delivery._id)).quantityDelivered, 2);
+    assert.equal((await Inventory.findById(medium._id)).quantity, 8);
+  });
+
+  it('does not count an exchange replacement against the allowance', async () => {
+    // Issued last year and exchanged for another size this year
+    const delivery = await deliver(medium, 2);
+    const lastYear = moment().subtract(1, 'year').toDate();
+    await Delivery.updateOne({ _id: delivery._id }, { deliveryDate: lastYear });
+
+    await agent
+      .post('/returns')
+      .type('form')
+      .send({
+        deliveryId: delivery._id.toString(),
+        quantity: 1,
+        reason: 'Wrong size',
+        condition: 'New',
+        disposition: 'restock',
+        exchangeBarcode: large.barcode
+      })
+      .expect(302)
+      .expect('Location', '/delivery/history?view=returns');
+
+    const replacement = await Delivery.findOne({ inventoryItem: large._id });
+    assert.ok(replacement.exchangeFor);
+    assert.equal(await used(), 0);
+    assert.equal(await used(lastYear), 2);
+    assert.equal((await Inventory.findById(large._id)).quantity, 9);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const XLSX = require('xlsx');
+const { startApp, clearData } = require('./support/app');
+
+describe('GET /reports/inventory/excel with an as-of date', () => {
+  let agent;
+  let stop;
+  let Inventory, StockMovement, Category;
+  let item;
+
+  const daysAgo = (days) => moment().subtract(days, 'days');
+
+  before(async () => {
+    ({ agent, stop } = await startApp());
+    Inventory = mongoose.model('Inventory');
+    StockMovement = mongoose.model('StockMovement');
+    Category = mongoose.model('Category');
+  });
+
+  after(async () => {
+    if (stop) await stop();
+  });
+
+  // An item added ten days ago whose ledger starts five days ago:
+  // 10 received then, 3 issued two days ago
+  beforeEach(async () => {
+    await clearData();
+    await Category.create({ name: 'Shirts' });
+    item = await Inventory.create({
+      itemName: 'Shirt',
+      category: 'Shirts',
+      size: 'M',
+      color: 'Blue',
+      barcode: 'ASOF0001',
+      quantity: 7,
+      price: 100,
+      averageCost: 60
+    });
+    // Written past the model so the dates stick
+    await Inventory.collection.updateOne({ _id: item._id }, { $set: { createdAt: daysAgo(10).toDate() } });
+    await StockMovement.collection.insertMany([
+      { inventoryItem: item._id, barcode: item.barcode, delta: 10, balanceAfter: 10, reason: 'receipt', createdAt: daysAgo(5).toDate() },
+      { inventoryItem: item._id, barcode: item.barcode, delta: -3, balanceAfter: 7, reason: 'delivery', createdAt: daysAgo(2).toDate() }
+    ]);
+  });
+
+  const report = (asOf) => agent
+    .get('/reports/inventory/excel')
+    .query({ asOf: asOf.format('YYYY-MM-DD') })
+    .buffer(true)
+    .parse((res, done) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => done(null, Buffer.concat(chunks)));
+    });
+
+  const rows = (res) => XLSX.utils.sheet_to_json(XLSX.read(res.body).Sheets['Inventory Report']);
+
+  it('refuses a date before the stock ledger starts', async () => {
+    const res = await report(daysAgo(7));
+
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.location, '/reports');
+    const page = await agent.get('/reports');
+    assert.match(page.text, new RegExp(`Stock history starts on ${daysAgo(5).format('YYYY-MM-DD')}`));
+  });
+
+  it('rebuilds the stock held on a date after the ledger starts', async () => {
+    const res = await report(daysAgo(3));
+
+    assert.equal(res.status, 200);
+    const [row] = rows(res);
+    assert.equal(row['Item Name'], 'Shirt');
+    assert.equal(row['Current Stock'], 10);
+  });
+
+  it('lists an item deleted since with the stock it held then', async () => {
+    await agent.post(`/inventory/delete/${item._id}`).expect(302);
+    assert.equal(await Inventory.countDocuments(), 0);
+
+    const res = await report(daysAgo(3));
+
+    assert.equal(res.status, 200);
+    const [row] = rows(res);
+    assert.equal(row['Item Name'], 'Shirt (deleted since)');
+    assert.equal(row['Barcode'], 'ASOF0001');
+    assert.equal(row['Current Stock'], 10);
+  });
+});
@@ -0,0 +1,3 @@
+const { recordMultipleSuite } = require('./support/recordMultipleSuite');
+
+recordMultipleSuite({ replicaSet: false });
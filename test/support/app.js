@@ -0,0 +1,73 @@
+// ==========================================================
+// Test Harness
+// A throwaway MongoDB for each test file, either standalone or
+// a one-member replica set so both paths of runAtomically get
+// exercised, with the app loaded against it and an admin agent
+// ==========================================================
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer, MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const ADMIN = { username: 'admin', email: 'admin@example.com', password: 'secret123', role: 'admin' };
+
+/**
+ * Start a database and the app on it, and sign in as an admin
+ * @param {Object} [options]
+ * @param {boolean} [options.replicaSet] - Replica set (transactions) instead of a standalone server
+ * @returns {Promise<Object>} { app, agent, stop } - agent keeps the login cookie
+ */
+const startApp = async ({ replicaSet = false } = {}) => {
+  const mongo = replicaSet
+    ? await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } })
+    : await MongoMemoryServer.create();
+
+  // server.js reads these when it is loaded; config.env does not override them
+  process.env.MONGODB_URI = mongo.getUri('uniform-inventory-test');
+  process.env.SESSION_SECRET = 'test-session-secret';
+  const app = require('../../server');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  // Build indexes up front, so unique indexes hold and transactions do not race index creation
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+  await mongoose.model('User').create(ADMIN);
+  const agent = request.agent(app);
+  await agent
+    .post('/login')
+    .type('form')
+    .send({ username: ADMIN.username, password: ADMIN.password })
+    .expect(302)
+    .expect('Location', '/dashboard');
+
+  const stop = async () => {
+    await mongoose.disconnect();
+    await mongo.stop();
+  };
+  return { app, agent, stop };
+};
+
+/**
+ * Whether the connected server can run transactions
+ * @returns {Promise<boolean>}
+ */
+const supportsTransactions = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName);
+};
+
+/**
+ * Empty every collection but the users, between tests
+ * @returns {Promise<void>}
+ */
+const clearData = async () => {
+  await Promise.all(mongoose.modelNames()
+    .filter(name => name !== 'User')
+    .map(name => mongoose.model(name).deleteMany({})));
+};
+
+module.exports = {
+  startApp,
+  supportsTransactions,
+  clearData
+};
@@ -0,0 +1,238 @@
+// ==========================================================
+// POST /delivery/record-multiple
+// Shared by the replica set and standalone test files: a cart
+// is recorded whole or not at all, and concurrent carts cannot
+// issue the same units twice
+// ==========================================================
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, supportsTransactions, clearData } = require('./app');
+
+/**
+ * Define the record-multiple tests against one kind of server
+ * @param {Object} options
+ * @param {boolean} options.replicaSet - Run with transactions, or with compensating rollback
+ */
+const recordMultipleSuite = ({ replicaSet }) => {
+  describe(`POST /delivery/record-multiple (${replicaSet ? 'transactions' : 'standalone, compensating rollback'})`, () => {
+    let agent;
+    let stop;
+    let Inventory, Delivery, DeliveryOrder, StockMovement, Customer, Category, EntitlementRule, Kit;
+    let customer, shirts;
+    let nextBarcode = 1000;
+
+    before(async () => {
+      ({ agent, stop } = await startApp({ replicaSet }));
+      Inventory = mongoose.model('Inventory');
+      Delivery = mongoose.model('Delivery');
+      DeliveryOrder = mongoose.model('DeliveryOrder');
+      StockMovement = mongoose.model('StockMovement');
+      Customer = mongoose.model('Customer');
+      Category = mongoose.model('Category');
+      EntitlementRule = mongoose.model('EntitlementRule');
+      Kit = mongoose.model('Kit');
+    });
+
+    after(async () => {
+      if (stop) await stop();
+    });
+
+    beforeEach(async () => {
+      await clearData();
+      // Items may only name a category that exists
+      [shirts] = await Category.create([{ name: 'Shirts' }, { name: 'Trousers' }, { name: 'Caps' }]);
+      customer = await Customer.create({ customerCode: 'CUS-000001', name: 'Ali Khan' });
+    });
+
+    const makeItem = (quantity, fields = {}) => Inventory.create({
+      itemName: 'Shirt',
+      category: 'Shirts',
+      size: 'M',
+      color: 'Blue',
+      barcode: `TEST${nextBarcode++}`,
+      quantity,
+      price: 100,
+      averageCost: 60,
+      ...fields
+    });
+
+    const postCart = (lines, extra = {}) => agent
+      .post('/delivery/record-multiple')
+      .send({
+        customerId: customer._id.toString(),
+        items: lines.map(({ item, quantity }) => ({
+          inventoryId: item._id.toString(),
+          barcode: item.barcode,
+          quantityDelivered: quantity
+        })),
+        ...extra
+      });
+
+    // The kits of a cart as the scan page sends them
+    const kitsOf = (kit, lines) => ({
+      kits: [{
+        kitId: kit._id.toString(),
+        items: lines.map(({ item, quantity }) => ({ inventoryId: item._id.toString(), quantity }))
+      }]
+    });
+
+    const layerUnits = (item) => item.costLayers.reduce((sum, layer) => sum + layer.quantity, 0);
+
+    it(`runs on a server ${replicaSet ? 'with' : 'without'} transactions`, async () => {
+      assert.equal(await supportsTransactions(), replicaSet);
+    });
+
+    it('lets only one of two concurrent carts take the last units', async () => {
+      const item = await makeItem(2);
+
+      const responses = await Promise.all([
+        postCart([{ item, quantity: 2 }]),
+        postCart([{ item, quantity: 2 }])
+      ]);
+
+      assert.deepEqual(responses.map(res => res.status).sort(), [200, 409]);
+      const rejected = responses.find(res => res.status === 409);
+      assert.equal(rejected.body.success, false);
+      assert.match(rejected.body.error, /Insufficient stock/);
+
+      const issued = await Inventory.findById(item._id);
+      assert.equal(issued.quantity, 0);
+      assert.equal(layerUnits(issued), 0);
+      assert.equal(await DeliveryOrder.countDocuments(), 1);
+      assert.equal(await Delivery.countDocuments(), 1);
+      assert.equal(await StockMovement.countDocuments({ reason: 'delivery' }), 1);
+    });
+
+    it('never issues more than the stock when many carts race', async () => {
+      const item = await makeItem(3);
+
+      const responses = await Promise.all(Array.from({ length: 5 }, () => postCart([{ item, quantity: 1 }])));
+
+      assert.equal(responses.filter(res => res.status === 200).length, 3);
+      assert.equal(responses.filter(res => res.status === 409).length, 2);
+      assert.equal((await Inventory.findById(item._id)).quantity, 0);
+      assert.equal(await Delivery.countDocuments(), 3);
+    });
+
+    it('rolls back the whole cart when a later line is short of stock', async () => {
+      const shirt = await makeItem(5);
+      const trousers = await makeItem(1, { itemName: 'Trousers', category: 'Trousers', size: '32' });
+
+      const res = await postCart([{ item: shirt, quantity: 2 }, { item: trousers, quantity: 3 }]);
+
+      assert.equal(res.status, 409);
+      assert.match(res.body.error, /^No items were delivered/);
+      assert.deepEqual(res.body.lines.map(line => line.success), [true, false]);
+
+      const shirtAfter = await Inventory.findById(shirt._id);
+      assert.equal(shirtAfter.quantity, 5);
+      assert.equal(layerUnits(shirtAfter), 5);
+      assert.equal((await Inventory.findById(trousers._id)).quantity, 1);
+      assert.equal(await Delivery.countDocuments(), 0);
+      assert.equal(await DeliveryOrder.countDocuments(), 0);
+      assert.equal(await StockMovement.countDocuments(), 0);
+    });
+
+    it('rolls back the whole cart when a line names an item that no longer exists', async () => {
+      const shirt = await makeItem(4);
+      const removed = await makeItem(4, { itemName: 'Cap', category: 'Caps', size: 'Free' });
+      await Inventory.deleteOne({ _id: removed._id });
+
+      const res = await postCart([{ item: shirt, quantity: 1 }, { item: removed, quantity: 1 }]);
+
+      assert.equal(res.status, 409);
+      assert.equal((await Inventory.findById(shirt._id)).quantity, 4);
+      assert.equal(await Delivery.countDocuments(), 0);
+      assert.equal(await StockMovement.countDocuments(), 0);
+    });
+
+    it('keeps two concurrent carts for one customer within their allowance', async () => {
+      await Customer.updateOne({ _id: customer._id }, { group: 'Guards' });
+      await EntitlementRule.create({ group: 'Guards', category: 'Shirts', quantity: 2, period: 'year' });
+      const item = await makeItem(10);
+
+      const responses = await Promise.all([
+        postCart([{ item, quantity: 2 }]),
+        postCart([{ item, quantity: 2 }])
+      ]);
+
+      assert.deepEqual(responses.map(res => res.status).sort(), [200, 403]);
+      const refused = responses.find(res => res.status === 403);
+      assert.equal(refused.body.entitlementExceeded[0].used, 2);
+      assert.equal((await Inventory.findById(item._id)).quantity, 8);
+      assert.equal(await Delivery.countDocuments(), 1);
+      assert.equal((await Customer.findById(customer._id)).entitlementClaimedAt, undefined);
+    });
+
+    it("counts items of a subcategory against the parent category's allowance", async () => {
+      await Category.create({ name: 'Dress Shirts', parent: shirts._id });
+      await Customer.updateOne({ _id: customer._id }, { group: 'Guards' });
+      await EntitlementRule.create({ group: 'Guards', category: 'Shirts', quantity: 1, period: 'year' });
+      const item = await makeItem(5, { category: 'Dress Shirts' });
+
+      const res = await postCart([{ item, quantity: 2 }]);
+
+      assert.equal(res.status, 403);
+      assert.equal(res.body.entitlementExceeded[0].category, 'Shirts');
+      assert.equal(res.body.entitlementExceeded[0].requested, 2);
+      assert.equal((await Inventory.findById(item._id)).quantity, 5);
+      assert.equal((await Customer.findById(customer._id)).entitlementClaimedAt, undefined);
+    });
+
+    it('refuses a cart whose kit is missing a component', async () => {
+      const shirt = await makeItem(5);
+      const trousers = await makeItem(5, { itemName: 'Trousers', category: 'Trousers', size: '32' });
+      const kit = await Kit.create({
+        name: 'Guard Set',
+        barcode: 'KIT0001',
+        components: [{ inventoryItem: shirt._id, quantity: 1 }, { inventoryItem: trousers._id, quantity: 1 }]
+      });
+
+      const res = await postCart([{ item: shirt, quantity: 1 }], kitsOf(kit, [{ item: shirt, quantity: 1 }]));
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.success, false);
+      assert.match(res.body.error, /Guard Set/);
+      assert.equal((await Inventory.findById(shirt._id)).quantity, 5);
+      assert.equal(await Delivery.countDocuments(), 0);
+      assert.equal(await StockMovement.countDocuments(), 0);
+    });
+
+    it('records a cart whose kit is complete', async () => {
+      const shirt = await makeItem(5);
+      const trousers = await makeItem(5, { itemName: 'Trousers', category: 'Trousers', size: '32' });
+      const kit = await Kit.create({
+        name: 'Guard Set',
+        barcode: 'KIT0002',
+        components: [{ inventoryItem: shirt._id, quantity: 1 }, { inventoryItem: trousers._id, quantity: 1 }]
+      });
+      const lines = [{ item: shirt, quantity: 1 }, { item: trousers, quantity: 1 }];
+
+      const res = await postCart(lines, kitsOf(kit, lines));
+
+      assert.equal(res.status, 200);
+      assert.equal((await Inventory.findById(shirt._id)).quantity, 4);
+      assert.equal((await Inventory.findById(trousers._id)).quantity, 4);
+    });
+
+    it('records a cart that fits the stock', async () => {
+      const shirt = await makeItem(5);
+      const trousers = await makeItem(2, { itemName: 'Trousers', category: 'Trousers', size: '32' });
+
+      const res = await postCart([{ item: shirt, quantity: 2 }, { item: trousers, quantity: 2 }]);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+      assert.equal((await Inventory.findById(shirt._id)).quantity, 3);
+      assert.equal((await Inventory.findById(trousers._id)).quantity, 0);
+      const order = await DeliveryOrder.findById(res.body.orderId);
+      assert.equal(order.lines.length, 2);
+    });
+  });
+};
+
+module.exports = {
+  recordMultipleSuite
+};
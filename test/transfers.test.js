@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, clearData } = require('./support/app');
+const { shipTransfer, receiveTransfer, cancelTransfer } = require('../utils/transfers');
+
+describe('Stock transfers and cost layers', () => {
+  let stop;
+  let Inventory, Location, User, Category;
+  let warehouse, store, userId, item;
+
+  before(async () => {
+    ({ stop } = await startApp({ replicaSet: true }));
+    Inventory = mongoose.model('Inventory');
+    Location = mongoose.model('Location');
+    User = mongoose.model('User');
+    Category = mongoose.model('Category');
+  });
+
+  after(async () => {
+    if (stop) await stop();
+  });
+
+  beforeEach(async () => {
+    await clearData();
+    userId = (await User.findOne())._id;
+    warehouse = await Location.create({ name: 'Warehouse', type: 'warehouse', isDefault: true });
+    store = await Location.create({ name: 'Store', type: 'store' });
+    await Category.create({ name: 'Shirts' });
+    item = await Inventory.create({
+      itemName: 'Shirt',
+      category: 'Shirts',
+      size: 'M',
+      color: 'Blue',
+      barcode: 'TRF0001',
+      quantity: 10,
+      stock: [{ location: warehouse._id, quantity: 10 }],
+      price: 100,
+      averageCost: 5
+    });
+  });
+
+  const ship = (quantity) => shipTransfer(
+    [{ inventoryId: item._id.toString(), barcode: item.barcode, quantity }],
+    { from: warehouse._id.toString(), to: store._id.toString(), userId }
+  );
+  const receive = (transfer, quantity) => receiveTransfer(
+    transfer._id,
+    [{ inventoryId: item._id.toString(), barcode: item.barcode, quantity }],
+    { userId }
+  );
+  const layerUnits = (doc) => doc.costLayers.reduce((sum, layer) => sum + layer.quantity, 0);
+
+  it('writes off the cost of units that never arrived', async () => {
+    const transfer = await ship(4);
+    const received = await receive(transfer, 3);
+
+    assert.equal(received.hasDiscrepancy, true);
+    const current = await Inventory.findById(item._id);
+    assert.equal(current.quantity, 9);
+    assert.equal(layerUnits(current), 9);
+    assert.equal(current.averageCost, 5);
+  });
+
+  it('keeps the cost layers when everything arrives', async () => {
+    const transfer = await ship(4);
+    await receive(transfer, 4);
+
+    const current = await Inventory.findById(item._id);
+    assert.equal(current.quantity, 10);
+    assert.equal(layerUnits(current), 10);
+  });
+
+  it('adds extra units that arrived at the average cost', async () => {
+    const transfer = await ship(2);
+    await receive(transfer, 3);
+
+    const current = await Inventory.findById(item._id);
+    assert.equal(current.quantity, 11);
+    assert.equal(layerUnits(current), 11);
+    assert.equal(current.averageCost, 5);
+  });
+
+  it('leaves the cost layers alone when a transfer is cancelled', async () => {
+    const transfer = await ship(4);
+    await cancelTransfer(transfer._id, userId);
+
+    const current = await Inventory.findById(item._id);
+    assert.equal(current.quantity, 10);
+    assert.equal(layerUnits(current), 10);
+  });
+});
@@ -0,0 +1,308 @@
+// ==========================================================
+// Barcodes
+// Number generation for new items, check digits for scanned
+// codes, alias lookups, QR codes for item labels, and rendering
+// shared by inventory exports and printed delivery documents
+// ==========================================================
+
+const bwipjs = require('bwip-js');
+const Counter = require('../models/Counter');
+const Inventory = require('../models/Inventory');
+const Kit = require('../models/Kit');
+
+// Digits in a full barcode of each GS1 scheme, check digit included
+const GS1_LENGTHS = { ean13: 13, upca: 12 };
+
+// Codes that exports and the image route can print for an item
+const CODE_FORMATS = {
+  barcode: 'Barcode',
+  'qr-link': 'QR code linking to the item page',
+  'qr-data': 'QR code with barcode, size and color'
+};
+
+/**
+ * Numbering scheme for new item barcodes, from config.env
+ *   BARCODE_SCHEME          ean13, upca or internal (default)
+ *   BARCODE_COMPANY_PREFIX  GS1 company prefix, required for ean13 and upca
+ *   BARCODE_PREFIX          Prefix of internal Code128 barcodes (default UI)
+ * @returns {Object} { scheme, companyPrefix, prefix }
+ */
+const barcodeSettings = () => {
+  const scheme = (process.env.BARCODE_SCHEME || 'internal').trim().toLowerCase();
+  return {
+    scheme: GS1_LENGTHS[scheme] ? scheme : 'internal',
+    companyPrefix: (process.env.BARCODE_COMPANY_PREFIX || '').trim(),
+    prefix: (process.env.BARCODE_PREFIX || 'UI').trim()
+  };
+};
+
+/**
+ * GS1 check digit for the digits before it (weights 3 and 1 from the right)
+ * @param {string} digits - Barcode without its check digit
+ * @returns {string} Single check digit
+ */
+const gs1CheckDigit = (digits) => {
+  const sum = [...digits].reverse()
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Whether a numeric barcode ends in the right GS1 check digit
+ * @param {string} barcode - Full barcode, check digit included
+ * @returns {boolean}
+ */
+const hasValidCheckDigit = (barcode) => {
+  return /^\d{2,}$/.test(barcode) && gs1CheckDigit(barcode.slice(0, -1)) === barcode.slice(-1);
+};
+
+/**
+ * Next barcode number of the configured scheme. GS1 barcodes are the company
+ * prefix, a sequential item reference and a check digit; internal barcodes are
+ * the prefix and a sequence number.
+ * @returns {Promise<string>}
+ */
+const nextBarcodeNumber = async () => {
+  const { scheme, companyPrefix, prefix } = barcodeSettings();
+
+  if (scheme === 'internal') {
+    const seq = await Counter.next(`barcode-internal-${prefix}`);
+    return `${prefix}${String(seq).padStart(6, '0')}`;
+  }
+
+  const length = GS1_LENGTHS[scheme] - 1;
+  if (!/^\d+$/.test(companyPrefix) || companyPrefix.length >= length) {
+    throw new Error(`BARCODE_COMPANY_PREFIX must be 1 to ${length - 1} digits for ${scheme} barcodes`);
+  }
+  const referenceLength = length - companyPrefix.length;
+  const seq = await Counter.next(`barcode-${scheme}-${companyPrefix}`);
+  if (seq >= 10 ** referenceLength) {
+    throw new Error(`All ${scheme} item numbers under company prefix ${companyPrefix} are used up`);
+  }
+  const digits = companyPrefix + String(seq).padStart(referenceLength, '0');
+  return digits + gs1CheckDigit(digits);
+};
+
+/**
+ * Whether a code is already used, as an item's barcode, an alias or a kit's barcode
+ * @param {string} barcode - Code to check
+ * @param {string} [exceptId] - Item or kit whose own codes do not count
+ * @returns {Promise<boolean>}
+ */
+const barcodeTaken = async (barcode, exceptId) => {
+  const filter = { $or: [{ barcode }, { 'aliases.barcode': barcode }] };
+  const kitFilter = { barcode };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+    kitFilter._id = { $ne: exceptId };
+  }
+  return Boolean(await Inventory.exists(filter)) || Boolean(await Kit.exists(kitFilter));
+};
+
+/**
+ * Find the item a code belongs to, by its own barcode or an active alias
+ * @param {string} barcode - Scanned code
+ * @returns {Promise<Object>} { item, alias, packSize } - item is null when
+ *   nothing matches; packSize is the units one scan of the code counts as
+ */
+const findByBarcode = async (barcode) => {
+  const item = await Inventory.findOne({
+    $or: [{ barcode }, { aliases: { $elemMatch: { barcode, isActive: true } } }]
+  });
+  const alias = item && item.barcode !== barcode
+    ? item.aliases.find(entry => entry.barcode === barcode)
+    : null;
+  return { item, alias, packSize: alias ? alias.packSize : 1 };
+};
+
+/**
+ * IDs of items with an alias matching a search, for filters on documents
+ * that record items by their own barcode
+ * @param {Object} search - Mongo condition on a barcode, e.g. a $regex
+ * @returns {Promise<Array>} Inventory IDs
+ */
+const itemsWithAlias = async (search) => {
+  return Inventory.find({ 'aliases.barcode': search }).distinct('_id');
+};
+
+/**
+ * Generate a unique barcode for a new item in the configured scheme
+ * @param {Set<string>} [reserved] - Barcodes taken by items not saved yet
+ * @returns {Promise<string>}
+ */
+const generateBarcode = async (reserved = new Set()) => {
+  let attempts = 0;
+  const maxAttempts = 100;
+  while (attempts < maxAttempts) {
+    const barcode = await nextBarcodeNumber();
+    if (!reserved.has(barcode) && !(await barcodeTaken(barcode))) {
+      return barcode;
+    }
+    attempts++;
+  }
+  throw new Error('Could not generate a unique barcode after 100 attempts.');
+};
+
+/**
+ * Base URL of item links in QR codes: APP_URL from config.env, or else the
+ * address the request came in on
+ * @param {Object} req - Express request
+ * @returns {string} URL without a trailing slash
+ */
+const appUrl = (req) => {
+  const configured = (process.env.APP_URL || '').trim().replace(/\/+$/, '');
+  return configured || `${req.protocol}://${req.get('host')}`;
+};
+
+/**
+ * Item page a QR code links to, found by the item's barcode
+ * @param {string} barcode - Item barcode
+ * @param {string} baseUrl - From appUrl
+ * @returns {string}
+ */
+const itemUrl = (barcode, baseUrl) => `${baseUrl}/inventory/item/${encodeURIComponent(barcode)}`;
+
+/**
+ * Text a QR code carries for an item
+ * @param {Object} item - Inventory item
+ * @param {string} format - qr-link or qr-data
+ * @param {string} baseUrl - From appUrl, for qr-link
+ * @returns {string} Item page URL, or compact JSON of barcode, size and color
+ */
+const qrPayload = (item, format, baseUrl) => {
+  if (format === 'qr-link') return itemUrl(item.barcode, baseUrl);
+  return JSON.stringify({ barcode: item.barcode, size: item.size, color: item.color });
+};
+
+/**
+ * Item barcode carried by a QR payload: the barcode field of the JSON, or the
+ * last part of an item page link. Anything else is taken as the barcode itself.
+ * @param {string} value - Scanner input
+ * @returns {string}
+ */
+const qrBarcode = (value) => {
+  if (value.startsWith('{')) {
+    try {
+      const data = JSON.parse(value);
+      if (data && data.barcode) return String(data.barcode).trim();
+    } catch (error) {
+      return value;
+    }
+  }
+  const link = value.match(/^https?:\/\/[^\s]*\/inventory\/item\/([^/?#\s]+)\/?(?:[?#].*)?$/i);
+  if (link) {
+    try {
+      return decodeURIComponent(link[1]).trim();
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+/**
+ * Whether a code has the length of the configured GS1 scheme but not its
+ * check digit. Codes on file can still be valid: items from before the scheme
+ * was configured keep their old barcodes.
+ * @param {string} barcode - Full barcode
+ * @returns {boolean} Always false for the internal scheme
+ */
+const hasWrongCheckDigit = (barcode) => {
+  const length = GS1_LENGTHS[barcodeSettings().scheme];
+  return Boolean(length) && new RegExp(`^\\d{${length}}$`).test(barcode) && !hasValidCheckDigit(barcode);
+};
+
+/**
+ * Read a scanned or typed item barcode. QR payloads of item labels are read
+ * back to the barcode they carry. With a GS1 scheme configured, a code of the
+ * scheme's length must carry a valid check digit, so a mis-scan is refused
+ * before it is looked up; codes already on file are taken as they are. A UPC-A
+ * read as 13 digits is cut back to 12.
+ * @param {string} value - Scanner input
+ * @returns {Promise<Object>} { barcode, error } - error is set when the code is a mis-scan
+ */
+const checkScan = async (value) => {
+  let barcode = qrBarcode(String(value || '').replace(/[\r\n]+/g, '').trim());
+  const { scheme } = barcodeSettings();
+  if (!GS1_LENGTHS[scheme]) return { barcode };
+
+  if (scheme === 'upca' && /^0\d{12}$/.test(barcode) && !(await barcodeTaken(barcode))) barcode = barcode.slice(1);
+  if (hasWrongCheckDigit(barcode) && !(await barcodeTaken(barcode))) {
+    return { barcode, error: `Check digit of ${barcode} is wrong - probably a mis-scan, scan it again` };
+  }
+  return { barcode };
+};
+
+/**
+ * bwip-js symbology to print a barcode in: EAN-13 or UPC-A for valid codes of
+ * the configured GS1 scheme, Code128 for everything else
+ * @param {string} barcode - Text to encode
+ * @returns {string} bwip-js bcid
+ */
+const barcodeSymbology = (barcode) => {
+  const { scheme } = barcodeSettings();
+  const length = GS1_LENGTHS[scheme];
+  if (length && barcode.length === length && hasValidCheckDigit(barcode)) return scheme;
+  return 'code128';
+};
+
+/**
+ * Generate barcode PNG buffer
+ * @param {string} barcode - Text to encode
+ * @returns {Promise<Buffer>} PNG image in the barcode's symbology
+ */
+const generateBarcodeImage = async (barcode) => {
+  return bwipjs.toBuffer({
+    bcid: barcodeSymbology(barcode),
+    text: barcode,
+    scale: 3,
+    height: 12,
+    includetext: false,
+  });
+};
+
+/**
+ * Generate QR code PNG buffer
+ * @param {string} text - Text to encode, e.g. from qrPayload
+ * @returns {Promise<Buffer>} Square PNG image
+ */
+const generateQrImage = async (text) => {
+  return bwipjs.toBuffer({
+    bcid: 'qrcode',
+    text,
+    scale: 4,
+    eclevel: 'M',
+    // White margin around the code, which phone cameras need to find it
+    padding: 10,
+    backgroundcolor: 'FFFFFF',
+  });
+};
+
+/**
+ * Image of the code chosen for an item: its barcode or a QR code
+ * @param {Object} item - Inventory item
+ * @param {string} format - Key of CODE_FORMATS
+ * @param {string} baseUrl - From appUrl, for qr-link
+ * @returns {Promise<Buffer>} PNG image
+ */
+const generateCodeImage = async (item, format, baseUrl) => {
+  if (format === 'qr-link' || format === 'qr-data') return generateQrImage(qrPayload(item, format, baseUrl));
+  return generateBarcodeImage(item.barcode);
+};
+
+module.exports = {
+  CODE_FORMATS,
+  barcodeTaken,
+  findByBarcode,
+  itemsWithAlias,
+  generateBarcode,
+  hasWrongCheckDigit,
+  checkScan,
+  barcodeSymbology,
+  appUrl,
+  itemUrl,
+  qrPayload,
+  generateBarcodeImage,
+  generateQrImage,
+  generateCodeImage
+};
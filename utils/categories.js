@@ -0,0 +1,107 @@
+// ==========================================================
+// Categories
+// Category tree with inherited size sets and reorder
+// defaults, and the filters built from them
+// ==========================================================
+
+const Category = require('../models/Category');
+
+// Used when neither a category nor any of its parents set a value
+const DEFAULT_SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'];
+const DEFAULT_REORDER_POINT = 10;
+
+/**
+ * All categories in tree order (each parent followed by its children),
+ * with the sizes and reorder settings they end up using
+ * @returns {Promise<Array>} Category objects plus depth, path ("Uniform › Shirts"),
+ *   effectiveSizes, effectiveReorderPoint and effectiveReorderQuantity (null when unset)
+ */
+const listCategories = async () => {
+  const all = await Category.find().sort({ name: 1 }).lean();
+  const ids = new Set(all.map(category => category._id.toString()));
+  const childrenOf = (parentId) => all.filter(category => {
+    const parent = category.parent ? category.parent.toString() : null;
+    // Categories whose parent was removed are shown at the top level
+    return parentId ? parent === parentId : !parent || !ids.has(parent);
+  });
+
+  const ordered = [];
+  const visit = (category, parent, depth) => {
+    ordered.push({
+      ...category,
+      depth,
+      path: parent ? `${parent.path} › ${category.name}` : category.name,
+      effectiveSizes: category.sizes && category.sizes.length > 0
+        ? category.sizes
+        : parent ? parent.effectiveSizes : DEFAULT_SIZES,
+      effectiveReorderPoint: category.reorderPoint ?? (parent ? parent.effectiveReorderPoint : DEFAULT_REORDER_POINT),
+      effectiveReorderQuantity: category.reorderQuantity ?? (parent ? parent.effectiveReorderQuantity : null)
+    });
+    const current = ordered[ordered.length - 1];
+    childrenOf(category._id.toString()).forEach(child => visit(child, current, depth + 1));
+  };
+  childrenOf(null).forEach(category => visit(category, null, 0));
+
+  return ordered;
+};
+
+/**
+ * Category names for select boxes, in tree order
+ * @returns {Promise<Array<string>>}
+ */
+const categoryNames = async () => (await listCategories()).map(category => category.name);
+
+/**
+ * A category's name together with the names of all categories below it
+ * @param {string} name - Category name
+ * @returns {Promise<Array<string>>}
+ */
+const withSubcategories = async (name) => {
+  const all = await Category.find().select('name parent').lean();
+  const root = all.find(category => category.name === name);
+  if (!root) return [name];
+
+  const names = [];
+  const queue = [root];
+  while (queue.length > 0) {
+    const category = queue.shift();
+    names.push(category.name);
+    queue.push(...all.filter(child => child.parent && child.parent.equals(category._id)));
+  }
+  return names;
+};
+
+/**
+ * Inventory filter value for a category that also matches its subcategories
+ * @param {string} name - Category name
+ * @returns {Promise<string|Object>} The name, or { $in: names } when it has subcategories
+ */
+const categoryFilter = async (name) => {
+  const names = await withSubcategories(name);
+  return names.length > 1 ? { $in: names } : name;
+};
+
+/**
+ * Reorder defaults per category name, used by items that do not set their own
+ * @returns {Promise<Object>} { [categoryName]: { reorderPoint, reorderQuantity } }
+ */
+const reorderDefaults = async () => {
+  const defaults = {};
+  (await listCategories()).forEach(category => {
+    defaults[category.name] = {
+      reorderPoint: category.effectiveReorderPoint,
+      reorderQuantity: category.effectiveReorderQuantity
+    };
+  });
+  return defaults;
+};
+
+module.exports = {
+  DEFAULT_SIZES,
+  DEFAULT_REORDER_POINT,
+  listCategories,
+  categoryNames,
+  withSubcategories,
+  categoryFilter,
+  reorderDefaults
+};
@@ -0,0 +1,276 @@
+// ==========================================================
+// Costing
+// What stock cost us. Every item keeps the weighted average cost
+// of what it received and its cost layers: the receipts not yet
+// issued, oldest first. Issues take cost from one or the other,
+// depending on the costing method chosen in config.env.
+// ==========================================================
+
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Inventory = require('../models/Inventory');
+
+// Methods stock can be valued and issued at
+const COSTING_METHODS = {
+  fifo: 'FIFO (first in, first out)',
+  average: 'Weighted average'
+};
+
+/**
+ * Costing method, from config.env
+ *   COSTING_METHOD  fifo or average (default)
+ * @returns {string} Key of COSTING_METHODS
+ */
+const costingMethod = () => {
+  const method = (process.env.COSTING_METHOD || 'average').trim().toLowerCase();
+  return COSTING_METHODS[method] ? method : 'average';
+};
+
+// Costs are kept to the paisa; averages to four places so they do not drift
+const roundCost = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Add the cost of stock that came in. Call it after the stock was added, so
+ * the average is weighted by what was on hand before.
+ * @param {string} itemId - Inventory ID
+ * @param {number} quantity - Units added
+ * @param {number} [unitCost] - What one unit cost; empty uses the item's average
+ *   cost, for stock found in a count or put back without a known cost
+ * @param {Object} [options] - { session, onRollback } when called inside runAtomically
+ * @returns {Promise<number>} Cost of one unit as added
+ */
+const addCost = async (itemId, quantity, unitCost, { session = null, onRollback = () => {} } = {}) => {
+  // Retry if another change moves the average between reading and writing it
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const item = await Inventory.findById(itemId).select('quantity averageCost').session(session);
+    if (!item) return 0;
+
+    const cost = unitCost == null ? item.averageCost : unitCost;
+    const before = Math.max(item.quantity - quantity, 0);
+    const averageCost = before > 0
+      ? roundCost((before * item.averageCost + quantity * cost) / (before + quantity))
+      : cost;
+    const layer = { quantity, unitCost: cost, receivedAt: new Date() };
+    const push = { costLayers: layer };
+    if (averageCost !== item.averageCost) push.costHistory = { averageCost, effectiveFrom: layer.receivedAt };
+
+    const updated = await Inventory.findOneAndUpdate(
+      { _id: itemId, averageCost: item.averageCost },
+      { $set: { averageCost }, $push: push },
+      { new: true, session }
+    );
+    if (!updated) continue;
+
+    const added = updated.costLayers[updated.costLayers.length - 1];
+    onRollback(() => Inventory.updateOne(
+      { _id: itemId },
+      {
+        $set: { averageCost: item.averageCost },
+        $pull: { costLayers: { _id: added._id }, costHistory: { effectiveFrom: layer.receivedAt } }
+      }
+    ));
+    return cost;
+  }
+
+  throw new Error('Stock cost changed while it was being updated, please try again');
+};
+
+/**
+ * Take the cost of stock that went out from the oldest cost layers, and
+ * return what it cost by the costing method. Units beyond the layers, e.g.
+ * stock from before costs were tracked, are taken at the average cost.
+ * @param {string} itemId - Inventory ID
+ * @param {number} quantity - Units taken out
+ * @param {Object} [options] - { session, onRollback } when called inside runAtomically
+ * @returns {Promise<number>} Cost of one unit, 0 if the item no longer exists
+ */
+const takeCost = async (itemId, quantity, { session = null, onRollback = () => {} } = {}) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const item = await Inventory.findById(itemId).select('averageCost costLayers').session(session);
+    if (!item) return 0;
+
+    const taken = [];
+    let left = quantity;
+    let fifoCost = 0;
+    for (const layer of item.costLayers) {
+      if (left === 0) break;
+      const take = Math.min(layer.quantity, left);
+      taken.push({ layer, take });
+      fifoCost += take * layer.unitCost;
+      left -= take;
+    }
+    fifoCost += left * item.averageCost;
+
+    // Only written if none of the layers was taken from in the meantime
+    if (taken.length > 0) {
+      const updated = await Inventory.updateOne(
+        { _id: itemId, $and: taken.map(({ layer, take }) => ({ costLayers: { $elemMatch: { _id: layer._id, quantity: { $gte: take } } } })) },
+        { $inc: Object.fromEntries(taken.map(({ take }, i) => [`costLayers.$[l${i}].quantity`, -take])) },
+        { arrayFilters: taken.map(({ layer }, i) => ({ [`l${i}._id`]: layer._id })), session }
+      );
+      if (updated.matchedCount === 0) continue;
+      await Inventory.updateOne({ _id: itemId }, { $pull: { costLayers: { quantity: { $lte: 0 } } } }, { session });
+
+      // Put the layers back as they were, in front of anything received since
+      const originals = taken.map(({ layer }) => layer.toObject());
+      onRollback(async () => {
+        await Inventory.updateOne({ _id: itemId }, { $pull: { costLayers: { _id: { $in: originals.map(layer => layer._id) } } } });
+        await Inventory.updateOne({ _id: itemId }, { $push: { costLayers: { $each: originals, $position: 0 } } });
+      });
+    }
+
+    return costingMethod() === 'fifo' ? roundCost(fifoCost / quantity) : item.averageCost;
+  }
+
+  throw new Error('Stock cost changed while it was being updated, please try again');
+};
+
+/**
+ * Follow a stock change whose cost is not known, such as a count or an edit:
+ * added units come in at the average cost, removed units are taken out
+ * @param {string} itemId - Inventory ID
+ * @param {number} delta - Signed quantity change
+ * @param {Object} [options] - { session, onRollback } when called inside runAtomically
+ * @returns {Promise<void>}
+ */
+const followStockChange = async (itemId, delta, options) => {
+  if (delta > 0) await addCost(itemId, delta, null, options);
+  if (delta < 0) await takeCost(itemId, -delta, options);
+};
+
+/**
+ * Value the stock of an item at a new unit cost, as when a cost is set by
+ * hand for stock from before costs were tracked. The layers are replaced by
+ * one layer holding everything on hand.
+ * @param {string} itemId - Inventory ID
+ * @param {number} unitCost - Cost of one unit
+ * @returns {Promise<void>}
+ */
+const revalueStock = async (itemId, unitCost) => {
+  const item = await Inventory.findById(itemId).select('quantity');
+  if (!item) return;
+  const costLayers = item.quantity > 0 ? [{ quantity: item.quantity, unitCost }] : [];
+  await Inventory.updateOne(
+    { _id: itemId },
+    { $set: { averageCost: unitCost, costLayers }, $push: { costHistory: { averageCost: unitCost, effectiveFrom: new Date() } } }
+  );
+};
+
+/**
+ * Average cost of an item on a date, from its cost history. Dates before
+ * the history starts get the earliest known cost; items without a history
+ * get their current average cost.
+ * @param {Object} item - Inventory item with averageCost and costHistory
+ * @param {Date} date - Date the cost applied on
+ * @returns {number}
+ */
+const costAt = (item, date) => {
+  const history = [...(item.costHistory || [])].sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+  if (history.length === 0) return item.averageCost || 0;
+  const at = new Date(date);
+  const entry = history.filter(change => change.effectiveFrom <= at).pop() || history[0];
+  return entry.averageCost;
+};
+
+/**
+ * What the stock on hand of an item cost, by the costing method. Under FIFO
+ * the newest layers are the ones still on the shelf; units beyond them are
+ * valued at the average cost.
+ * @param {Object} item - Inventory item with averageCost and costLayers
+ * @param {number} [quantity] - Units to value, e.g. the stock at one location;
+ *   defaults to the company-wide stock
+ * @returns {number} Cost value in rupees
+ */
+const stockValue = (item, quantity = item.quantity) => {
+  const averageCost = item.averageCost || 0;
+  if (costingMethod() !== 'fifo') return roundCost(quantity * averageCost, 2);
+
+  let left = quantity;
+  let value = 0;
+  for (const layer of [...(item.costLayers || [])].reverse()) {
+    if (left === 0) break;
+    const take = Math.min(layer.quantity, left);
+    value += take * layer.unitCost;
+    left -= take;
+  }
+  return roundCost(value + left * averageCost, 2);
+};
+
+/**
+ * What the stock items held at a past moment cost, by the costing method.
+ * Under FIFO the stock is taken to be from the item's latest goods receipts up
+ * to then; units beyond them, and receipts without a cost, are valued at the
+ * average cost of the day.
+ * @param {Array<Object>} items - Inventory items with averageCost and
+ *   costHistory, their quantity being the stock they held then
+ * @param {Date} date - Moment to value the stock at
+ * @returns {Promise<Map>} Item ID to cost value in rupees
+ */
+const stockValuesAt = async (items, date) => {
+  const values = new Map();
+  if (costingMethod() !== 'fifo') {
+    items.forEach(item => values.set(item._id.toString(), roundCost(item.quantity * costAt(item, date), 2)));
+    return values;
+  }
+
+  const lines = await GoodsReceipt.aggregate([
+    { $match: { receivedDate: { $lte: date } } },
+    { $sort: { receivedDate: -1 } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.inventoryItem': { $in: items.map(item => item._id) } } },
+    { $project: { item: '$lines.inventoryItem', quantity: '$lines.quantity', unitCost: '$lines.unitCost', receivedDate: 1 } }
+  ]);
+  const receipts = new Map();
+  lines.forEach(line => {
+    const key = line.item.toString();
+    if (!receipts.has(key)) receipts.set(key, []);
+    receipts.get(key).push(line);
+  });
+
+  items.forEach(item => {
+    const averageCost = costAt(item, date);
+    let left = Math.max(item.quantity, 0);
+    let value = 0;
+    for (const line of receipts.get(item._id.toString()) || []) {
+      if (left === 0) break;
+      const take = Math.min(line.quantity, left);
+      value += take * (line.unitCost != null ? line.unitCost : costAt(item, line.receivedDate));
+      left -= take;
+    }
+    values.set(item._id.toString(), roundCost(value + left * averageCost, 2));
+  });
+  return values;
+};
+
+/**
+ * Cost of one unit of an item's stock on hand, by the costing method
+ * @param {Object} item - Inventory item with quantity, averageCost and costLayers
+ * @returns {number}
+ */
+const unitStockCost = (item) => (item.quantity > 0 ? roundCost(stockValue(item) / item.quantity) : item.averageCost || 0);
+
+/**
+ * Cost of the units of a delivery the customer kept, net of returns.
+ * Deliveries from before costs were tracked use the item's average cost.
+ * @param {Object} delivery - Delivery with inventoryItem populated (averageCost)
+ * @returns {number} Cost in rupees
+ */
+const deliveryCost = (delivery) => {
+  const kept = delivery.quantityDelivered - (delivery.quantityReturned || 0);
+  const item = delivery.inventoryItem;
+  const unitCost = delivery.unitCost != null ? delivery.unitCost : (item && item.averageCost) || 0;
+  return roundCost(kept * unitCost, 2);
+};
+
+module.exports = {
+  COSTING_METHODS,
+  costingMethod,
+  addCost,
+  takeCost,
+  followStockChange,
+  revalueStock,
+  costAt,
+  stockValue,
+  stockValuesAt,
+  unitStockCost,
+  deliveryCost
+};
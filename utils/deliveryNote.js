@@ -0,0 +1,261 @@
+// ==========================================================
+// Delivery Note Documents
+// Printable PDF and Word delivery notes for a delivery order
+// ==========================================================
+
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const { Document, Packer, Paragraph, TextRun, Table, TableCell, TableRow, ImageRun, WidthType, AlignmentType, BorderStyle } = require('docx');
+const { generateBarcodeImage } = require('./barcode');
+const { formatRupees, lineAmount } = require('./helpers');
+
+/**
+ * Flatten order lines into printable rows
+ * @param {Object} order - DeliveryOrder with lines.inventoryItem populated
+ * @returns {Array} Rows with item details and line totals
+ */
+const noteRows = (order) => {
+  return order.lines.map((line, index) => ({
+    number: index + 1,
+    itemName: line.itemName || (line.inventoryItem && line.inventoryItem.itemName) || '',
+    size: line.inventoryItem ? line.inventoryItem.size : '',
+    color: line.inventoryItem ? line.inventoryItem.color : '',
+    quantity: line.quantity,
+    unitPrice: line.unitPrice || 0,
+    total: lineAmount(line.quantity, line)
+  }));
+};
+
+/**
+ * Sentence on the discount and tax included in the line totals
+ * @param {Object} order - DeliveryOrder
+ * @returns {string} Empty when the order has neither
+ */
+const priceNote = (order) => {
+  const line = order.lines.find(entry => entry.discountRate > 0 || entry.taxRate > 0);
+  if (!line) return '';
+  const parts = [
+    line.discountRate > 0 && `a ${line.discountRate}% discount`,
+    line.taxRate > 0 && `${line.taxRate}% tax`
+  ].filter(Boolean);
+  return `Line totals include ${parts.join(' and ')}.`;
+};
+
+/**
+ * Build a delivery note as PDF
+ * @param {Object} order - DeliveryOrder with issuedBy and lines.inventoryItem populated
+ * @returns {Promise<Buffer>} PDF file
+ */
+const buildDeliveryNotePdf = async (order) => {
+  const barcodePng = await generateBarcodeImage(order.orderNumber);
+  const rows = noteRows(order);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.fontSize(20).font('Helvetica-Bold').text('Delivery Note', { align: 'center' });
+    doc.fontSize(10).font('Helvetica').text('Uniform Inventory System', { align: 'center' });
+    doc.moveDown(1.5);
+
+    const infoTop = doc.y;
+    doc.fontSize(11);
+    doc.font('Helvetica-Bold').text('Delivery No: ', 50, infoTop, { continued: true }).font('Helvetica').text(order.orderNumber);
+    doc.font('Helvetica-Bold').text('Date: ', { continued: true }).font('Helvetica').text(moment(order.orderDate).format('YYYY-MM-DD HH:mm'));
+    doc.font('Helvetica-Bold').text('Customer: ', { continued: true }).font('Helvetica').text(order.customerName);
+    doc.font('Helvetica-Bold').text('Issued By: ', { continued: true }).font('Helvetica').text(order.issuedBy ? order.issuedBy.username : '-');
+    doc.image(barcodePng, 360, infoTop, { fit: [185, 45] });
+    doc.fontSize(9).text(order.orderNumber, 360, infoTop + 48, { width: 185, align: 'center' });
+    doc.moveDown(2);
+
+    // Lines table
+    const columns = [
+      { header: '#', key: 'number', x: 50, width: 25 },
+      { header: 'Item', key: 'itemName', x: 75, width: 170 },
+      { header: 'Size', key: 'size', x: 245, width: 50 },
+      { header: 'Color', key: 'color', x: 295, width: 70 },
+      { header: 'Qty', key: 'quantity', x: 365, width: 40, align: 'right' },
+      { header: 'Unit Price', key: 'unitPrice', x: 405, width: 70, align: 'right' },
+      { header: 'Total', key: 'total', x: 475, width: 70, align: 'right' }
+    ];
+
+    const drawRow = (values, y, bold) => {
+      doc.fontSize(10).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      columns.forEach((column) => {
+        doc.text(String(values[column.key]), column.x, y, { width: column.width, align: column.align || 'left' });
+      });
+    };
+
+    let y = Math.max(doc.y, infoTop + 80);
+    drawRow(Object.fromEntries(columns.map((c) => [c.key, c.header])), y, true);
+    y += 16;
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 6;
+
+    rows.forEach((row) => {
+      if (y > 740) {
+        doc.addPage();
+        y = 50;
+      }
+      drawRow({ ...row, unitPrice: formatRupees(row.unitPrice), total: formatRupees(row.total) }, y, false);
+      y += 18;
+    });
+
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 8;
+    doc.fontSize(11).font('Helvetica-Bold');
+    doc.text('Total Quantity:', 295, y, { width: 110, align: 'right' });
+    doc.text(String(order.totalQuantity), 405, y, { width: 140, align: 'right' });
+    y += 18;
+    doc.text('Total Amount:', 295, y, { width: 110, align: 'right' });
+    doc.text(formatRupees(order.totalAmount), 405, y, { width: 140, align: 'right' });
+    y += 30;
+
+    if (priceNote(order)) {
+      doc.fontSize(9).font('Helvetica').text(priceNote(order), 295, y - 10, { width: 250, align: 'right' });
+      y += 12;
+    }
+
+    if (order.notes) {
+      doc.fontSize(10).font('Helvetica-Bold').text('Notes: ', 50, y, { continued: true }).font('Helvetica').text(order.notes);
+      y = doc.y + 20;
+    }
+
+    // Signatures
+    y = Math.max(y + 40, 680);
+    if (y > 770) {
+      doc.addPage();
+      y = 100;
+    }
+    doc.fontSize(10).font('Helvetica');
+    doc.moveTo(50, y).lineTo(230, y).stroke();
+    doc.moveTo(365, y).lineTo(545, y).stroke();
+    doc.text('Issued by', 50, y + 5, { width: 180, align: 'center' });
+    doc.text('Received by', 365, y + 5, { width: 180, align: 'center' });
+
+    doc.end();
+  });
+};
+
+/**
+ * Build a delivery note as a Word document
+ * @param {Object} order - DeliveryOrder with issuedBy and lines.inventoryItem populated
+ * @returns {Promise<Buffer>} DOCX file
+ */
+const buildDeliveryNoteDocx = async (order) => {
+  const barcodePng = await generateBarcodeImage(order.orderNumber);
+  const rows = noteRows(order);
+
+  const cell = (text, options = {}) => new TableCell({
+    children: [new Paragraph({
+      children: [new TextRun({ text: String(text), bold: options.bold })],
+      alignment: options.align || AlignmentType.LEFT
+    })],
+    width: options.width ? { size: options.width, type: WidthType.PERCENTAGE } : undefined
+  });
+
+  const tableRows = [
+    new TableRow({
+      tableHeader: true,
+      children: [
+        cell('#', { bold: true, width: 5 }),
+        cell('Item', { bold: true, width: 35 }),
+        cell('Size', { bold: true, width: 10 }),
+        cell('Color', { bold: true, width: 12 }),
+        cell('Qty', { bold: true, width: 8, align: AlignmentType.RIGHT }),
+        cell('Unit Price', { bold: true, width: 15, align: AlignmentType.RIGHT }),
+        cell('Total', { bold: true, width: 15, align: AlignmentType.RIGHT })
+      ]
+    }),
+    ...rows.map((row) => new TableRow({
+      children: [
+        cell(row.number),
+        cell(row.itemName),
+        cell(row.size),
+        cell(row.color),
+        cell(row.quantity, { align: AlignmentType.RIGHT }),
+        cell(formatRupees(row.unitPrice), { align: AlignmentType.RIGHT }),
+        cell(formatRupees(row.total), { align: AlignmentType.RIGHT })
+      ]
+    }))
+  ];
+
+  const field = (label, value) => new Paragraph({
+    children: [
+      new TextRun({ text: `${label}: `, bold: true }),
+      new TextRun({ text: value })
+    ]
+  });
+
+  const children = [
+    new Paragraph({
+      text: 'Delivery Note',
+      heading: 'Heading1',
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 200 }
+    }),
+    new Paragraph({
+      children: [new ImageRun({ data: barcodePng, transformation: { width: 220, height: 60 } })],
+      alignment: AlignmentType.RIGHT
+    }),
+    new Paragraph({ text: order.orderNumber, alignment: AlignmentType.RIGHT, spacing: { after: 200 } }),
+    field('Delivery No', order.orderNumber),
+    field('Date', moment(order.orderDate).format('YYYY-MM-DD HH:mm')),
+    field('Customer', order.customerName),
+    field('Issued By', order.issuedBy ? order.issuedBy.username : '-'),
+    new Paragraph({ text: '', spacing: { after: 200 } }),
+    new Table({
+      rows: tableRows,
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      borders: {
+        top: { style: BorderStyle.SINGLE, size: 1 },
+        bottom: { style: BorderStyle.SINGLE, size: 1 },
+        left: { style: BorderStyle.SINGLE, size: 1 },
+        right: { style: BorderStyle.SINGLE, size: 1 },
+        insideHorizontal: { style: BorderStyle.SINGLE, size: 1 },
+        insideVertical: { style: BorderStyle.SINGLE, size: 1 }
+      }
+    }),
+    new Paragraph({ text: '', spacing: { after: 200 } }),
+    new Paragraph({
+      children: [new TextRun({ text: `Total Quantity: ${order.totalQuantity}`, bold: true })],
+      alignment: AlignmentType.RIGHT
+    }),
+    new Paragraph({
+      children: [new TextRun({ text: `Total Amount: ${formatRupees(order.totalAmount)}`, bold: true })],
+      alignment: AlignmentType.RIGHT,
+      spacing: { after: priceNote(order) ? 0 : 400 }
+    })
+  ];
+
+  if (priceNote(order)) {
+    children.push(new Paragraph({ text: priceNote(order), alignment: AlignmentType.RIGHT, spacing: { after: 400 } }));
+  }
+
+  if (order.notes) {
+    children.push(field('Notes', order.notes));
+  }
+
+  children.push(
+    new Paragraph({ text: '', spacing: { after: 800 } }),
+    new Paragraph({ text: 'Issued by: ______________________          Received by: ______________________' })
+  );
+
+  const doc = new Document({
+    sections: [{
+      properties: {},
+      children
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+};
+
+module.exports = {
+  buildDeliveryNotePdf,
+  buildDeliveryNoteDocx
+};
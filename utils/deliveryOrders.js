@@ -0,0 +1,135 @@
+// ==========================================================
+// Delivery Orders
+// Issues a cart of items to a customer under one order number
+// ==========================================================
+
+const Delivery = require('../models/Delivery');
+const DeliveryOrder = require('../models/DeliveryOrder');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const { issueStock, revertStock } = require('./stockLedger');
+const { resolveLocation, quantityAt } = require('./locations');
+const { deliveryTaxRate } = require('./prices');
+const { takeCost } = require('./costing');
+const { incompleteKits } = require('./kits');
+
+/**
+ * Record a cart as one delivery order. Each line is decremented with a guarded
+ * write; if any line fails the error carries a per-line report (lineReport)
+ * and runAtomically rolls the whole order back. Kits in the cart are checked
+ * to be complete before any stock is issued; if one is not, the error carries kitIncomplete.
+ * @param {Array} lines - { inventoryId, barcode, quantity } per cart line
+ * @param {Object} details
+ * @param {Object} details.customer - Customer document
+ * @param {string} [details.notes] - Notes copied to the order and its lines
+ * @param {string} details.userId - User issuing the order
+ * @param {Object} [details.entitlementOverride] - Approved entitlement override
+ * @param {string} [details.location] - Location to issue from; empty uses the default
+ * @param {number} [details.discountRate] - Percent off every line
+ * @param {Array} [details.kits] - { kitId, items: [{ inventoryId, quantity }] } per kit in the cart
+ * @param {ObjectId} [details.exchangeFor] - Return the order replaces; such
+ *   deliveries do not count against allowances
+ * @param {Object} tx - { session, onRollback } from runAtomically
+ * @returns {Promise<Object>} { order, report }
+ */
+const recordOrder = async (lines, { customer, notes, userId, entitlementOverride, location, discountRate = 0, kits = [], exchangeFor }, { session, onRollback }) => {
+  const kitProblems = await incompleteKits(kits, lines, { session });
+  if (kitProblems.length > 0) {
+    const error = new Error(kitProblems.join('; '));
+    error.kitIncomplete = true;
+    throw error;
+  }
+
+  const at = await resolveLocation(location);
+  const taxRate = deliveryTaxRate();
+  const order = new DeliveryOrder({
+    customer: customer._id,
+    customerName: customer.name,
+    notes,
+    issuedBy: userId,
+    location: at,
+    entitlementOverride
+  });
+  const report = [];
+
+  for (const line of lines) {
+    const inventoryItem = await Inventory.findById(line.inventoryId).session(session);
+    if (!inventoryItem) {
+      report.push({ barcode: line.barcode, quantity: line.quantity, success: false, error: `Item with barcode ${line.barcode} not found` });
+      continue;
+    }
+
+    const delivery = new Delivery({
+      deliveryOrder: order._id,
+      inventoryItem: inventoryItem._id,
+      barcode: line.barcode,
+      customer: customer._id,
+      customerName: customer.name,
+      quantityDelivered: line.quantity,
+      unitPrice: inventoryItem.price,
+      discountRate,
+      taxRate,
+      deliveredBy: userId,
+      location: at,
+      exchangeFor,
+      notes
+    });
+
+    // Update inventory quantity only if enough is still on hand
+    const updated = await issueStock({
+      itemId: inventoryItem._id,
+      quantity: line.quantity,
+      reason: 'delivery',
+      userId,
+      location: at,
+      sourceModel: 'Delivery',
+      sourceDocument: delivery._id,
+      session
+    });
+    if (!updated) {
+      report.push({
+        barcode: line.barcode,
+        itemName: inventoryItem.itemName,
+        quantity: line.quantity,
+        success: false,
+        error: `Insufficient stock for ${inventoryItem.itemName}. Available: ${quantityAt(inventoryItem, at)}, Requested: ${line.quantity}`
+      });
+      continue;
+    }
+    onRollback(() => revertStock({ itemId: inventoryItem._id, delta: -line.quantity, location: at }));
+    onRollback(() => StockMovement.deleteMany({ sourceModel: 'Delivery', sourceDocument: delivery._id }));
+    delivery.unitCost = await takeCost(inventoryItem._id, line.quantity, { session, onRollback });
+
+    await delivery.save({ session });
+    onRollback(() => Delivery.deleteOne({ _id: delivery._id }));
+
+    order.lines.push({
+      delivery: delivery._id,
+      inventoryItem: inventoryItem._id,
+      barcode: line.barcode,
+      itemName: inventoryItem.itemName,
+      quantity: line.quantity,
+      unitPrice: inventoryItem.price,
+      discountRate,
+      taxRate
+    });
+    report.push({ barcode: line.barcode, itemName: inventoryItem.itemName, quantity: line.quantity, success: true });
+  }
+
+  if (report.some(line => !line.success)) {
+    const error = new Error(report.filter(line => !line.success).map(line => line.error).join('; '));
+    error.lineReport = report;
+    throw error;
+  }
+
+  // Number the order last so rejected carts do not use up numbers
+  order.orderNumber = await DeliveryOrder.nextOrderNumber(session);
+  await order.save({ session });
+  onRollback(() => DeliveryOrder.deleteOne({ _id: order._id }));
+
+  return { order, report };
+};
+
+module.exports = {
+  recordOrder
+};
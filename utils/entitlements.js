@@ -0,0 +1,225 @@
+// ==========================================================
+// Uniform Entitlements
+// Allowances per customer group and category, and how much
+// of each allowance a customer has used in the current period
+// ==========================================================
+
+const moment = require('moment');
+const Customer = require('../models/Customer');
+const Delivery = require('../models/Delivery');
+const EntitlementRule = require('../models/EntitlementRule');
+const Inventory = require('../models/Inventory');
+const { withSubcategories } = require('./categories');
+
+// A claim older than this was left by a request that died, and is taken over
+const CLAIM_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Calendar period containing a date
+ * @param {string} period - month, quarter or year
+ * @param {Date} [date] - Date inside the period (defaults to now)
+ * @returns {Object} { start, end } with end exclusive
+ */
+const periodRange = (period, date = new Date()) => {
+  const start = moment(date).startOf(period);
+  return { start: start.toDate(), end: start.clone().add(1, period).toDate() };
+};
+
+/**
+ * Allowance and usage for every active rule of each customer's group. A rule
+ * for a category also covers the items of its subcategories.
+ * @param {Array} customers - Customer documents
+ * @param {Date} [date] - Date whose periods to report (defaults to now)
+ * @param {Object} [options] - { session } when called inside runAtomically
+ * @returns {Promise<Map>} Customer ID string -> array of
+ *   { category, categories, period, periodStart, periodEnd, allowed, used, remaining }
+ *   where categories are the category names the rule covers
+ */
+const getAllowancesFor = async (customers, date = new Date(), { session = null } = {}) => {
+  const allowances = new Map(customers.map(customer => [customer._id.toString(), []]));
+
+  const groups = [...new Set(customers.map(customer => customer.group).filter(Boolean))];
+  if (groups.length === 0) return allowances;
+
+  const rules = await EntitlementRule.find({ group: { $in: groups }, isActive: true }).sort({ category: 1 }).session(session);
+  if (rules.length === 0) return allowances;
+
+  const ranges = rules.map(rule => periodRange(rule.period, date));
+  const covered = await Promise.all(rules.map(rule => withSubcategories(rule.category)));
+  const since = new Date(Math.min(...ranges.map(range => range.start)));
+  const until = new Date(Math.max(...ranges.map(range => range.end)));
+
+  // One running total per rule, counting only deliveries in that rule's category and period.
+  // Returned quantities do not count. Exchanged ones still do, on the original
+  // delivery, and replacements do not, so an exchange leaves every period's
+  // allowance as it was.
+  const totals = {};
+  rules.forEach((rule, index) => {
+    totals[`rule${index}`] = {
+      $sum: {
+        $cond: [
+          {
+            $and: [
+              { $in: ['$item.category', covered[index]] },
+              { $gte: ['$deliveryDate', ranges[index].start] },
+              { $lt: ['$deliveryDate', ranges[index].end] }
+            ]
+          },
+          {
+            $add: [
+              { $subtract: ['$quantityDelivered', { $ifNull: ['$quantityReturned', 0] }] },
+              { $ifNull: ['$quantityExchanged', 0] }
+            ]
+          },
+          0
+        ]
+      }
+    };
+  });
+
+  const usage = await Delivery.aggregate([
+    {
+      $match: {
+        customer: { $in: customers.map(customer => customer._id) },
+        deliveryDate: { $gte: since, $lt: until },
+        exchangeFor: null
+      }
+    },
+    { $lookup: { from: 'inventories', localField: 'inventoryItem', foreignField: '_id', as: 'item' } },
+    { $unwind: '$item' },
+    { $group: { _id: '$customer', ...totals } }
+  ]).session(session);
+
+  customers.forEach(customer => {
+    const customerId = customer._id.toString();
+    const customerUsage = usage.find(entry => entry._id.toString() === customerId) || {};
+
+    rules.forEach((rule, index) => {
+      if (rule.group !== customer.group) return;
+
+      const used = customerUsage[`rule${index}`] || 0;
+      allowances.get(customerId).push({
+        category: rule.category,
+        categories: covered[index],
+        period: rule.period,
+        periodStart: ranges[index].start,
+        periodEnd: ranges[index].end,
+        allowed: rule.quantity,
+        used,
+        remaining: Math.max(rule.quantity - used, 0)
+      });
+    });
+  });
+
+  return allowances;
+};
+
+/**
+ * Allowance and usage for one customer
+ * @param {Object} customer - Customer document
+ * @param {Date} [date] - Date whose periods to report (defaults to now)
+ * @returns {Promise<Array>} Same entries as getAllowancesFor
+ */
+const getAllowances = async (customer, date = new Date()) => {
+  const allowances = await getAllowancesFor([customer], date);
+  return allowances.get(customer._id.toString());
+};
+
+/**
+ * Find the categories a cart would take over the customer's allowance. Inside
+ * runAtomically, claim the customer's usage with claimEntitlements first.
+ * @param {Object} customer - Customer document
+ * @param {Array} lines - Cart lines with inventoryId and quantity
+ * @param {Object} [options] - { session } when called inside runAtomically, and
+ *   the date whose periods to check, e.g. that of a delivery being edited (defaults to now)
+ * @returns {Promise<Array>} { category, period, allowed, used, requested } per exceeded category
+ */
+const checkEntitlements = async (customer, lines, { session = null, date = new Date() } = {}) => {
+  const allowances = (await getAllowancesFor([customer], date, { session })).get(customer._id.toString());
+  if (allowances.length === 0) return [];
+
+  const items = await Inventory.find({ _id: { $in: lines.map(line => line.inventoryId) } }).select('category').session(session);
+  const requestedIn = (categories) => lines.reduce((sum, line) => {
+    const item = items.find(i => i._id.equals(line.inventoryId));
+    return item && categories.includes(item.category) ? sum + line.quantity : sum;
+  }, 0);
+
+  return allowances
+    .map(allowance => ({ allowance, requested: requestedIn(allowance.categories) }))
+    .filter(({ allowance, requested }) => requested > allowance.remaining)
+    .map(({ allowance, requested }) => ({
+      category: allowance.category,
+      period: allowance.period,
+      allowed: allowance.allowed,
+      used: allowance.used,
+      requested
+    }));
+};
+
+/**
+ * Hold a customer's allowances while a cart for them is checked and recorded,
+ * so two carts at once cannot both fit in what is left. In a transaction the
+ * write makes a second cart wait and retry; on a standalone server the claim
+ * is waited for. Release it with releaseEntitlements once the cart is saved;
+ * if the work fails, the transaction or its rollback drops the claim.
+ * @param {Object} customer - Customer document
+ * @param {Object} tx - { session, onRollback } from runAtomically
+ * @returns {Promise<void>}
+ * @throws {Error} With entitlementBusy set when another cart keeps the claim
+ */
+const claimEntitlements = async (customer, { session, onRollback }) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const claimedAt = new Date();
+    const claimed = await Customer.findOneAndUpdate(
+      {
+        _id: customer._id,
+        $or: [
+          { entitlementClaimedAt: null },
+          { entitlementClaimedAt: { $lt: new Date(claimedAt - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { entitlementClaimedAt: claimedAt },
+      { session }
+    );
+    if (claimed) {
+      onRollback(() => Customer.updateOne({ _id: customer._id, entitlementClaimedAt: claimedAt }, { $unset: { entitlementClaimedAt: 1 } }));
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  const error = new Error(`Another delivery for ${customer.name} is being recorded, please try again`);
+  error.entitlementBusy = true;
+  throw error;
+};
+
+/**
+ * Drop the claim taken with claimEntitlements
+ * @param {Object} customer - Customer document
+ * @param {Object} [options] - { session } when called inside runAtomically
+ * @returns {Promise<void>}
+ */
+const releaseEntitlements = async (customer, { session = null } = {}) => {
+  await Customer.updateOne({ _id: customer._id }, { $unset: { entitlementClaimedAt: 1 } }, { session });
+};
+
+/**
+ * Describe exceeded entitlements for an error message
+ * @param {Array} exceeded - Result of checkEntitlements
+ * @returns {string} e.g. "Jacket: 1 per year, 1 used, 1 requested"
+ */
+const describeExceeded = (exceeded) => {
+  return exceeded
+    .map(entry => `${entry.category}: ${entry.allowed} per ${entry.period}, ${entry.used} used, ${entry.requested} requested`)
+    .join('; ');
+};
+
+module.exports = {
+  periodRange,
+  getAllowancesFor,
+  getAllowances,
+  checkEntitlements,
+  claimEntitlements,
+  releaseEntitlements,
+  describeExceeded
+};
@@ -93,6 +93,27 @@ const formatRupees = (amount) => {
   return `Rs ${formatCurrency(amount)}`;
 };
 
+/**
+ * Amount charged for a line: quantity at the unit price, less the discount,
+ * plus tax, rounded to paise
+ * @param {number} quantity - Units
+ * @param {Object} prices - { unitPrice, discountRate, taxRate }, rates in percent
+ * @returns {number}
+ */
+const lineAmount = (quantity, { unitPrice = 0, discountRate = 0, taxRate = 0 } = {}) => {
+  const amount = quantity * (unitPrice || 0) * (1 - (discountRate || 0) / 100) * (1 + (taxRate || 0) / 100);
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Escape user input for use inside a RegExp
+ * @param {string} text - Raw search text
+ * @returns {string} Text with regex special characters escaped
+ */
+const escapeRegex = (text) => {
+  return String(text || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 module.exports = {
   flashMessages,
   getTodayRange,
@@ -101,5 +122,7 @@ module.exports = {
   filterValidPopulated,
   getTotalFromAggregate,
   formatCurrency,
-  formatRupees
+  formatRupees,
+  lineAmount,
+  escapeRegex
 };
@@ -0,0 +1,263 @@
+// ==========================================================
+// Inventory Import
+// Reads a spreadsheet of items, works out which rows create or
+// top up an item, and applies the plan once it has been reviewed
+// ==========================================================
+
+const XLSX = require('xlsx');
+const Inventory = require('../models/Inventory');
+const Kit = require('../models/Kit');
+const StockMovement = require('../models/StockMovement');
+const { recordMovement, adjustStock, revertStock } = require('./stockLedger');
+const { runAtomically } = require('./transaction');
+const { generateBarcode, hasWrongCheckDigit } = require('./barcode');
+const { categoryNames } = require('./categories');
+const { findOrCreateStyle } = require('./styles');
+const { resolveLocation, openingStock } = require('./locations');
+const { recordPriceChange } = require('./prices');
+const { addCost } = require('./costing');
+
+// Largest sheet accepted in one upload
+const MAX_ROWS = 1000;
+
+// Accepted header spellings, compared without case, spaces or punctuation
+const COLUMNS = {
+  itemname: 'itemName',
+  name: 'itemName',
+  item: 'itemName',
+  category: 'category',
+  size: 'size',
+  color: 'color',
+  colour: 'color',
+  quantity: 'quantity',
+  qty: 'quantity',
+  price: 'price',
+  unitprice: 'price',
+  cost: 'unitCost',
+  unitcost: 'unitCost',
+  costprice: 'unitCost',
+  barcode: 'barcode',
+  description: 'description'
+};
+
+// Columns of the downloadable template, in order
+const TEMPLATE_HEADERS = ['itemName', 'category', 'size', 'color', 'quantity', 'price', 'unitCost', 'barcode', 'description'];
+
+// Same key /inventory/add uses to decide between creating and topping up
+const itemKey = ({ itemName, category, size, color }) => [itemName, category, size, color].join('\u0000');
+
+const cellText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * Read the first sheet of an uploaded .xlsx, .xls or .csv file
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Array<Object>} Rows with known columns as strings, plus rowNumber as shown in the sheet
+ */
+const readImportFile = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+
+  return XLSX.utils.sheet_to_json(sheet, { defval: '' })
+    .map(raw => {
+      const row = { rowNumber: raw.__rowNum__ + 1 };
+      Object.keys(raw).forEach(header => {
+        const field = COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')];
+        if (field && !row[field]) row[field] = cellText(raw[header]);
+      });
+      return row;
+    })
+    .filter(row => TEMPLATE_HEADERS.some(field => row[field]));
+};
+
+/**
+ * Dry run: check every row and decide what committing it would do.
+ * Nothing is written.
+ * @param {Array<Object>} rows - Rows from readImportFile
+ * @returns {Promise<Object>} { lines, summary } where each line has action
+ *   create, update, unchanged or error, and summary counts each action
+ */
+const planImport = async (rows) => {
+  const categories = await categoryNames();
+
+  const names = [...new Set(rows.map(row => row.itemName).filter(Boolean))];
+  const barcodes = [...new Set(rows.map(row => row.barcode).filter(Boolean))];
+  const existing = await Inventory.find({
+    $or: [{ itemName: { $in: names } }, { barcode: { $in: barcodes } }, { 'aliases.barcode': { $in: barcodes } }]
+  });
+  const byKey = new Map(existing.map(item => [itemKey(item), item]));
+  // Alias barcodes are taken just like primary ones
+  const byBarcode = new Map(existing.flatMap(item => [
+    [item.barcode, item],
+    ...item.aliases.map(alias => [alias.barcode, item])
+  ]));
+  const kitBarcodes = new Map((await Kit.find({ barcode: { $in: barcodes } }).select('name barcode')).map(kit => [kit.barcode, kit]));
+
+  const seenKeys = new Map();
+  const seenBarcodes = new Map();
+
+  const lines = rows.map(row => {
+    const errors = [];
+    const line = {
+      rowNumber: row.rowNumber,
+      itemName: row.itemName || '',
+      category: row.category || '',
+      size: row.size || '',
+      color: row.color || '',
+      barcode: row.barcode || '',
+      description: row.description || '',
+      quantity: 0,
+      price: null,
+      unitCost: null
+    };
+
+    ['itemName', 'category', 'size', 'color'].forEach(field => {
+      if (!line[field]) errors.push(`${field} is required`);
+    });
+
+    if (line.category) {
+      const category = categories.find(c => c.toLowerCase() === line.category.toLowerCase());
+      if (category) line.category = category;
+      else errors.push(`Unknown category "${line.category}" (use ${categories.join(', ')})`);
+    }
+
+    if (row.quantity) {
+      line.quantity = Number(row.quantity);
+      if (!Number.isInteger(line.quantity) || line.quantity < 0) errors.push('quantity must be a whole number of 0 or more');
+    }
+
+    if (row.price) {
+      line.price = Number(row.price);
+      if (!(line.price >= 0)) errors.push('price must be a number of 0 or more');
+    }
+
+    if (row.unitCost) {
+      line.unitCost = Number(row.unitCost);
+      if (!(line.unitCost >= 0)) errors.push('unitCost must be a number of 0 or more');
+    }
+
+    const key = itemKey(line);
+    const item = errors.length === 0 ? byKey.get(key) : null;
+
+    if (errors.length === 0) {
+      if (seenKeys.has(key)) errors.push(`Same item as row ${seenKeys.get(key)}`);
+      else seenKeys.set(key, row.rowNumber);
+    }
+
+    if (line.barcode) {
+      const owner = byBarcode.get(line.barcode);
+      // Codes on file may be from before the GS1 scheme and keep their own check digit
+      if (!owner && !kitBarcodes.has(line.barcode) && hasWrongCheckDigit(line.barcode)) {
+        errors.push(`Check digit of barcode ${line.barcode} is wrong`);
+      } else if (seenBarcodes.has(line.barcode)) {
+        errors.push(`Barcode also used on row ${seenBarcodes.get(line.barcode)}`);
+      } else if (owner && (!item || !owner._id.equals(item._id))) {
+        errors.push(`Barcode already belongs to ${owner.itemName} (${owner.size}, ${owner.color})`);
+      } else if (kitBarcodes.has(line.barcode)) {
+        errors.push(`Barcode already belongs to kit ${kitBarcodes.get(line.barcode).name}`);
+      }
+      seenBarcodes.set(line.barcode, row.rowNumber);
+    }
+
+    if (item) {
+      if (line.barcode && byBarcode.get(line.barcode) !== item) {
+        errors.push(`Item already exists with barcode ${item.barcode}`);
+      }
+      line.itemId = item._id;
+      line.currentQuantity = item.quantity;
+      line.currentPrice = item.price;
+      line.barcode = item.barcode;
+    } else if (line.price === null && errors.length === 0) {
+      errors.push('price is required for a new item');
+    }
+
+    line.errors = errors;
+    if (errors.length > 0) line.action = 'error';
+    else if (!item) line.action = 'create';
+    else if (line.quantity > 0 || (line.price !== null && line.price !== item.price)) line.action = 'update';
+    else line.action = 'unchanged';
+
+    return line;
+  });
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  lines.forEach(line => summary[line.action]++);
+
+  return { lines, summary };
+};
+
+/**
+ * Apply the create and update lines of a plan as one unit. New items keep
+ * the barcode from the sheet or get a generated one; existing items have
+ * the quantity added as a receipt and take the new price if one was given.
+ * Stock is costed at the row's unit cost, or else the item's average cost.
+ * All stock goes to the default location.
+ * @param {Array<Object>} lines - Lines from planImport, without errors
+ * @param {string} userId - Admin running the import
+ * @returns {Promise<Object>} { created, updated }
+ */
+const applyImport = (lines, userId) => runAtomically(async ({ session, onRollback }) => {
+  const reserved = new Set(lines.map(line => line.barcode).filter(Boolean));
+  const location = await resolveLocation();
+  const entry = { reason: 'receipt', userId, location, sourceModel: 'Inventory', notes: 'Bulk import', session };
+  const startedAt = new Date();
+  let created = 0;
+  let updated = 0;
+
+  for (const line of lines) {
+    if (line.action === 'create') {
+      let barcode = line.barcode;
+      if (!barcode) {
+        barcode = await generateBarcode(reserved);
+        reserved.add(barcode);
+      }
+
+      const style = await findOrCreateStyle(line, { session, onRollback });
+      const item = new Inventory({
+        style: style._id,
+        itemName: line.itemName,
+        category: line.category,
+        size: line.size,
+        color: line.color,
+        barcode,
+        quantity: line.quantity,
+        stock: openingStock(line.quantity, location),
+        price: line.price,
+        averageCost: line.unitCost || 0,
+        description: line.description || undefined
+      });
+      await item.save({ session });
+      onRollback(() => Inventory.deleteOne({ _id: item._id }));
+
+      if (line.quantity > 0) {
+        const movement = await recordMovement({ item, delta: line.quantity, sourceDocument: item._id, ...entry });
+        onRollback(() => StockMovement.deleteOne({ _id: movement._id }));
+      }
+      created++;
+    } else if (line.action === 'update') {
+      if (line.price !== null && line.price !== line.currentPrice) {
+        const item = await Inventory.findById(line.itemId).select('price priceHistory createdAt').session(session);
+        await recordPriceChange([item], line.price, { userId, session, onRollback });
+        await Inventory.updateOne({ _id: line.itemId }, { price: line.price }, { session });
+        onRollback(() => Inventory.updateOne({ _id: line.itemId }, { price: line.currentPrice }));
+      }
+      if (line.quantity > 0) {
+        await adjustStock({ itemId: line.itemId, delta: line.quantity, sourceDocument: line.itemId, ...entry });
+        onRollback(() => revertStock({ itemId: line.itemId, delta: line.quantity, location }));
+        await addCost(line.itemId, line.quantity, line.unitCost, { session, onRollback });
+        onRollback(() => StockMovement.deleteMany({ inventoryItem: line.itemId, notes: entry.notes, createdAt: { $gte: startedAt } }));
+      }
+      updated++;
+    }
+  }
+
+  return { created, updated };
+});
+
+module.exports = {
+  MAX_ROWS,
+  TEMPLATE_HEADERS,
+  readImportFile,
+  planImport,
+  applyImport
+};
@@ -0,0 +1,209 @@
+// ==========================================================
+// Kits
+// Sets of items issued under one barcode: the components
+// entered on the kit form, and the stock a kit can be
+// issued from, which is that of its components
+// ==========================================================
+
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Kit = require('../models/Kit');
+const { checkScan, findByBarcode } = require('./barcode');
+const { listCategories, DEFAULT_SIZES } = require('./categories');
+const { quantityAt } = require('./locations');
+
+// Form values arrive as a string for one row and an array for several
+const asList = (value) => (Array.isArray(value) ? value : value === undefined ? [] : [value]);
+
+/**
+ * Rows of the kit form, leaving out rows without a barcode
+ * @param {Object} body - Form body with barcode, quantity and sizing lists
+ * @returns {Array<Object>} { barcode, quantity, sizing } as typed in; sizing is
+ *   fixed, or issue when the size is chosen at issue time
+ */
+const kitFormRows = (body) => {
+  const quantities = asList(body.quantity);
+  const sizings = asList(body.sizing);
+
+  return asList(body.barcode)
+    .map((barcode, i) => ({
+      barcode: String(barcode || '').trim(),
+      quantity: quantities[i] || '',
+      sizing: sizings[i] === 'issue' ? 'issue' : 'fixed'
+    }))
+    .filter(row => row.barcode);
+};
+
+/**
+ * Build kit components from the rows of the kit form. A row whose size is
+ * chosen at issue takes the style and color of the scanned item.
+ * @param {Array<Object>} rows - From kitFormRows
+ * @returns {Promise<Object>} { components, problems } - components ready for
+ *   Kit.components and a message for each row that could not be used
+ */
+const parseKitComponents = async (rows) => {
+  const components = [];
+  const problems = [];
+
+  for (const [i, row] of rows.entries()) {
+    const { barcode, error: scanError } = await checkScan(row.barcode);
+    const quantity = parseInt(row.quantity);
+
+    if (scanError) {
+      problems.push(`Line ${i + 1}: ${scanError}`);
+      continue;
+    }
+    const { item } = await findByBarcode(barcode);
+    if (!item) {
+      problems.push(`Line ${i + 1}: no item with barcode ${barcode}`);
+      continue;
+    }
+    if (!(quantity > 0)) {
+      problems.push(`Line ${i + 1}: ${item.itemName} needs a quantity of 1 or more`);
+      continue;
+    }
+
+    if (row.sizing === 'issue') {
+      if (!item.style) {
+        problems.push(`Line ${i + 1}: ${item.itemName} is not part of a style, so its size cannot be chosen at issue`);
+        continue;
+      }
+      if (components.some(component => component.style && component.style.equals(item.style) && component.color === item.color)) {
+        problems.push(`Line ${i + 1}: ${item.itemName} in ${item.color} is already in the kit`);
+        continue;
+      }
+      components.push({ style: item.style, color: item.color, quantity });
+    } else {
+      if (components.some(component => component.inventoryItem && component.inventoryItem.equals(item._id))) {
+        problems.push(`Line ${i + 1}: ${item.itemName} (${item.barcode}) is already in the kit`);
+        continue;
+      }
+      components.push({ inventoryItem: item._id, quantity });
+    }
+  }
+
+  return { components, problems };
+};
+
+/**
+ * The items each component of some kits can be issued from, and how many of
+ * each kit the stock allows. A component whose size is chosen at issue can be
+ * any size of its style in its color, so all of their stock counts.
+ * @param {Array<Object>} kits - Kit documents
+ * @param {ObjectId} [location] - Location the stock is taken from; empty for company-wide stock
+ * @returns {Promise<Array>} Per kit, in order: { kit, parts, available } where each
+ *   part is { component, label, sizeAtIssue, quantity, options, available } and
+ *   options are { item, available } sorted by size
+ */
+const kitParts = async (kits, location = null) => {
+  const components = kits.flatMap(kit => kit.components);
+  const items = await Inventory.find({
+    $or: [
+      { _id: { $in: components.filter(component => component.inventoryItem).map(component => component.inventoryItem) } },
+      { style: { $in: components.filter(component => component.style).map(component => component.style) } }
+    ]
+  });
+
+  // Sizes in the order of the item's category
+  const sizesOf = new Map((await listCategories()).map(category => [category.name, category.effectiveSizes]));
+  const sizeRank = (item) => {
+    const rank = (sizesOf.get(item.category) || DEFAULT_SIZES).indexOf(item.size);
+    return rank === -1 ? Infinity : rank;
+  };
+
+  return kits.map(kit => {
+    const parts = kit.components.map(component => {
+      const sizeAtIssue = Boolean(component.style);
+      const matching = sizeAtIssue
+        ? items.filter(item => item.style && item.style.equals(component.style) && item.color === component.color)
+        : items.filter(item => item._id.equals(component.inventoryItem));
+      const options = matching
+        .sort((a, b) => sizeRank(a) - sizeRank(b) || a.size.localeCompare(b.size))
+        .map(item => ({ item, available: quantityAt(item, location) }));
+
+      const first = matching[0];
+      const label = !first
+        ? 'Item no longer in inventory'
+        : sizeAtIssue ? `${first.itemName} (${component.color}, size at issue)` : `${first.itemName} (${first.size}, ${first.color})`;
+
+      return {
+        component,
+        label,
+        sizeAtIssue,
+        quantity: component.quantity,
+        options,
+        available: options.reduce((sum, option) => sum + Math.max(option.available, 0), 0)
+      };
+    });
+
+    const available = parts.length > 0
+      ? Math.min(...parts.map(part => Math.floor(part.available / part.quantity)))
+      : 0;
+    return { kit, parts, available };
+  });
+};
+
+/**
+ * Check that the kits of a cart go out complete: each kit must hold exactly
+ * the quantity of every one of its components, and the units the kits take
+ * must be in the cart
+ * @param {Array<Object>} kits - { kitId, items } per kit in the cart, items
+ *   being the { inventoryId, quantity } the kit put in the cart
+ * @param {Array<Object>} lines - Cart lines with inventoryId and quantity
+ * @param {Object} [options] - { session } when called inside runAtomically
+ * @returns {Promise<Array<string>>} A message per incomplete kit, empty when all are complete
+ */
+const incompleteKits = async (kits, lines, { session = null } = {}) => {
+  if (kits.length === 0) return [];
+
+  const given = kits.map(entry => (Array.isArray(entry.items) ? entry.items : [])
+    .filter(item => mongoose.isValidObjectId(item.inventoryId))
+    .map(item => ({ inventoryId: String(item.inventoryId), quantity: parseInt(item.quantity) || 0 })));
+  const found = await Kit.find({ _id: { $in: kits.map(entry => entry.kitId).filter(id => mongoose.isValidObjectId(id)) } }).session(session);
+  const items = await Inventory.find({ _id: { $in: given.flat().map(item => item.inventoryId) } })
+    .select('style color')
+    .session(session);
+
+  const problems = [];
+  const taken = new Map();
+  kits.forEach((entry, i) => {
+    const kit = found.find(k => mongoose.isValidObjectId(entry.kitId) && k._id.equals(entry.kitId));
+    if (!kit) {
+      problems.push('A kit in the cart no longer exists');
+      return;
+    }
+
+    // Units the kit holds of each item; every component must use up its own
+    const left = new Map();
+    given[i].forEach(({ inventoryId, quantity }) => left.set(inventoryId, (left.get(inventoryId) || 0) + quantity));
+    given[i].forEach(({ inventoryId, quantity }) => taken.set(inventoryId, (taken.get(inventoryId) || 0) + quantity));
+    const complete = kit.components.every(component => {
+      const matching = [...left.keys()].filter(id => {
+        if (!component.style) return component.inventoryItem.equals(id);
+        const item = items.find(candidate => candidate._id.equals(id));
+        return Boolean(item && item.style && item.style.equals(component.style) && item.color === component.color);
+      });
+      const units = matching.reduce((sum, id) => sum + left.get(id), 0);
+      matching.forEach(id => left.delete(id));
+      return units === component.quantity;
+    });
+    if (!complete || left.size > 0) {
+      problems.push(`${kit.name} does not hold every one of its components; kits are issued complete`);
+    }
+  });
+
+  // Units a kit holds that the cart does not
+  const short = [...taken].some(([id, units]) => lines
+    .filter(line => String(line.inventoryId) === id)
+    .reduce((sum, line) => sum + line.quantity, 0) < units);
+  if (short) problems.push('Parts of the kits in the cart were taken out of it');
+
+  return problems;
+};
+
+module.exports = {
+  kitFormRows,
+  parseKitComponents,
+  kitParts,
+  incompleteKits
+};
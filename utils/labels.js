@@ -0,0 +1,128 @@
+// ==========================================================
+// Label Sheets
+// PDF pages of item labels laid out for standard sticker
+// stock, one label per copy of each item
+// ==========================================================
+
+const PDFDocument = require('pdfkit');
+const { generateBarcodeImage } = require('./barcode');
+const { formatRupees } = require('./helpers');
+
+const mm = (value) => value * 72 / 25.4;
+const inch = (value) => value * 72;
+
+// Sheets the labels can be printed on: page size, grid, label size and the
+// margins and gaps around the labels, in points
+const LABEL_LAYOUTS = {
+  'a4-3x8': { name: 'A4 3 × 8 (24 per sheet, 63.5 × 33.9 mm)', size: 'A4', columns: 3, rows: 8, width: mm(63.5), height: mm(33.9), left: mm(7.2), top: mm(12.9), columnGap: mm(2.5) },
+  'a4-4x10': { name: 'A4 4 × 10 (40 per sheet, 45.7 × 25.4 mm)', size: 'A4', columns: 4, rows: 10, width: mm(45.7), height: mm(25.4), left: mm(9.7), top: mm(21.5), columnGap: mm(2.6) },
+  'a4-2x7': { name: 'A4 2 × 7 (14 per sheet, 99.1 × 38.1 mm)', size: 'A4', columns: 2, rows: 7, width: mm(99.1), height: mm(38.1), left: mm(4.65), top: mm(15.15), columnGap: mm(2.5) },
+  'letter-3x10': { name: 'Letter 3 × 10 (30 per sheet, 2.625 × 1 in)', size: 'LETTER', columns: 3, rows: 10, width: inch(2.625), height: inch(1), left: inch(0.1875), top: inch(0.5), columnGap: inch(0.125) },
+  'letter-2x10': { name: 'Letter 2 × 10 (20 per sheet, 4 × 1 in)', size: 'LETTER', columns: 2, rows: 10, width: inch(4), height: inch(1), left: inch(0.15625), top: inch(0.5), columnGap: inch(0.1875) },
+  'letter-2x5': { name: 'Letter 2 × 5 (10 per sheet, 4 × 2 in)', size: 'LETTER', columns: 2, rows: 5, width: inch(4), height: inch(2), left: inch(0.15625), top: inch(0.5), columnGap: inch(0.1875) }
+};
+
+// Fields that can be printed above and below the barcode
+const LABEL_FIELDS = {
+  name: 'Item name',
+  size: 'Size',
+  color: 'Color',
+  price: 'Price',
+  barcode: 'Barcode text'
+};
+
+// More labels than this in one run is almost certainly a mistake
+const MAX_LABELS = 2000;
+
+/**
+ * Draw one label inside its cell
+ * @param {PDFDocument} doc - Document being built
+ * @param {Object} item - Inventory item
+ * @param {Buffer} barcodePng - Barcode image for the item
+ * @param {number} x - Left edge of the label
+ * @param {number} y - Top edge of the label
+ * @param {Object} layout - From LABEL_LAYOUTS
+ * @param {Object} fields - Field keys of LABEL_FIELDS set to true to print
+ */
+const drawLabel = (doc, item, barcodePng, x, y, layout, fields) => {
+  const padding = Math.min(6, layout.height * 0.08);
+  const fontSize = layout.height < 80 ? 6.5 : 8;
+  const lineHeight = fontSize * 1.25;
+  const width = layout.width - padding * 2;
+  const bottom = y + layout.height - padding;
+  let top = y + padding;
+
+  const line = (text, font, at) => {
+    doc.font(font).fontSize(fontSize)
+      .text(text, x + padding, at, { width, height: lineHeight, align: 'center', ellipsis: true });
+  };
+
+  if (fields.name) {
+    line(item.itemName, 'Helvetica-Bold', top);
+    top += lineHeight;
+  }
+  const details = [
+    fields.size && `Size ${item.size}`,
+    fields.color && item.color,
+    fields.price && formatRupees(item.price)
+  ].filter(Boolean).join('  ·  ');
+  if (details) {
+    line(details, 'Helvetica', top);
+    top += lineHeight;
+  }
+
+  const textBelow = fields.barcode ? lineHeight : 0;
+  doc.image(barcodePng, x + padding, top + 1, {
+    fit: [width, Math.max(bottom - textBelow - top - 2, 10)],
+    align: 'center',
+    valign: 'center'
+  });
+  if (fields.barcode) line(item.barcode, 'Helvetica', bottom - lineHeight);
+};
+
+/**
+ * Build a PDF of label sheets
+ * @param {Array<Object>} labels - Inventory item per label, repeated for each copy
+ * @param {Object} options
+ * @param {string} options.layout - Key of LABEL_LAYOUTS
+ * @param {number} [options.offset] - Labels already used on the first sheet
+ * @param {Object} options.fields - Field keys of LABEL_FIELDS set to true to print
+ * @returns {Promise<Buffer>} PDF file
+ */
+const buildLabelSheetPdf = async (labels, { layout: layoutKey, offset = 0, fields }) => {
+  const layout = LABEL_LAYOUTS[layoutKey];
+  const perSheet = layout.columns * layout.rows;
+
+  // One image per item, however many copies it gets
+  const images = new Map();
+  for (const item of labels) {
+    if (!images.has(item.barcode)) images.set(item.barcode, await generateBarcodeImage(item.barcode));
+  }
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: layout.size, margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    labels.forEach((item, i) => {
+      const position = offset + i;
+      const slot = position % perSheet;
+      if (i === 0 || slot === 0) doc.addPage();
+
+      const x = layout.left + (slot % layout.columns) * (layout.width + layout.columnGap);
+      const y = layout.top + Math.floor(slot / layout.columns) * layout.height;
+      drawLabel(doc, item, images.get(item.barcode), x, y, layout, fields);
+    });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  LABEL_LAYOUTS,
+  LABEL_FIELDS,
+  MAX_LABELS,
+  buildLabelSheetPdf
+};
@@ -0,0 +1,127 @@
+// ==========================================================
+// Locations
+// Where stock is held. Inventory.quantity stays the company-wide
+// total and Inventory.stock holds the level at each location.
+// ==========================================================
+
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Location = require('../models/Location');
+
+/**
+ * Locations for select boxes, default first, then by name
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly] - Leave out inactive locations
+ * @returns {Promise<Array>} Plain location objects
+ */
+const listLocations = ({ activeOnly = false } = {}) => Location
+  .find(activeOnly ? { isActive: true } : {})
+  .sort({ isDefault: -1, name: 1 })
+  .lean();
+
+/**
+ * ID of the location a stock change applies to
+ * @param {string} [locationId] - Location chosen by the user, empty for the default
+ * @returns {Promise<ObjectId|null>} The chosen or default location, or null when
+ *   no locations have been set up and stock is only kept as one total
+ * @throws {Error} With unknownLocation set when the chosen location does not exist
+ */
+const resolveLocation = async (locationId) => {
+  if (locationId) {
+    const location = mongoose.isValidObjectId(locationId)
+      ? await Location.findById(locationId).select('_id').lean()
+      : null;
+    if (!location) {
+      const error = new Error('Unknown location');
+      error.unknownLocation = true;
+      throw error;
+    }
+    return location._id;
+  }
+
+  const fallback = await Location.findOne({ isDefault: true }).select('_id').lean();
+  return fallback ? fallback._id : null;
+};
+
+/**
+ * Stock of an item at one location
+ * @param {Object} item - Inventory item
+ * @param {ObjectId|Object|null} location - Location or its ID, or null for the company-wide total
+ * @returns {number}
+ */
+const quantityAt = (item, location) => {
+  if (!location) return item.quantity;
+  const id = (location._id || location).toString();
+  const line = (item.stock || []).find(entry => entry.location && entry.location.toString() === id);
+  return line ? line.quantity : 0;
+};
+
+/**
+ * Stock lines for a new item holding its whole quantity at one location
+ * @param {number} quantity - Opening quantity
+ * @param {ObjectId|null} locationId - From resolveLocation
+ * @returns {Array<Object>}
+ */
+const openingStock = (quantity, locationId) => (locationId && quantity > 0 ? [{ location: locationId, quantity }] : []);
+
+/**
+ * Aggregation stages limiting Inventory to the items held at a location, with
+ * quantity replaced by the stock there, so quantity filters such as
+ * lowStockFilter can run on it in a $match
+ * @param {ObjectId|null} locationId - Location, or null to keep company-wide totals
+ * @returns {Array<Object>} Pipeline stages (none when locationId is empty)
+ */
+const stockAtLocationStages = (locationId) => {
+  if (!locationId) return [];
+  return [
+    { $match: { 'stock.location': locationId } },
+    {
+      $addFields: {
+        quantity: {
+          $sum: {
+            $map: {
+              input: { $filter: { input: '$stock', as: 'line', cond: { $eq: ['$$line.location', locationId] } } },
+              as: 'line',
+              in: '$$line.quantity'
+            }
+          }
+        }
+      }
+    }
+  ];
+};
+
+/**
+ * Put stock that is not held at any location yet (an item's quantity beyond
+ * the sum of its stock lines, e.g. from before locations were set up) at a location
+ * @param {ObjectId} locationId - Usually the default location
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would move
+ * @returns {Promise<Array>} { item, quantity } for each item that was topped up
+ */
+const assignUnlocatedStock = async (locationId, { dryRun = false } = {}) => {
+  const items = await Inventory.find({ $expr: { $gt: ['$quantity', { $sum: '$stock.quantity' }] } })
+    .select('itemName size color quantity stock');
+  const moves = items.map(item => ({
+    item,
+    quantity: item.quantity - item.stock.reduce((sum, line) => sum + line.quantity, 0)
+  }));
+
+  if (!dryRun && moves.length > 0) {
+    await Inventory.bulkWrite(moves.map(({ item, quantity }) => (
+      item.stock.some(line => line.location.equals(locationId))
+        ? { updateOne: { filter: { _id: item._id, 'stock.location': locationId }, update: { $inc: { 'stock.$.quantity': quantity } } } }
+        : { updateOne: { filter: { _id: item._id }, update: { $push: { stock: { location: locationId, quantity } } } } }
+    )));
+  }
+  return moves;
+};
+
+module.exports = {
+  listLocations,
+  resolveLocation,
+  quantityAt,
+  openingStock,
+  stockAtLocationStages,
+  assignUnlocatedStock
+};
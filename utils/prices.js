@@ -0,0 +1,86 @@
+// ==========================================================
+// Prices
+// Price history of items, and the prices deliveries are
+// charged at so later price changes leave old totals alone
+// ==========================================================
+
+const Inventory = require('../models/Inventory');
+const { lineAmount } = require('./helpers');
+
+/**
+ * Tax added to deliveries, from config.env
+ *   DELIVERY_TAX_RATE  Percent added to delivered lines (default 0, no tax)
+ * @returns {number} Rate in percent
+ */
+const deliveryTaxRate = () => {
+  const rate = parseFloat(process.env.DELIVERY_TAX_RATE);
+  return rate > 0 ? rate : 0;
+};
+
+/**
+ * Selling price of an item on a date, from its price history. Dates before
+ * the history starts get the earliest known price; items without a history
+ * get their current price.
+ * @param {Object} item - Inventory item with price and priceHistory
+ * @param {Date} date - Date the price applied on
+ * @returns {number}
+ */
+const priceAt = (item, date) => {
+  const history = [...(item.priceHistory || [])].sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+  if (history.length === 0) return item.price;
+  const at = new Date(date);
+  const entry = history.filter(change => change.effectiveFrom <= at).pop() || history[0];
+  return entry.price;
+};
+
+/**
+ * Add a new price to the history of the items it changes. Call it with the
+ * items as they were before the change. An item from before price history was
+ * kept first gets its old price, effective from when it was added.
+ * @param {Array<Object>} items - Items with price, priceHistory and createdAt
+ * @param {number} price - New price
+ * @param {Object} [options] - { userId } of the user changing the price, and
+ *   { session, onRollback } when called inside runAtomically
+ * @returns {Promise<number>} Number of items whose price changed
+ */
+const recordPriceChange = async (items, price, { userId, session = null, onRollback = () => {} } = {}) => {
+  const changed = items.filter(item => item.price !== price);
+  if (changed.length === 0) return 0;
+
+  const effectiveFrom = new Date();
+  await Inventory.bulkWrite(changed.map(item => {
+    const entries = (item.priceHistory || []).length === 0
+      ? [{ price: item.price, effectiveFrom: item.createdAt || effectiveFrom }]
+      : [];
+    entries.push({ price, effectiveFrom, changedBy: userId });
+    return { updateOne: { filter: { _id: item._id }, update: { $push: { priceHistory: { $each: entries } } } } };
+  }), { session });
+  onRollback(() => Inventory.updateMany(
+    { _id: { $in: changed.map(item => item._id) } },
+    { $pull: { priceHistory: { effectiveFrom } } }
+  ));
+  return changed.length;
+};
+
+/**
+ * Unit price, discount and tax of a delivery line as charged. Deliveries from
+ * before prices were stored on them fall back to the item's price history.
+ * @param {Object} delivery - Delivery with inventoryItem populated (price, priceHistory)
+ * @returns {Object} { unitPrice, discountRate, taxRate, amount }
+ */
+const deliveryPrices = (delivery) => {
+  const item = delivery.inventoryItem;
+  const prices = {
+    unitPrice: delivery.unitPrice != null ? delivery.unitPrice : item ? priceAt(item, delivery.deliveryDate) : 0,
+    discountRate: delivery.discountRate || 0,
+    taxRate: delivery.taxRate || 0
+  };
+  return { ...prices, amount: lineAmount(delivery.quantityDelivered, prices) };
+};
+
+module.exports = {
+  deliveryTaxRate,
+  priceAt,
+  recordPriceChange,
+  deliveryPrices
+};
@@ -0,0 +1,262 @@
+// ==========================================================
+// Purchase Order Documents
+// PDF and Word copies of a purchase order to send to the supplier
+// ==========================================================
+
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const { Document, Packer, Paragraph, TextRun, Table, TableCell, TableRow, ImageRun, WidthType, AlignmentType, BorderStyle } = require('docx');
+const { generateBarcodeImage } = require('./barcode');
+const { formatRupees } = require('./helpers');
+
+/**
+ * Flatten order lines into printable rows
+ * @param {Object} order - PurchaseOrder with lines.inventoryItem populated
+ * @returns {Array} Rows with item details and line totals
+ */
+const orderRows = (order) => {
+  return order.lines.map((line, index) => ({
+    number: index + 1,
+    itemName: line.itemName || (line.inventoryItem && line.inventoryItem.itemName) || '',
+    size: line.inventoryItem ? line.inventoryItem.size : '',
+    color: line.inventoryItem ? line.inventoryItem.color : '',
+    quantity: line.quantityOrdered,
+    unitCost: line.unitCost,
+    total: line.quantityOrdered * line.unitCost,
+    expected: line.expectedDate ? moment(line.expectedDate).format('YYYY-MM-DD') : '-'
+  }));
+};
+
+/**
+ * Header fields shared by both formats
+ * @param {Object} order - PurchaseOrder with supplier, location and createdBy populated
+ * @returns {Array<Array<string>>} [label, value] pairs
+ */
+const orderFields = (order) => {
+  const supplier = order.supplier || {};
+  const fields = [
+    ['PO No', order.poNumber],
+    ['Date', moment(order.sentDate || order.createdAt).format('YYYY-MM-DD')],
+    ['Supplier', supplier.name || order.supplierName]
+  ];
+  if (supplier.contactName) fields.push(['Attention', supplier.contactName]);
+  if (supplier.phone) fields.push(['Phone', supplier.phone]);
+  if (supplier.email) fields.push(['Email', supplier.email]);
+  if (supplier.address) fields.push(['Address', supplier.address]);
+  if (order.location) fields.push(['Deliver To', [order.location.name, order.location.address].filter(Boolean).join(', ')]);
+  fields.push(['Ordered By', order.createdBy ? order.createdBy.username : '-']);
+  return fields;
+};
+
+/**
+ * Build a purchase order as PDF
+ * @param {Object} order - PurchaseOrder with supplier, location, createdBy and lines.inventoryItem populated
+ * @returns {Promise<Buffer>} PDF file
+ */
+const buildPurchaseOrderPdf = async (order) => {
+  const barcodePng = await generateBarcodeImage(order.poNumber);
+  const rows = orderRows(order);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.fontSize(20).font('Helvetica-Bold').text('Purchase Order', { align: 'center' });
+    doc.fontSize(10).font('Helvetica').text('Uniform Inventory System', { align: 'center' });
+    doc.moveDown(1.5);
+
+    const infoTop = doc.y;
+    doc.fontSize(11);
+    orderFields(order).forEach(([label, value], index) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, 50, index === 0 ? infoTop : undefined, { continued: true, width: 300 })
+        .font('Helvetica').text(value);
+    });
+    const infoBottom = doc.y;
+    doc.image(barcodePng, 360, infoTop, { fit: [185, 45] });
+    doc.fontSize(9).text(order.poNumber, 360, infoTop + 48, { width: 185, align: 'center' });
+
+    // Lines table
+    const columns = [
+      { header: '#', key: 'number', x: 50, width: 20 },
+      { header: 'Item', key: 'itemName', x: 70, width: 130 },
+      { header: 'Size', key: 'size', x: 200, width: 40 },
+      { header: 'Color', key: 'color', x: 240, width: 55 },
+      { header: 'Expected', key: 'expected', x: 295, width: 65 },
+      { header: 'Qty', key: 'quantity', x: 360, width: 40, align: 'right' },
+      { header: 'Unit Cost', key: 'unitCost', x: 400, width: 70, align: 'right' },
+      { header: 'Total', key: 'total', x: 470, width: 75, align: 'right' }
+    ];
+
+    const drawRow = (values, y, bold) => {
+      doc.fontSize(10).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      columns.forEach((column) => {
+        doc.text(String(values[column.key]), column.x, y, { width: column.width, align: column.align || 'left' });
+      });
+    };
+
+    let y = Math.max(infoBottom + 25, infoTop + 80);
+    drawRow(Object.fromEntries(columns.map((c) => [c.key, c.header])), y, true);
+    y += 16;
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 6;
+
+    rows.forEach((row) => {
+      if (y > 740) {
+        doc.addPage();
+        y = 50;
+      }
+      drawRow({ ...row, unitCost: formatRupees(row.unitCost), total: formatRupees(row.total) }, y, false);
+      y += 18;
+    });
+
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 8;
+    doc.fontSize(11).font('Helvetica-Bold');
+    doc.text('Total Quantity:', 290, y, { width: 110, align: 'right' });
+    doc.text(String(order.totalOrdered), 400, y, { width: 145, align: 'right' });
+    y += 18;
+    doc.text('Total Cost:', 290, y, { width: 110, align: 'right' });
+    doc.text(formatRupees(order.totalCost), 400, y, { width: 145, align: 'right' });
+    y += 30;
+
+    if (order.notes) {
+      doc.fontSize(10).font('Helvetica-Bold').text('Notes: ', 50, y, { continued: true }).font('Helvetica').text(order.notes);
+      y = doc.y + 20;
+    }
+
+    doc.fontSize(9).font('Helvetica').fillColor('gray')
+      .text(`Please quote ${order.poNumber} on your delivery note and invoice.`, 50, y, { width: 495 });
+    doc.fillColor('black');
+
+    // Signature
+    y = Math.max(doc.y + 40, 680);
+    if (y > 770) {
+      doc.addPage();
+      y = 100;
+    }
+    doc.fontSize(10).font('Helvetica');
+    doc.moveTo(365, y).lineTo(545, y).stroke();
+    doc.text('Authorised by', 365, y + 5, { width: 180, align: 'center' });
+
+    doc.end();
+  });
+};
+
+/**
+ * Build a purchase order as a Word document
+ * @param {Object} order - PurchaseOrder with supplier, location, createdBy and lines.inventoryItem populated
+ * @returns {Promise<Buffer>} DOCX file
+ */
+const buildPurchaseOrderDocx = async (order) => {
+  const barcodePng = await generateBarcodeImage(order.poNumber);
+  const rows = orderRows(order);
+
+  const cell = (text, options = {}) => new TableCell({
+    children: [new Paragraph({
+      children: [new TextRun({ text: String(text), bold: options.bold })],
+      alignment: options.align || AlignmentType.LEFT
+    })],
+    width: options.width ? { size: options.width, type: WidthType.PERCENTAGE } : undefined
+  });
+
+  const tableRows = [
+    new TableRow({
+      tableHeader: true,
+      children: [
+        cell('#', { bold: true, width: 5 }),
+        cell('Item', { bold: true, width: 27 }),
+        cell('Size', { bold: true, width: 8 }),
+        cell('Color', { bold: true, width: 10 }),
+        cell('Expected', { bold: true, width: 12 }),
+        cell('Qty', { bold: true, width: 8, align: AlignmentType.RIGHT }),
+        cell('Unit Cost', { bold: true, width: 15, align: AlignmentType.RIGHT }),
+        cell('Total', { bold: true, width: 15, align: AlignmentType.RIGHT })
+      ]
+    }),
+    ...rows.map((row) => new TableRow({
+      children: [
+        cell(row.number),
+        cell(row.itemName),
+        cell(row.size),
+        cell(row.color),
+        cell(row.expected),
+        cell(row.quantity, { align: AlignmentType.RIGHT }),
+        cell(formatRupees(row.unitCost), { align: AlignmentType.RIGHT }),
+        cell(formatRupees(row.total), { align: AlignmentType.RIGHT })
+      ]
+    }))
+  ];
+
+  const field = (label, value) => new Paragraph({
+    children: [
+      new TextRun({ text: `${label}: `, bold: true }),
+      new TextRun({ text: value })
+    ]
+  });
+
+  const children = [
+    new Paragraph({
+      text: 'Purchase Order',
+      heading: 'Heading1',
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 200 }
+    }),
+    new Paragraph({
+      children: [new ImageRun({ data: barcodePng, transformation: { width: 220, height: 60 } })],
+      alignment: AlignmentType.RIGHT
+    }),
+    new Paragraph({ text: order.poNumber, alignment: AlignmentType.RIGHT, spacing: { after: 200 } }),
+    ...orderFields(order).map(([label, value]) => field(label, value)),
+    new Paragraph({ text: '', spacing: { after: 200 } }),
+    new Table({
+      rows: tableRows,
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      borders: {
+        top: { style: BorderStyle.SINGLE, size: 1 },
+        bottom: { style: BorderStyle.SINGLE, size: 1 },
+        left: { style: BorderStyle.SINGLE, size: 1 },
+        right: { style: BorderStyle.SINGLE, size: 1 },
+        insideHorizontal: { style: BorderStyle.SINGLE, size: 1 },
+        insideVertical: { style: BorderStyle.SINGLE, size: 1 }
+      }
+    }),
+    new Paragraph({ text: '', spacing: { after: 200 } }),
+    new Paragraph({
+      children: [new TextRun({ text: `Total Quantity: ${order.totalOrdered}`, bold: true })],
+      alignment: AlignmentType.RIGHT
+    }),
+    new Paragraph({
+      children: [new TextRun({ text: `Total Cost: ${formatRupees(order.totalCost)}`, bold: true })],
+      alignment: AlignmentType.RIGHT,
+      spacing: { after: 400 }
+    })
+  ];
+
+  if (order.notes) {
+    children.push(field('Notes', order.notes));
+  }
+
+  children.push(
+    new Paragraph({ text: `Please quote ${order.poNumber} on your delivery note and invoice.`, spacing: { before: 200 } }),
+    new Paragraph({ text: '', spacing: { after: 800 } }),
+    new Paragraph({ text: 'Authorised by: ______________________', alignment: AlignmentType.RIGHT })
+  );
+
+  const doc = new Document({
+    sections: [{
+      properties: {},
+      children
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+};
+
+module.exports = {
+  buildPurchaseOrderPdf,
+  buildPurchaseOrderDocx
+};
@@ -0,0 +1,192 @@
+// ==========================================================
+// Purchase Orders
+// Turns the order form into order lines and receives scanned
+// deliveries against an order, keeping outstanding quantities
+// ==========================================================
+
+const GoodsReceipt = require('../models/GoodsReceipt');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockMovement = require('../models/StockMovement');
+const { adjustStock, revertStock } = require('./stockLedger');
+const { checkScan, findByBarcode } = require('./barcode');
+const { runAtomically } = require('./transaction');
+const { addCost } = require('./costing');
+
+// Orders that deliveries can still be received against
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Error for a receipt that cannot go ahead as scanned; nothing has been written
+const rejected = (message) => {
+  const error = new Error(message);
+  error.receiptRejected = true;
+  return error;
+};
+
+// Form values arrive as a string for one row and an array for several
+const asList = (value) => (Array.isArray(value) ? value : value === undefined ? [] : [value]);
+
+/**
+ * Rows of the purchase order form, leaving out rows that were left empty
+ * @param {Object} body - Form body with barcode, quantity, unitCost and expectedDate lists
+ * @returns {Array<Object>} { barcode, quantity, unitCost, expectedDate } as typed in
+ */
+const formRows = (body) => {
+  const quantities = asList(body.quantity);
+  const unitCosts = asList(body.unitCost);
+  const expectedDates = asList(body.expectedDate);
+
+  return asList(body.barcode)
+    .map((barcode, i) => ({
+      barcode: String(barcode || '').trim(),
+      quantity: quantities[i] || '',
+      unitCost: unitCosts[i] || '',
+      expectedDate: expectedDates[i] || ''
+    }))
+    .filter(row => row.barcode || row.quantity || row.unitCost);
+};
+
+/**
+ * Build order lines from the rows of the purchase order form
+ * @param {Array<Object>} rows - From formRows
+ * @returns {Promise<Object>} { lines, problems } - lines ready for PurchaseOrder.lines
+ *   and a message for each row that could not be used
+ */
+const parseOrderLines = async (rows) => {
+  const lines = [];
+  const problems = [];
+
+  for (const [i, row] of rows.entries()) {
+    const { barcode, error: scanError } = await checkScan(row.barcode);
+    const quantity = parseInt(row.quantity);
+    const unitCost = parseFloat(row.unitCost);
+    const expectedDate = row.expectedDate ? new Date(row.expectedDate) : undefined;
+
+    if (scanError) {
+      problems.push(`Line ${i + 1}: ${scanError}`);
+      continue;
+    }
+    const { item } = barcode ? await findByBarcode(barcode) : { item: null };
+    if (!item) {
+      problems.push(`Line ${i + 1}: no item with barcode ${barcode || '(empty)'}`);
+      continue;
+    }
+    if (lines.some(line => line.inventoryItem.equals(item._id))) {
+      problems.push(`Line ${i + 1}: ${item.itemName} (${barcode}) is already on the order`);
+      continue;
+    }
+    if (!(quantity > 0) || !(unitCost >= 0)) {
+      problems.push(`Line ${i + 1}: ${item.itemName} needs a quantity of 1 or more and a unit cost of 0 or more`);
+      continue;
+    }
+    if (expectedDate && isNaN(expectedDate.getTime())) {
+      problems.push(`Line ${i + 1}: invalid expected date`);
+      continue;
+    }
+
+    lines.push({
+      inventoryItem: item._id,
+      barcode: item.barcode,
+      itemName: item.itemName,
+      quantityOrdered: quantity,
+      unitCost,
+      expectedDate
+    });
+  }
+
+  return { lines, problems };
+};
+
+/**
+ * Receive a scanned delivery against a purchase order. The stock is added at
+ * the order's location, a goods receipt linked to the order is recorded, and
+ * the order becomes partially received or received.
+ * @param {string} orderId - PurchaseOrder ID
+ * @param {Array} counted - { inventoryId, barcode, quantity } per scanned item
+ * @param {Object} details
+ * @param {string} [details.referenceNumber] - Supplier's invoice or delivery note number
+ * @param {string} [details.notes] - Notes on the receipt
+ * @param {string} details.userId - User receiving the stock
+ * @returns {Promise<Object>} { order, receipt }
+ * @throws {Error} With receiptRejected set when the order is not open, an item is
+ *   not on the order or more arrived than is outstanding
+ */
+const receivePurchaseOrder = (orderId, counted, { referenceNumber, notes, userId }) => runAtomically(async ({ session, onRollback }) => {
+  const order = await PurchaseOrder.findById(orderId).session(session);
+  if (!order || !RECEIVABLE_STATUSES.includes(order.status)) {
+    throw rejected('This purchase order is not open for receiving');
+  }
+  const before = order.toObject({ depopulate: true });
+
+  const problems = [];
+  for (const count of counted) {
+    const line = order.lines.find(entry => entry.inventoryItem.toString() === count.inventoryId);
+    if (!line) {
+      problems.push(`Item with barcode ${count.barcode} is not on ${order.poNumber}; receive it separately`);
+    } else if (count.quantity > line.outstanding) {
+      problems.push(`${line.itemName}: ${line.outstanding} outstanding, ${count.quantity} scanned`);
+    } else {
+      line.quantityReceived += count.quantity;
+    }
+  }
+  if (problems.length > 0) throw rejected(problems.join('; '));
+
+  order.status = order.totalOutstanding === 0 ? 'received' : 'partially_received';
+  if (order.status === 'received') order.receivedDate = new Date();
+  try {
+    await order.save({ session });
+  } catch (error) {
+    if (error.name === 'VersionError') throw rejected('Another delivery was just received against this order; reload the page and scan again');
+    throw error;
+  }
+  onRollback(() => PurchaseOrder.replaceOne({ _id: before._id }, before));
+
+  const receipt = new GoodsReceipt({
+    supplier: order.supplierName,
+    referenceNumber,
+    notes,
+    receivedBy: userId,
+    location: order.location,
+    purchaseOrder: order._id
+  });
+  onRollback(() => StockMovement.deleteMany({ sourceModel: 'GoodsReceipt', sourceDocument: receipt._id }));
+
+  for (const count of counted) {
+    const item = await adjustStock({
+      itemId: count.inventoryId,
+      delta: count.quantity,
+      reason: 'receipt',
+      userId,
+      location: order.location,
+      sourceModel: 'GoodsReceipt',
+      sourceDocument: receipt._id,
+      notes: `Received on ${order.poNumber}`,
+      session
+    });
+    if (!item) throw rejected(`Item with barcode ${count.barcode} no longer exists`);
+    onRollback(() => revertStock({ itemId: item._id, delta: count.quantity, location: order.location }));
+
+    // Costed at what the order says was paid for it
+    const line = order.lines.find(entry => entry.inventoryItem.toString() === count.inventoryId);
+    const unitCost = await addCost(item._id, count.quantity, line.unitCost, { session, onRollback });
+
+    receipt.lines.push({
+      inventoryItem: item._id,
+      barcode: item.barcode,
+      itemName: item.itemName,
+      quantity: count.quantity,
+      unitCost,
+      balanceAfter: item.quantity
+    });
+  }
+
+  receipt.receiptNumber = await GoodsReceipt.nextReceiptNumber(session);
+  await receipt.save({ session });
+  return { order, receipt };
+});
+
+module.exports = {
+  RECEIVABLE_STATUSES,
+  formRows,
+  parseOrderLines,
+  receivePurchaseOrder
+};
@@ -0,0 +1,105 @@
+// ==========================================================
+// Reorder Points
+// When an item counts as low on stock and how much to order,
+// from the item's own settings or its category's defaults
+// ==========================================================
+
+const Inventory = require('../models/Inventory');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const { DEFAULT_REORDER_POINT, reorderDefaults } = require('./categories');
+
+/**
+ * Quantity at or below which an item is low on stock
+ * @param {Object} item - Inventory item
+ * @param {Object} defaults - From reorderDefaults
+ * @returns {number}
+ */
+const reorderPointFor = (item, defaults) => {
+  if (item.reorderPoint !== null && item.reorderPoint !== undefined) return item.reorderPoint;
+  return defaults[item.category] ? defaults[item.category].reorderPoint : DEFAULT_REORDER_POINT;
+};
+
+/**
+ * How many to order for a low item. Without a reorder quantity on the item or
+ * its category, suggests enough to bring stock up to twice the reorder point.
+ * @param {Object} item - Inventory item
+ * @param {Object} defaults - From reorderDefaults
+ * @returns {number}
+ */
+const reorderQuantityFor = (item, defaults) => {
+  if (item.reorderQuantity) return item.reorderQuantity;
+  if (defaults[item.category] && defaults[item.category].reorderQuantity) return defaults[item.category].reorderQuantity;
+  return Math.max(2 * reorderPointFor(item, defaults) - item.quantity, 1);
+};
+
+/**
+ * Whether an item is at or below its reorder point
+ * @param {Object} item - Inventory item
+ * @param {Object} defaults - From reorderDefaults
+ * @returns {boolean}
+ */
+const isLowStock = (item, defaults) => item.quantity <= reorderPointFor(item, defaults);
+
+/**
+ * Inventory filter for items at or below their reorder point
+ * @param {Object} [options]
+ * @param {boolean} [options.includeOutOfStock] - Also match items with no stock
+ * @returns {Promise<Object>} Mongo filter
+ */
+const lowStockFilter = async ({ includeOutOfStock = false } = {}) => {
+  const defaults = await reorderDefaults();
+  const inStock = includeOutOfStock ? {} : { quantity: { $gt: 0 } };
+  const upTo = (point) => (includeOutOfStock ? { $lte: point } : { $lte: point, $gt: 0 });
+
+  return {
+    $or: [
+      // Items with their own reorder point
+      { reorderPoint: { $ne: null }, $expr: { $lte: ['$quantity', '$reorderPoint'] }, ...inStock },
+      // Items using their category's
+      ...Object.keys(defaults).map(name => ({ reorderPoint: null, category: name, quantity: upTo(defaults[name].reorderPoint) })),
+      { reorderPoint: null, category: { $nin: Object.keys(defaults) }, quantity: upTo(DEFAULT_REORDER_POINT) }
+    ]
+  };
+};
+
+/**
+ * Items at or below their reorder point with how many to buy
+ * @param {Object} [filter] - Extra Inventory filter, e.g. a category
+ * @returns {Promise<Array>} { item, reorderPoint, suggestedQuantity, estimatedCost, lastSupplier }
+ *   sorted by category and name
+ */
+const reorderSuggestions = async (filter = {}) => {
+  const defaults = await reorderDefaults();
+  const items = await Inventory.find({ $and: [filter, await lowStockFilter({ includeOutOfStock: true })] })
+    .sort({ category: 1, itemName: 1, size: 1 });
+
+  // Supplier of the most recent receipt of each item
+  const receipts = await GoodsReceipt.aggregate([
+    { $match: { 'lines.inventoryItem': { $in: items.map(item => item._id) }, supplier: { $nin: [null, ''] } } },
+    { $sort: { receivedDate: -1 } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.inventoryItem': { $in: items.map(item => item._id) } } },
+    { $group: { _id: '$lines.inventoryItem', supplier: { $first: '$supplier' } } }
+  ]);
+  const suppliers = new Map(receipts.map(receipt => [receipt._id.toString(), receipt.supplier]));
+
+  return items.map(item => {
+    const suggestedQuantity = reorderQuantityFor(item, defaults);
+    return {
+      item,
+      reorderPoint: reorderPointFor(item, defaults),
+      suggestedQuantity,
+      // At what the item costs us, or its selling price until a cost is known
+      estimatedCost: suggestedQuantity * (item.averageCost || item.price),
+      lastSupplier: suppliers.get(item._id.toString()) || ''
+    };
+  });
+};
+
+module.exports = {
+  reorderPointFor,
+  reorderQuantityFor,
+  isLowStock,
+  lowStockFilter,
+  reorderSuggestions
+};
@@ -0,0 +1,155 @@
+// ==========================================================
+// Stock Count
+// Compares counted quantities with the system stock and
+// posts the approved differences to the stock ledger
+// ==========================================================
+
+const Inventory = require('../models/Inventory');
+const StockCount = require('../models/StockCount');
+const StockMovement = require('../models/StockMovement');
+const { setStock, revertStock } = require('./stockLedger');
+const { categoryFilter } = require('./categories');
+const { quantityAt } = require('./locations');
+const { followStockChange } = require('./costing');
+const { runAtomically } = require('./transaction');
+
+/**
+ * Counted against expected quantity for every item in the count's scope.
+ * Open counts compare scanned items with their stock when first scanned, and
+ * items nobody scanned with their current stock at the count's location;
+ * posted counts use the quantities saved when they were posted.
+ * @param {Object} count - StockCount document
+ * @returns {Promise<Array>} { item, barcode, itemName, scanned, counted, expected,
+ *   variance, varianceValue, adjusted } sorted by category and name
+ */
+const buildVarianceLines = async (count) => {
+  if (count.status === 'open') return compareWithStock(count);
+
+  const items = await Inventory.find({ _id: { $in: count.lines.map(line => line.inventoryItem) } });
+  return count.lines
+    .filter(line => line.expected !== undefined)
+    .map(line => {
+      const item = items.find(i => i._id.equals(line.inventoryItem)) || null;
+      return varianceLine(item, line, line.expected);
+    })
+    .sort(byCategoryAndName);
+};
+
+// Counted lines of a count against the stock of every item in its scope
+const compareWithStock = async (count, session = null) => {
+  const linesByItem = new Map(count.lines.map(line => [line.inventoryItem.toString(), line]));
+  const items = await Inventory.find(count.category ? { category: await categoryFilter(count.category) } : {}).session(session);
+  const inScope = new Set(items.map(item => item._id.toString()));
+  const compare = (item) => {
+    const line = linesByItem.get(item._id.toString());
+    // Lines scanned before snapshots were kept compare with the current stock
+    const expected = line && line.expectedAtCount != null ? line.expectedAtCount : quantityAt(item, count.location);
+    return varianceLine(item, line, expected);
+  };
+  const lines = items.map(compare);
+
+  // Items scanned before they were moved out of the count's category
+  const outOfScope = count.lines.filter(line => !inScope.has(line.inventoryItem.toString()));
+  if (outOfScope.length > 0) {
+    const movedItems = await Inventory.find({ _id: { $in: outOfScope.map(line => line.inventoryItem) } }).session(session);
+    movedItems.forEach(item => lines.push(compare(item)));
+  }
+
+  return lines.sort(byCategoryAndName);
+};
+
+// One row of the variance report; line is undefined for items nobody scanned
+const varianceLine = (item, line, expected) => {
+  const counted = line ? line.counted : 0;
+  const variance = counted - expected;
+  return {
+    item,
+    itemId: item ? item._id : line.inventoryItem,
+    barcode: item ? item.barcode : line.barcode,
+    itemName: item ? item.itemName : line.itemName,
+    scanned: Boolean(line),
+    counted,
+    expected,
+    variance,
+    varianceValue: item ? variance * item.price : 0,
+    adjusted: line ? line.adjusted : false
+  };
+};
+
+// Sort order of the variance report
+const byCategoryAndName = (a, b) => {
+  const categoryA = a.item ? a.item.category : '';
+  const categoryB = b.item ? b.item.category : '';
+  return categoryA.localeCompare(categoryB) || a.itemName.localeCompare(b.itemName);
+};
+
+/**
+ * Close an open count and apply the variance of each approved item to its
+ * stock at the count's location. The variance is taken against the stock when
+ * the item was counted, so deliveries and receipts made since are kept. Items
+ * that were never scanned count as zero. The count and every adjustment are
+ * posted together or not at all.
+ * @param {string} countId - StockCount ID
+ * @param {Array<string>} approvedItemIds - Inventory IDs whose variance to apply
+ * @param {string} userId - Admin posting the count
+ * @returns {Promise<Object|null>} { count, adjusted }, or null if the count is not open
+ */
+const postCount = (countId, approvedItemIds, userId) => runAtomically(async ({ session, onRollback }) => {
+  // Claim the count first so two admins cannot post it twice
+  const before = await StockCount.findOneAndUpdate(
+    { _id: countId, status: 'open' },
+    { status: 'posted', postedBy: userId, postedAt: new Date() },
+    { session }
+  ).lean();
+  if (!before) return null;
+  onRollback(() => StockCount.replaceOne({ _id: before._id }, before));
+  onRollback(() => StockMovement.deleteMany({ sourceModel: 'StockCount', sourceDocument: before._id }));
+
+  const count = await StockCount.findById(before._id).session(session);
+  const varianceLines = await compareWithStock(count, session);
+  const approved = new Set(approvedItemIds.map(String));
+  let adjusted = 0;
+
+  for (const entry of varianceLines) {
+    if (!entry.item) continue;
+
+    let line = count.lines.find(l => l.inventoryItem.equals(entry.item._id));
+    const apply = approved.has(entry.item._id.toString()) && entry.variance !== 0;
+    if (!line && !apply) continue;
+    if (!line) {
+      count.lines.push({ inventoryItem: entry.item._id, barcode: entry.item.barcode, itemName: entry.item.itemName, counted: 0 });
+      line = count.lines[count.lines.length - 1];
+    }
+
+    line.expected = entry.expected;
+    if (apply) {
+      const previous = await setStock({
+        itemId: entry.item._id,
+        quantity: (current) => Math.max(current + entry.variance, 0),
+        reason: 'stock_count',
+        userId,
+        location: count.location,
+        sourceModel: 'StockCount',
+        sourceDocument: count._id,
+        notes: `Stock count ${count.countNumber}`,
+        session
+      });
+      if (previous) {
+        const stockBefore = quantityAt(previous, count.location);
+        const delta = Math.max(stockBefore + entry.variance, 0) - stockBefore;
+        onRollback(() => revertStock({ itemId: entry.item._id, delta, location: count.location }));
+        line.adjusted = true;
+        adjusted++;
+        await followStockChange(entry.item._id, delta, { session, onRollback });
+      }
+    }
+  }
+
+  await count.save({ session });
+  return { count, adjusted };
+});
+
+module.exports = {
+  buildVarianceLines,
+  postCount
+};
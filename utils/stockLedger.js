@@ -0,0 +1,206 @@
+// ==========================================================
+// Stock Ledger
+// Every change to Inventory.quantity is logged as a StockMovement
+// so month-end counts can be traced back to their source, and is
+// applied to the stock of the location it happened at
+// ==========================================================
+
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const { resolveLocation, quantityAt } = require('./locations');
+
+/**
+ * Write a ledger entry for a quantity change that was already applied
+ * @param {Object} entry
+ * @param {Object} entry.item - Inventory item after the change
+ * @param {number} entry.delta - Signed quantity change
+ * @param {string} entry.reason - receipt, delivery, adjustment, delivery_edit, delivery_reversal,
+ *   return, return_write_off, stock_count, transfer_out, transfer_in or transfer_reversal
+ * @param {string} entry.userId - User who made the change
+ * @param {ObjectId} [entry.location] - Location whose stock changed
+ * @param {string} [entry.sourceModel] - Model name of the source document
+ * @param {string} [entry.sourceDocument] - Source document ID
+ * @param {string} [entry.notes] - Free-text note
+ * @param {ClientSession} [entry.session] - Transaction session to write in
+ * @returns {Promise<Object>} Saved StockMovement
+ */
+const recordMovement = ({ item, delta, reason, userId, location, sourceModel, sourceDocument, notes, session }) => {
+  const movement = new StockMovement({
+    inventoryItem: item._id,
+    barcode: item.barcode,
+    delta,
+    balanceAfter: item.quantity,
+    location: location || undefined,
+    reason,
+    performedBy: userId,
+    sourceModel,
+    sourceDocument,
+    notes
+  });
+  return movement.save({ session });
+};
+
+// Apply a signed change to an item's stock at a location and to its total in
+// one write. With onlyIfAvailable the write only happens when the location has
+// enough stock to cover a negative delta.
+const changeStock = async (itemId, delta, location, { onlyIfAvailable = false, session = null } = {}) => {
+  const available = onlyIfAvailable ? { quantity: { $gte: -delta } } : {};
+  if (!location) {
+    return Inventory.findOneAndUpdate({ _id: itemId, ...available }, { $inc: { quantity: delta } }, { new: true, session });
+  }
+
+  // First movement of this item at the location
+  await Inventory.updateOne({ _id: itemId, 'stock.location': { $ne: location } }, { $push: { stock: { location, quantity: 0 } } }, { session });
+  return Inventory.findOneAndUpdate(
+    { _id: itemId, stock: { $elemMatch: { location, ...available } } },
+    { $inc: { quantity: delta, 'stock.$.quantity': delta } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Increment or decrement an item's stock and log the change
+ * @param {Object} change - Same fields as recordMovement, with itemId instead of item.
+ *   location is the location's ID; empty uses the default location.
+ * @returns {Promise<Object|null>} Updated inventory item, or null if it no longer exists
+ */
+const adjustStock = async ({ itemId, delta, location, ...entry }) => {
+  const at = await resolveLocation(location);
+  const item = await changeStock(itemId, delta, at, { session: entry.session });
+  if (!item) return null;
+
+  await recordMovement({ item, delta, location: at, ...entry });
+  return item;
+};
+
+/**
+ * Take stock out only if enough is on hand at the location, in a single
+ * conditional write, so concurrent issues of the same item can never push it below zero
+ * @param {Object} change - Same fields as adjustStock, with a positive quantity instead of delta
+ * @returns {Promise<Object|null>} Updated inventory item, or null if it is missing or short
+ */
+const issueStock = async ({ itemId, quantity, location, ...entry }) => {
+  const at = await resolveLocation(location);
+  const item = await changeStock(itemId, -quantity, at, { onlyIfAvailable: true, session: entry.session });
+  if (!item) return null;
+
+  await recordMovement({ item, delta: -quantity, location: at, ...entry });
+  return item;
+};
+
+/**
+ * Undo a change made with adjustStock or issueStock, for rollback steps
+ * @param {Object} change - { itemId, delta, location } as passed to the original call
+ * @returns {Promise<void>}
+ */
+const revertStock = async ({ itemId, delta, location }) => {
+  await changeStock(itemId, -delta, await resolveLocation(location));
+};
+
+/**
+ * Overwrite an item's stock at a location with a counted quantity and log the difference
+ * @param {Object} change - Same fields as adjustStock, with quantity instead of delta.
+ *   quantity can also be a function of the stock at the location before the
+ *   change, e.g. to apply a count's variance to stock that moved since counting.
+ * @param {Object} [fields] - Other item fields to update in the same write
+ * @returns {Promise<Object|null>} Item as it was before the change, or null if it no longer exists
+ */
+const setStock = async ({ itemId, quantity, location, ...entry }, fields = {}) => {
+  const at = await resolveLocation(location);
+  const session = entry.session || null;
+  if (at) {
+    await Inventory.updateOne({ _id: itemId, 'stock.location': { $ne: at } }, { $push: { stock: { location: at, quantity: 0 } } }, { session });
+  }
+
+  // The total moves by the difference at the location, so retry if the
+  // location's stock changes between reading and writing it
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const current = await Inventory.findById(itemId).session(session);
+    if (!current) return null;
+
+    const before = quantityAt(current, at);
+    const after = typeof quantity === 'function' ? quantity(before) : quantity;
+    const delta = after - before;
+    const previous = at
+      ? await Inventory.findOneAndUpdate(
+        { _id: itemId, stock: { $elemMatch: { location: at, quantity: before } } },
+        { $set: { ...fields, 'stock.$.quantity': after }, $inc: { quantity: delta } },
+        { new: false, session }
+      )
+      : await Inventory.findOneAndUpdate({ _id: itemId, quantity: before }, { ...fields, quantity: after }, { new: false, session });
+    if (!previous) continue;
+
+    if (delta !== 0) {
+      await recordMovement({
+        item: { _id: previous._id, barcode: previous.barcode, quantity: previous.quantity + delta },
+        delta,
+        location: at,
+        ...entry
+      });
+    }
+    return previous;
+  }
+
+  throw new Error('Stock changed while it was being set, please try again');
+};
+
+/**
+ * When the stock ledger starts. Stock can only be rebuilt for moments from
+ * then on: changes made before it were never logged.
+ * @returns {Promise<Date|null>} Time of the first movement, null if there is none yet
+ */
+const ledgerStart = async () => {
+  const first = await StockMovement.findOne().sort({ createdAt: 1 }).select('createdAt');
+  return first ? first.createdAt : null;
+};
+
+/**
+ * Stock items held at a past moment, rebuilt by taking every ledger movement
+ * recorded since then back off the stock they hold now. Pass deleted items
+ * (DeletedItem) with the stock they held when deleted.
+ * @param {Array<Object>} items - Inventory items with quantity and stock; at a
+ *   location, quantity is the stock held there
+ * @param {Date} date - Moment to rebuild the stock at
+ * @param {ObjectId} [location] - Location whose stock the quantities are;
+ *   empty for company-wide stock
+ * @returns {Promise<Array>} Copies of the items with quantity and stock as they were
+ */
+const stockAsOf = async (items, date, location = null) => {
+  const match = { createdAt: { $gt: date } };
+  if (location) match.location = location;
+  const later = await StockMovement.aggregate([
+    { $match: match },
+    { $group: { _id: { item: '$inventoryItem', location: '$location' }, delta: { $sum: '$delta' } } }
+  ]);
+
+  // Net change since then per item, and per item and location
+  const sinceTotal = new Map();
+  const sinceAt = new Map();
+  later.forEach(({ _id, delta }) => {
+    const item = _id.item.toString();
+    sinceTotal.set(item, (sinceTotal.get(item) || 0) + delta);
+    if (_id.location) sinceAt.set(`${item}:${_id.location}`, delta);
+  });
+
+  return items.map(item => {
+    const id = item._id.toString();
+    return {
+      ...item,
+      quantity: item.quantity - (sinceTotal.get(id) || 0),
+      stock: (item.stock || []).map(line => ({
+        ...line,
+        quantity: line.quantity - (sinceAt.get(`${id}:${line.location}`) || 0)
+      }))
+    };
+  });
+};
+
+module.exports = {
+  recordMovement,
+  adjustStock,
+  issueStock,
+  revertStock,
+  setStock,
+  ledgerStart,
+  stockAsOf
+};
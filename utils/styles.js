@@ -0,0 +1,109 @@
+// ==========================================================
+// Styles
+// Groups size/color variants under a shared style, lays them
+// out as a size × color grid and cascades style edits
+// ==========================================================
+
+const Inventory = require('../models/Inventory');
+const Style = require('../models/Style');
+const { runAtomically } = require('./transaction');
+const { recordPriceChange } = require('./prices');
+
+/**
+ * Style with the given name in the given category, created if it does not exist yet
+ * @param {Object} fields - { itemName, category, price, description } of the first variant
+ * @param {Object} [options] - { session, onRollback } when called inside runAtomically
+ * @returns {Promise<Object>} Style document
+ */
+const findOrCreateStyle = async ({ itemName, category, price, description }, { session = null, onRollback = () => {} } = {}) => {
+  const existing = await Style.findOne({ name: itemName, category }).session(session);
+  if (existing) return existing;
+
+  const style = new Style({ name: itemName, category, price, description: description || undefined });
+  await style.save({ session });
+  onRollback(() => Style.deleteOne({ _id: style._id }));
+  return style;
+};
+
+/**
+ * Delete a style once its last variant has been deleted or moved to another style
+ * @param {string} styleId - Style ID, may be empty
+ * @returns {Promise<void>}
+ */
+const removeStyleIfEmpty = async (styleId) => {
+  if (styleId && !(await Inventory.exists({ style: styleId }))) {
+    await Style.deleteOne({ _id: styleId });
+  }
+};
+
+// Sizes in the category's order, then any others alphabetically
+const orderSizes = (sizes, sizeOrder) => [...sizes].sort((a, b) => {
+  const indexA = sizeOrder.indexOf(a);
+  const indexB = sizeOrder.indexOf(b);
+  if (indexA === -1 && indexB === -1) return a.localeCompare(b);
+  if (indexA === -1) return 1;
+  if (indexB === -1) return -1;
+  return indexA - indexB;
+});
+
+/**
+ * Variants of a style as a grid with one row per color and one column per size
+ * @param {Array<Object>} variants - Inventory items of the style
+ * @param {Array<string>} sizeOrder - Sizes of the style's category, in display order
+ * @returns {Object} { sizes, rows: [{ color, cells, total }], sizeTotals, total }
+ *   where each cell is the variant of that size and color, or null
+ */
+const buildMatrix = (variants, sizeOrder) => {
+  const sizes = orderSizes([...new Set(variants.map(variant => variant.size))], sizeOrder);
+  const colors = [...new Set(variants.map(variant => variant.color))].sort((a, b) => a.localeCompare(b));
+
+  const rows = colors.map(color => {
+    const cells = sizes.map(size => variants.find(variant => variant.size === size && variant.color === color) || null);
+    return { color, cells, total: cells.reduce((sum, cell) => sum + (cell ? cell.quantity : 0), 0) };
+  });
+
+  return {
+    sizes,
+    rows,
+    sizeTotals: sizes.map((size, index) => rows.reduce((sum, row) => sum + (row.cells[index] ? row.cells[index].quantity : 0), 0)),
+    total: rows.reduce((sum, row) => sum + row.total, 0)
+  };
+};
+
+/**
+ * Save style-level changes and copy them to every variant as one unit
+ * @param {Object} style - Style document
+ * @param {Object} fields - { name, category, price, description }
+ * @param {string} [userId] - User making the change, for the price history
+ * @returns {Promise<number>} Number of variants updated
+ */
+const updateStyle = (style, fields, userId) => runAtomically(async ({ session, onRollback }) => {
+  const previous = { name: style.name, category: style.category, price: style.price, description: style.description };
+  style.set(fields);
+  await style.save({ session });
+  onRollback(() => Style.updateOne({ _id: style._id }, previous));
+
+  // Variants may have been priced individually, so keep each one's values for the undo
+  const variants = await Inventory.find({ style: style._id }).select('itemName category price priceHistory description createdAt').session(session);
+  await recordPriceChange(variants, fields.price, { userId, session, onRollback });
+  await Inventory.updateMany(
+    { style: style._id },
+    { itemName: fields.name, category: fields.category, price: fields.price, description: fields.description },
+    { session }
+  );
+  onRollback(() => Inventory.bulkWrite(variants.map(variant => ({
+    updateOne: {
+      filter: { _id: variant._id },
+      update: { itemName: variant.itemName, category: variant.category, price: variant.price, description: variant.description }
+    }
+  }))));
+
+  return variants.length;
+});
+
+module.exports = {
+  findOrCreateStyle,
+  removeStyleIfEmpty,
+  buildMatrix,
+  updateStyle
+};
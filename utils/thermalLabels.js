@@ -0,0 +1,198 @@
+// ==========================================================
+// Thermal Labels
+// ZPL and EPL label jobs for Zebra-style printers, sent raw
+// to the printer's TCP port or downloaded as a file
+// ==========================================================
+
+const net = require('net');
+const { barcodeSymbology } = require('./barcode');
+const { formatRupees } = require('./helpers');
+
+// Printer resolutions offered on the labels page
+const PRINTER_DPIS = [203, 300, 600];
+
+/**
+ * Label printer and default label size, from config.env
+ *   LABEL_PRINTER_HOST  Printer to send jobs to; printing is off without it
+ *   LABEL_PRINTER_PORT  Raw printing port (default 9100)
+ *   LABEL_WIDTH_MM      Default label width (default 50)
+ *   LABEL_HEIGHT_MM     Default label height (default 25)
+ *   LABEL_DPI           Default printer resolution (default 203)
+ * @returns {Object} { host, port, widthMm, heightMm, dpi }
+ */
+const printerSettings = () => ({
+  host: (process.env.LABEL_PRINTER_HOST || '').trim(),
+  port: parseInt(process.env.LABEL_PRINTER_PORT) || 9100,
+  widthMm: parseFloat(process.env.LABEL_WIDTH_MM) || 50,
+  heightMm: parseFloat(process.env.LABEL_HEIGHT_MM) || 25,
+  dpi: parseInt(process.env.LABEL_DPI) || 203
+});
+
+// Printer dots in a length in millimetres
+const dots = (mm, dpi) => Math.round(mm * dpi / 25.4);
+
+// Text lines printed on a label, in order
+const labelText = (item, fields) => {
+  const details = [
+    fields.size && `Size ${item.size}`,
+    fields.color && item.color,
+    fields.price && formatRupees(item.price)
+  ].filter(Boolean).join('  ');
+  return [fields.name && item.itemName, details].filter(Boolean);
+};
+
+/**
+ * Sizes of the parts of a label in dots, scaled to the printer resolution
+ * @param {Object} size - { widthMm, heightMm, dpi }
+ * @param {Object} fields - Field keys set to true to print
+ * @param {number} textLines - Lines of text above the barcode
+ * @returns {Object} Label width and height, margin, text height and barcode height
+ */
+const labelMetrics = ({ widthMm, heightMm, dpi }, fields, textLines) => {
+  const width = dots(widthMm, dpi);
+  const height = dots(heightMm, dpi);
+  const margin = dots(2, dpi);
+  const text = Math.max(dots(2.5, dpi), 12);
+  const lineHeight = Math.round(text * 1.2);
+  const below = fields.barcode ? lineHeight : 0;
+  const barcode = Math.max(height - margin * 2 - textLines * lineHeight - below, dots(5, dpi));
+  return { width, height, margin, text, lineHeight, barcode };
+};
+
+// Modules across a barcode, to pick a bar width that fits the label
+const barcodeModules = (barcode, symbology) => {
+  if (symbology !== 'code128') return 95;
+  return 11 * (barcode.length + 3) + 2;
+};
+
+// Escape field data for ^FH: _ introduces a hex code, ^ and ~ are commands
+const zplField = (text) => String(text).replace(/[_^~]/g, (c) => `_${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * One ZPL label format, printed copies times
+ * @param {Object} item - Inventory item
+ * @param {number} copies - Labels to print
+ * @param {Object} size - { widthMm, heightMm, dpi }
+ * @param {Object} fields - Field keys set to true to print
+ * @returns {string}
+ */
+const zplLabel = (item, copies, size, fields) => {
+  const lines = labelText(item, fields);
+  const m = labelMetrics(size, fields, lines.length);
+  const symbology = barcodeSymbology(item.barcode);
+  const module = Math.min(Math.max(Math.floor((m.width - m.margin * 2) / barcodeModules(item.barcode, symbology)), 1), 4);
+  const barcodeX = Math.max(Math.round((m.width - module * barcodeModules(item.barcode, symbology)) / 2), 0);
+  const textWidth = m.width - m.margin * 2;
+
+  const out = ['^XA', '^CI28', `^PW${m.width}`, `^LL${m.height}`, '^LH0,0'];
+  let y = m.margin;
+  lines.forEach((line) => {
+    out.push(`^FO${m.margin},${y}^A0N,${m.text},${m.text}^FB${textWidth},1,0,C,0^FH^FD${zplField(line)}^FS`);
+    y += m.lineHeight;
+  });
+
+  // ^BE and ^BU take the digits without the check digit and add it themselves
+  const command = {
+    ean13: `^BEN,${m.barcode},N,N^FD${item.barcode.slice(0, 12)}`,
+    upca: `^BUN,${m.barcode},N,N,N^FD${item.barcode.slice(0, 11)}`,
+    code128: `^BCN,${m.barcode},N,N,N^FH^FD${zplField(item.barcode)}`
+  }[symbology];
+  out.push(`^FO${barcodeX},${y}^BY${module}${command}^FS`);
+  y += m.barcode;
+
+  if (fields.barcode) {
+    out.push(`^FO${m.margin},${y + 2}^A0N,${m.text},${m.text}^FB${textWidth},1,0,C,0^FH^FD${zplField(item.barcode)}^FS`);
+  }
+  out.push(`^PQ${copies}`, '^XZ');
+  return out.join('\n');
+};
+
+// Escape a quoted EPL string
+const eplString = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * One EPL2 label, printed copies times
+ * @param {Object} item - Inventory item
+ * @param {number} copies - Labels to print
+ * @param {Object} size - { widthMm, heightMm, dpi }
+ * @param {Object} fields - Field keys set to true to print
+ * @returns {string}
+ */
+const eplLabel = (item, copies, size, fields) => {
+  const lines = labelText(item, fields);
+  const m = labelMetrics(size, fields, lines.length);
+  const symbology = barcodeSymbology(item.barcode);
+  const module = Math.min(Math.max(Math.floor((m.width - m.margin * 2) / barcodeModules(item.barcode, symbology)), 1), 4);
+  const barcodeX = Math.max(Math.round((m.width - module * barcodeModules(item.barcode, symbology)) / 2), 0);
+
+  // Font 2 is 10 × 16 dots, doubled from 300 dpi up so the text keeps its size
+  const scale = size.dpi >= 300 ? 2 : 1;
+  const charWidth = 12 * scale;
+  const text = (line, y) => {
+    const fit = line.slice(0, Math.floor((m.width - m.margin * 2) / charWidth));
+    const x = Math.max(Math.round((m.width - fit.length * charWidth) / 2), 0);
+    return `A${x},${y},0,2,${scale},${scale},N,${eplString(fit)}`;
+  };
+
+  const out = ['', 'N', `q${m.width}`, `Q${m.height},${dots(3, size.dpi)}`];
+  let y = m.margin;
+  lines.forEach((line) => {
+    out.push(text(line, y));
+    y += m.lineHeight;
+  });
+
+  const type = { ean13: 'E30', upca: 'UA0', code128: '1' }[symbology];
+  const data = { ean13: item.barcode.slice(0, 12), upca: item.barcode.slice(0, 11), code128: item.barcode }[symbology];
+  out.push(`B${barcodeX},${y},0,${type},${module},${module * 2},${m.barcode},N,${eplString(data)}`);
+  y += m.barcode;
+
+  if (fields.barcode) out.push(text(item.barcode, y + 2));
+  out.push(`P${copies}`, '');
+  return out.join('\n');
+};
+
+/**
+ * Build a thermal printer job
+ * @param {Array<Object>} entries - { item, copies } per item
+ * @param {Object} options
+ * @param {string} options.format - zpl or epl
+ * @param {Object} options.size - { widthMm, heightMm, dpi }
+ * @param {Object} options.fields - Field keys set to true to print
+ * @returns {string} Printer commands
+ */
+const buildThermalJob = (entries, { format, size, fields }) => {
+  const label = format === 'epl' ? eplLabel : zplLabel;
+  return entries.map(({ item, copies }) => label(item, copies, size, fields)).join('\n');
+};
+
+/**
+ * Send a job to a printer's raw TCP port, as a Zebra printer on port 9100
+ * expects; any socket server listening there will take it
+ * @param {string} job - From buildThermalJob
+ * @param {Object} printer - { host, port }
+ * @returns {Promise<void>} Resolves once the job is written; rejects with
+ *   error.printerUnreachable set when the printer cannot be reached
+ */
+const sendToPrinter = (job, { host, port }) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host, port });
+  socket.setTimeout(10000);
+  // Printers often keep their side open, so the job is done once it is flushed
+  socket.on('connect', () => socket.end(job, resolve));
+  const fail = (message) => {
+    const error = new Error(message);
+    error.printerUnreachable = true;
+    reject(error);
+  };
+  socket.on('timeout', () => {
+    socket.destroy();
+    fail(`Printer at ${host}:${port} did not respond`);
+  });
+  socket.on('error', (error) => fail(`Cannot reach printer at ${host}:${port}: ${error.message}`));
+});
+
+module.exports = {
+  PRINTER_DPIS,
+  printerSettings,
+  buildThermalJob,
+  sendToPrinter
+};
@@ -0,0 +1,59 @@
+// ==========================================================
+// Transaction Helper
+// Runs a multi-document write as one unit: a MongoDB transaction
+// on replica sets, compensating rollback on standalone servers
+// ==========================================================
+
+const mongoose = require('mongoose');
+
+/**
+ * Check whether an error means the server cannot run transactions
+ * (standalone mongod without a replica set)
+ * @param {Error} error - Error thrown by the driver
+ * @returns {boolean}
+ */
+const isTransactionUnsupported = (error) => {
+  return error.code === 20 || /Transaction numbers are only allowed/i.test(error.message || '');
+};
+
+/**
+ * Run work atomically.
+ * The work function receives { session, onRollback }. It must pass session to
+ * every read and write, and register an undo step with onRollback after each
+ * write. Undo steps only run when transactions are unavailable and work throws.
+ * @param {Function} work - async ({ session, onRollback }) => result
+ * @returns {Promise<*>} Whatever work returns
+ */
+const runAtomically = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work({ session, onRollback: () => {} });
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  const undoSteps = [];
+  try {
+    return await work({ session: null, onRollback: (step) => undoSteps.push(step) });
+  } catch (error) {
+    for (const step of undoSteps.reverse()) {
+      try {
+        await step();
+      } catch (undoError) {
+        console.error('Rollback step failed:', undoError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  isTransactionUnsupported,
+  runAtomically
+};
@@ -0,0 +1,204 @@
+// ==========================================================
+// Stock Transfers
+// Ships scanned stock out of one location and receives it into
+// another, flagging lines that arrive short or over
+// ==========================================================
+
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Location = require('../models/Location');
+const StockMovement = require('../models/StockMovement');
+const StockTransfer = require('../models/StockTransfer');
+const { adjustStock, issueStock, revertStock } = require('./stockLedger');
+const { quantityAt } = require('./locations');
+const { followStockChange } = require('./costing');
+const { runAtomically } = require('./transaction');
+
+// Error for a transfer that cannot go ahead as asked; nothing has been written
+const rejected = (message) => {
+  const error = new Error(message);
+  error.transferRejected = true;
+  return error;
+};
+
+/**
+ * Take a cart of items out of the source location and put it in transit
+ * @param {Array} lines - { inventoryId, barcode, quantity } per cart line
+ * @param {Object} details
+ * @param {string} details.from - Source location ID
+ * @param {string} details.to - Destination location ID
+ * @param {string} [details.notes] - Notes for the receiving location
+ * @param {string} details.userId - User shipping the transfer
+ * @returns {Promise<Object>} Saved StockTransfer
+ * @throws {Error} With transferRejected set for unknown or equal locations and short stock
+ */
+const shipTransfer = async (lines, { from, to, notes, userId }) => {
+  const findActive = (id) => (mongoose.isValidObjectId(id) ? Location.findOne({ _id: id, isActive: true }) : null);
+  const source = await findActive(from);
+  const destination = await findActive(to);
+  if (!source || !destination) throw rejected('Choose an active location to ship from and to');
+  if (source._id.equals(destination._id)) throw rejected('The source and destination must be different locations');
+
+  return runAtomically(async ({ session, onRollback }) => {
+    const transfer = new StockTransfer({
+      fromLocation: source._id,
+      toLocation: destination._id,
+      notes,
+      sentBy: userId
+    });
+    onRollback(() => StockMovement.deleteMany({ sourceModel: 'StockTransfer', sourceDocument: transfer._id }));
+    const problems = [];
+
+    for (const line of lines) {
+      const item = await Inventory.findById(line.inventoryId).session(session);
+      if (!item) {
+        problems.push(`Item with barcode ${line.barcode} not found`);
+        continue;
+      }
+
+      const updated = await issueStock({
+        itemId: item._id,
+        quantity: line.quantity,
+        reason: 'transfer_out',
+        userId,
+        location: source._id,
+        sourceModel: 'StockTransfer',
+        sourceDocument: transfer._id,
+        notes: `Shipped to ${destination.name}`,
+        session
+      });
+      if (!updated) {
+        problems.push(`Insufficient stock for ${item.itemName} at ${source.name}. Available: ${quantityAt(item, source._id)}, Requested: ${line.quantity}`);
+        continue;
+      }
+      onRollback(() => revertStock({ itemId: item._id, delta: -line.quantity, location: source._id }));
+
+      transfer.lines.push({
+        inventoryItem: item._id,
+        barcode: item.barcode,
+        itemName: item.itemName,
+        quantitySent: line.quantity
+      });
+    }
+
+    if (problems.length > 0) throw rejected(problems.join('; '));
+
+    // Number the transfer last so rejected carts do not use up numbers
+    transfer.transferNumber = await StockTransfer.nextTransferNumber(session);
+    await transfer.save({ session });
+    return transfer;
+  });
+};
+
+/**
+ * Confirm a transfer at its destination with the quantities scanned on arrival.
+ * Received quantities are added to the destination's stock; lines that differ
+ * from what was shipped, including items that were not shipped at all, flag
+ * the transfer as having a discrepancy, and their difference is written off or
+ * added to the item's cost layers.
+ * @param {string} transferId - StockTransfer ID
+ * @param {Array} counted - { inventoryId, barcode, quantity } per scanned item
+ * @param {Object} details
+ * @param {string} [details.notes] - Notes on the receipt
+ * @param {string} details.userId - User receiving the transfer
+ * @returns {Promise<Object>} Updated StockTransfer
+ * @throws {Error} With transferRejected set when the transfer is not in transit or an item is unknown
+ */
+const receiveTransfer = (transferId, counted, { notes, userId }) => runAtomically(async ({ session, onRollback }) => {
+  // Claim the transfer first so two people cannot receive it twice
+  const before = await StockTransfer.findOneAndUpdate(
+    { _id: transferId, status: 'in_transit' },
+    { status: 'received' },
+    { session }
+  ).lean();
+  if (!before) throw rejected('This transfer is not in transit any more');
+  onRollback(() => StockTransfer.replaceOne({ _id: before._id }, before));
+
+  const transfer = await StockTransfer.findById(before._id).session(session);
+  transfer.lines.forEach(line => { line.quantityReceived = 0; });
+
+  for (const count of counted) {
+    let line = transfer.lines.find(entry => entry.inventoryItem.toString() === count.inventoryId);
+    if (!line) {
+      const item = await Inventory.findById(count.inventoryId).session(session);
+      if (!item) throw rejected(`Item with barcode ${count.barcode} not found`);
+      transfer.lines.push({ inventoryItem: item._id, barcode: item.barcode, itemName: item.itemName, quantitySent: 0, quantityReceived: 0 });
+      line = transfer.lines[transfer.lines.length - 1];
+    }
+    line.quantityReceived += count.quantity;
+  }
+
+  onRollback(() => StockMovement.deleteMany({ sourceModel: 'StockTransfer', sourceDocument: transfer._id, reason: 'transfer_in' }));
+  for (const line of transfer.lines.filter(entry => entry.quantityReceived > 0)) {
+    const item = await adjustStock({
+      itemId: line.inventoryItem,
+      delta: line.quantityReceived,
+      reason: 'transfer_in',
+      userId,
+      location: transfer.toLocation,
+      sourceModel: 'StockTransfer',
+      sourceDocument: transfer._id,
+      notes: `Received on ${transfer.transferNumber}`,
+      session
+    });
+    if (!item) throw rejected(`Item with barcode ${line.barcode} no longer exists`);
+    onRollback(() => revertStock({ itemId: line.inventoryItem, delta: line.quantityReceived, location: transfer.toLocation }));
+  }
+
+  // Shipped units keep their cost until they arrive: the cost of units that
+  // never did is taken out, and extra units come in at the average cost
+  for (const line of transfer.lines) {
+    await followStockChange(line.inventoryItem, line.quantityReceived - line.quantitySent, { session, onRollback });
+  }
+
+  transfer.hasDiscrepancy = transfer.lines.some(line => line.quantityReceived !== line.quantitySent);
+  transfer.receivedBy = userId;
+  transfer.receivedDate = new Date();
+  transfer.receiveNotes = notes;
+  await transfer.save({ session });
+  return transfer;
+});
+
+/**
+ * Call off a transfer that is still in transit and put its stock back at the source
+ * @param {string} transferId - StockTransfer ID
+ * @param {string} userId - User cancelling the transfer
+ * @returns {Promise<Object>} The transfer as it was before cancelling
+ * @throws {Error} With transferRejected set when the transfer is not in transit
+ */
+const cancelTransfer = (transferId, userId) => runAtomically(async ({ session, onRollback }) => {
+  const transfer = await StockTransfer.findOneAndUpdate(
+    { _id: transferId, status: 'in_transit' },
+    { status: 'cancelled' },
+    { session }
+  );
+  if (!transfer) throw rejected('Only transfers in transit can be cancelled');
+  onRollback(() => StockTransfer.updateOne({ _id: transfer._id }, { status: 'in_transit' }));
+
+  onRollback(() => StockMovement.deleteMany({ sourceModel: 'StockTransfer', sourceDocument: transfer._id, reason: 'transfer_reversal' }));
+  for (const line of transfer.lines) {
+    // Items deleted since shipping have no stock to return to
+    const item = await adjustStock({
+      itemId: line.inventoryItem,
+      delta: line.quantitySent,
+      reason: 'transfer_reversal',
+      userId,
+      location: transfer.fromLocation,
+      sourceModel: 'StockTransfer',
+      sourceDocument: transfer._id,
+      notes: `${transfer.transferNumber} cancelled`,
+      session
+    });
+    if (item) {
+      onRollback(() => revertStock({ itemId: item._id, delta: line.quantitySent, location: transfer.fromLocation }));
+    }
+  }
+
+  return transfer;
+});
+
+module.exports = {
+  shipTransfer,
+  receiveTransfer,
+  cancelTransfer
+};